@@ -18,6 +18,34 @@ const JWT_SECRET = process.env.JWT_SECRET || "dev-only-change-this-secret";
 const SESSION_DAYS = Number(process.env.SESSION_DAYS || 60);
 const MAGIC_LINK_MINUTES = Number(process.env.MAGIC_LINK_MINUTES || 10);
 const COOKIE_NAME = "session_token";
+// last_seen_at is only refreshed this often so ordinary requests stay read-only.
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+// Personal API tokens for scripts, sent as "Authorization: Bearer pat_...".
+const API_TOKEN_PREFIX = "pat_";
+const API_TOKEN_SCOPES = ["read", "read_write"];
+const DEFAULT_API_TOKEN_DAYS = 90;
+const MAX_API_TOKEN_DAYS = 365;
+const MAX_API_TOKENS_PER_USER = 20;
+// Number of reverse proxies in front of the app (e.g. 1 on Render) so req.ip is the client address.
+const TRUST_PROXY = parseEnvNumber("TRUST_PROXY", 0, { min: 0, integer: true });
+// Site admins see and manage every workspace regardless of membership.
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+// Anyone with an address on one of these domains may sign in; others need an invitation.
+const ALLOWED_EMAIL_DOMAINS = (process.env.ALLOWED_EMAIL_DOMAINS || "pooleng.com")
+  .split(",")
+  .map((domain) => domain.trim().toLowerCase().replace(/^@/, ""))
+  .filter(Boolean);
+// Magic link requests are limited per address (a cooldown plus an hourly cap) and per client IP.
+// Wrong guesses allowed against one emailed sign-in code before it is discarded.
+const LOGIN_CODE_MAX_ATTEMPTS = 5;
+const MAGIC_LINK_COOLDOWN_SECONDS = parseEnvNumber("MAGIC_LINK_COOLDOWN_SECONDS", 60, { min: 1, integer: true });
+const MAGIC_LINK_EMAIL_HOURLY_LIMIT = parseEnvNumber("MAGIC_LINK_EMAIL_HOURLY_LIMIT", 5, { min: 1, integer: true });
+const MAGIC_LINK_IP_HOURLY_LIMIT = parseEnvNumber("MAGIC_LINK_IP_HOURLY_LIMIT", 20, { min: 1, integer: true });
+const DEFAULT_INVITATION_DAYS = 30;
+const MAX_INVITATION_DAYS = 365;
 const COOKIE_SAME_SITE = process.env.COOKIE_SAME_SITE || "lax";
 const COOKIE_SECURE = process.env.COOKIE_SECURE === "true" || process.env.NODE_ENV === "production";
 const CORS_ORIGINS = (process.env.CORS_ORIGINS || FRONTEND_URL)
@@ -25,6 +53,177 @@ const CORS_ORIGINS = (process.env.CORS_ORIGINS || FRONTEND_URL)
   .map((origin) => origin.trim())
   .filter(Boolean);
 const LEGACY_DATA_FILE = path.join(__dirname, "data.json");
+const REMINDERS_ENABLED = process.env.REMINDERS_ENABLED !== "false";
+const REMINDER_LEAD_DAYS = parseLeadDays(process.env.REMINDER_LEAD_DAYS || "60,30,14,1,0");
+const REMINDER_SCAN_HOURS = parseEnvNumber("REMINDER_SCAN_HOURS", 24, { min: 1 });
+// Items that expired longer ago than this never trigger an "expired" reminder.
+const REMINDER_EXPIRED_GRACE_DAYS = 7;
+const DIGESTS_ENABLED = process.env.DIGESTS_ENABLED !== "false";
+const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+// Digests go out from this UTC hour on; weekly ones on DIGEST_WEEKDAY (0 = Sunday, 1 = Monday).
+const DIGEST_HOUR_UTC = parseEnvNumber("DIGEST_HOUR_UTC", 7, { min: 0, max: 23, integer: true });
+const DIGEST_WEEKDAY = parseEnvNumber("DIGEST_WEEKDAY", 1, { min: 0, max: 6, integer: true });
+const DIGEST_SCAN_INTERVAL_MS = 15 * 60 * 1000;
+// "Send now" is limited per user so it cannot be looped to drain the email quota.
+const DIGEST_MANUAL_SEND_COOLDOWN_SECONDS = 5 * 60;
+const DIGEST_STATUSES = ["expired", "red", "yellow"];
+const WEEKDAY_NAMES = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+const DEFAULT_WARNING_DAYS = 60;
+const DEFAULT_CRITICAL_DAYS = 14;
+const MAX_THRESHOLD_DAYS = 3650;
+const WORKSPACE_ROLES = ["viewer", "editor", "owner"];
+const CUSTOM_FIELD_TYPES = ["text", "number", "date", "select"];
+const MAX_CUSTOM_FIELDS = 30;
+const MAX_CUSTOM_FIELD_LABEL_LENGTH = 100;
+const MAX_CUSTOM_FIELD_TEXT_LENGTH = 500;
+const MAX_SELECT_OPTIONS = 50;
+const MAX_TAG_NAME_LENGTH = 40;
+const MAX_TAGS_PER_DOCUMENT = 20;
+const MAX_RENEWAL_MONTHS = 120;
+const MAX_WORKSPACE_NAME_LENGTH = 100;
+const MAX_DOCUMENT_NAME_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const WEBHOOK_EVENTS = [
+  "document.created",
+  "document.updated",
+  "document.deleted",
+  "document.yellow",
+  "document.red",
+  "document.expired"
+];
+const MAX_WEBHOOKS_PER_WORKSPACE = 10;
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_MAX_ATTEMPTS = parseEnvNumber("WEBHOOK_MAX_ATTEMPTS", 6, { min: 1, max: 50, integer: true });
+// Retries wait 1, 2, 4, 8... times this long, but never more than a day.
+const WEBHOOK_RETRY_BASE_SECONDS = parseEnvNumber("WEBHOOK_RETRY_BASE_SECONDS", 60, { min: 1, integer: true });
+const WEBHOOK_MAX_RETRY_SECONDS = 24 * 60 * 60;
+const WEBHOOK_STATUS_SCAN_MINUTES = parseEnvNumber("WEBHOOK_STATUS_SCAN_MINUTES", 60, { min: 1 });
+const WEBHOOK_DELIVERY_INTERVAL_MS = 15 * 1000;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const STATUS_RANK = { green: 0, yellow: 1, red: 2, expired: 3 };
+const TRASH_RETENTION_DAYS = parseEnvNumber("TRASH_RETENTION_DAYS", 30, { min: 1, integer: true });
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const SYSTEM_ACTOR = "system";
+const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE === "database" ? "database" : "disk";
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || path.join(__dirname, "uploads");
+const ATTACHMENT_MAX_BYTES = parseEnvNumber("ATTACHMENT_MAX_MB", 10, { min: 1, max: 1024 }) * 1024 * 1024;
+// Uploads are identified by their leading bytes, not the client-supplied Content-Type.
+const ATTACHMENT_SIGNATURES = [
+  { contentType: "application/pdf", matches: (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-" },
+  {
+    contentType: "image/png",
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  { contentType: "image/jpeg", matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { contentType: "image/gif", matches: (buffer) => buffer.subarray(0, 4).toString("latin1") === "GIF8" },
+  {
+    contentType: "image/webp",
+    matches: (buffer) =>
+      buffer.subarray(0, 4).toString("latin1") === "RIFF" && buffer.subarray(8, 12).toString("latin1") === "WEBP"
+  },
+  {
+    contentType: "image/tiff",
+    matches: (buffer) => ["II*\u0000", "MM\u0000*"].includes(buffer.subarray(0, 4).toString("latin1"))
+  }
+];
+
+// Status is computed in SQL so list filters, the API and reminders all agree.
+// Item thresholds override the workspace ones; dates compare as UTC calendar days.
+const DAYS_REMAINING_SQL =
+  "((i.expiration_date AT TIME ZONE 'UTC')::date - (NOW() AT TIME ZONE 'UTC')::date)";
+const STATUS_SQL = `
+  CASE
+    WHEN ${DAYS_REMAINING_SQL} < 0 THEN 'expired'
+    WHEN ${DAYS_REMAINING_SQL} <= COALESCE(i.critical_days, w.critical_days) THEN 'red'
+    WHEN ${DAYS_REMAINING_SQL} <= COALESCE(i.warning_days, w.warning_days) THEN 'yellow'
+    ELSE 'green'
+  END`;
+const DOCUMENT_SELECT_SQL = `
+  SELECT
+    i.id,
+    i.name,
+    i.description,
+    i.expiration_date AS "expirationDate",
+    i.workspace_id AS "workspaceId",
+    i.created_by AS "createdBy",
+    i.created_at AS "createdAt",
+    i.assigned_to AS "assignedTo",
+    i.deleted_at AS "deletedAt",
+    i.deleted_by AS "deletedBy",
+    i.warning_days AS "warningDays",
+    i.critical_days AS "criticalDays",
+    i.renewal_months AS "renewalMonths",
+    i.custom_fields AS "customFields",
+    COALESCE(i.warning_days, w.warning_days) AS "effectiveWarningDays",
+    COALESCE(i.critical_days, w.critical_days) AS "effectiveCriticalDays",
+    ${DAYS_REMAINING_SQL} AS "daysRemaining",
+    ${STATUS_SQL} AS status,
+    COALESCE(
+      (
+        SELECT json_agg(
+          json_build_object(
+            'id', a.id,
+            'fileName', a.file_name,
+            'contentType', a.content_type,
+            'sizeBytes', a.size_bytes
+          )
+          ORDER BY a.created_at
+        )
+        FROM attachments a
+        WHERE a.item_id = i.id
+      ),
+      '[]'::json
+    ) AS attachments,
+    COALESCE(
+      (
+        SELECT json_agg(json_build_object('id', t.id, 'name', t.name) ORDER BY LOWER(t.name))
+        FROM item_tags it
+        JOIN tags t ON t.id = it.tag_id
+        WHERE it.item_id = i.id
+      ),
+      '[]'::json
+    ) AS tags
+  FROM items i
+  JOIN workspaces w ON w.id = i.workspace_id
+`;
+const IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 1000;
+// Header names recognised when the client does not map a column explicitly.
+const IMPORT_COLUMN_ALIASES = {
+  name: ["name", "document", "document name", "title", "license", "license name"],
+  description: ["description", "notes", "details"],
+  expirationDate: ["expiration date", "expirationdate", "expiration", "expires", "expiry", "expiry date"],
+  workspace: ["workspace", "workspace name", "workspaceid", "workspace id"]
+};
+const STATUS_LABELS = {
+  expired: "Expired",
+  red: "Critical",
+  yellow: "Warning",
+  green: "OK"
+};
+const WORKSPACE_SELECT_SQL = `
+  SELECT
+    id,
+    name,
+    warning_days AS "warningDays",
+    critical_days AS "criticalDays",
+    created_at AS "createdAt"
+  FROM workspaces
+`;
+
+const CUSTOM_FIELD_SELECT_SQL = `
+  SELECT
+    id,
+    workspace_id AS "workspaceId",
+    label,
+    field_type AS type,
+    options,
+    required,
+    position,
+    created_at AS "createdAt"
+  FROM workspace_fields
+`;
 
 const DATABASE_SSL =
   process.env.DATABASE_SSL === "true" ||
@@ -38,19 +237,28 @@ const pool = new Pool({
 let defaultWorkspaceId = null;
 let mailMode = "fallback";
 let smtpTransporter = null;
+let reminderScanRunning = false;
+let digestScanRunning = false;
 
-app.use(
-  cors({
-    origin: (origin, callback) => {
-      if (!origin || CORS_ORIGINS.includes(origin)) {
-        callback(null, true);
-        return;
-      }
-      callback(new Error("Not allowed by CORS"));
-    },
-    credentials: true
-  })
-);
+const corsMiddleware = cors({
+  origin: (origin, callback) => {
+    if (!origin || CORS_ORIGINS.includes(origin)) {
+      callback(null, true);
+      return;
+    }
+    callback(new Error("Not allowed by CORS"));
+  },
+  credentials: true
+});
+// The magic link confirmation form is a top-level navigation from the backend's own page, not a
+// cross-origin fetch, and browsers may send it with "Origin: null", so CORS does not apply to it.
+app.use((req, res, next) => {
+  if (req.method === "POST" && req.path === "/auth/verify-magic") {
+    return next();
+  }
+  return corsMiddleware(req, res, next);
+});
+app.set("trust proxy", TRUST_PROXY);
 app.use(express.json());
 app.use(cookieParser());
 
@@ -59,552 +267,5945 @@ function isValidDate(value) {
   return !Number.isNaN(parsed.getTime());
 }
 
-function isPoolEngEmail(email) {
-  return typeof email === "string" && /^[a-zA-Z0-9._%+-]+@pooleng\.com$/i.test(email.trim());
+// Numeric settings from the environment. A typo falls back to the default instead of becoming NaN,
+// which setInterval treats as 1 ms and Postgres rejects as an interval.
+function parseEnvNumber(name, fallback, { min = 0, max = Infinity, integer = false } = {}) {
+  const raw = process.env[name];
+  if (raw === undefined || raw.trim() === "") {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    console.warn(`Ignoring invalid ${name}=${raw}; using ${fallback}`);
+    return fallback;
+  }
+  return value;
 }
 
-function hashToken(token) {
-  return crypto.createHash("sha256").update(token).digest("hex");
+function parseLeadDays(value) {
+  const leadDays = String(value)
+    .split(",")
+    .map((entry) => Number(entry.trim()))
+    .filter((entry) => Number.isInteger(entry) && entry >= 0);
+  return [...new Set(leadDays)].sort((a, b) => a - b);
 }
 
-async function deleteExpiredMagicTokens() {
-  try {
-    await pool.query("DELETE FROM magic_tokens WHERE expires_at <= NOW()");
-  } catch (error) {
-    console.error("Failed to purge expired magic tokens:", error?.message);
+function isEmailAddress(email) {
+  return typeof email === "string" && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Resolves to { value } (undefined when absent, null to clear an override) or { error }.
+function parseThresholdDays(value, label) {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  if (value === null || value === "") {
+    return { value: null };
+  }
+
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_THRESHOLD_DAYS) {
+    return { error: `${label} must be a whole number of days between 0 and ${MAX_THRESHOLD_DAYS}` };
   }
+  return { value: days };
 }
 
-function getSessionCookieOptions() {
-  return {
-    httpOnly: true,
-    secure: COOKIE_SECURE,
-    sameSite: COOKIE_SAME_SITE,
-    maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000,
-    path: "/"
-  };
+function parseThresholds(body) {
+  const warning = parseThresholdDays(body?.warningDays, "warningDays");
+  if (warning.error) {
+    return { error: warning.error, field: "warningDays" };
+  }
+
+  const critical = parseThresholdDays(body?.criticalDays, "criticalDays");
+  if (critical.error) {
+    return { error: critical.error, field: "criticalDays" };
+  }
+
+  if (
+    typeof warning.value === "number" &&
+    typeof critical.value === "number" &&
+    critical.value > warning.value
+  ) {
+    return { error: "criticalDays cannot be greater than warningDays", field: "criticalDays" };
+  }
+
+  return { warningDays: warning.value, criticalDays: critical.value };
 }
 
-function createSessionToken(email) {
-  return jwt.sign({ email }, JWT_SECRET, {
-    expiresIn: `${SESSION_DAYS}d`
-  });
+function parseRenewalMonths(value) {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  if (value === null || value === "") {
+    return { value: null };
+  }
+
+  const months = Number(value);
+  if (!Number.isInteger(months) || months < 1 || months > MAX_RENEWAL_MONTHS) {
+    return { error: `renewalMonths must be a whole number between 1 and ${MAX_RENEWAL_MONTHS}` };
+  }
+  return { value: months };
 }
 
-function requireAuth(req, res, next) {
-  const token = req.cookies[COOKIE_NAME];
-  if (!token) {
-    return res.status(401).json({ error: "Authentication required" });
+function parseSelectOptions(value) {
+  if (!Array.isArray(value)) {
+    return { error: "options must be a list of choices" };
   }
 
-  try {
-    req.user = jwt.verify(token, JWT_SECRET);
-    return next();
-  } catch (error) {
-    return res.status(401).json({ error: "Invalid or expired session" });
+  const options = [...new Set(value.map((option) => String(option ?? "").trim()).filter(Boolean))];
+  if (options.length === 0 || options.length > MAX_SELECT_OPTIONS) {
+    return { error: `A select field needs between 1 and ${MAX_SELECT_OPTIONS} options` };
   }
+  if (options.some((option) => option.length > MAX_CUSTOM_FIELD_LABEL_LENGTH)) {
+    return { error: `Options cannot be longer than ${MAX_CUSTOM_FIELD_LABEL_LENGTH} characters` };
+  }
+  return { value: options };
 }
 
-function hasBrevoApiConfig() {
-  const apiKey = String(process.env.BREVO_API_KEY || "").trim();
-  const sender = String(process.env.EMAIL_FROM || "").trim();
-  return Boolean(apiKey && sender);
+// Validates a field definition. Without `existing` every property is required;
+// with it, absent properties keep their current value and the type cannot change.
+function parseCustomFieldDefinition(body, existing = null) {
+  const label = body?.label === undefined ? existing?.label : String(body.label).trim();
+  if (!label) {
+    return { error: "Field label is required" };
+  }
+  if (label.length > MAX_CUSTOM_FIELD_LABEL_LENGTH) {
+    return { error: `Field label cannot be longer than ${MAX_CUSTOM_FIELD_LABEL_LENGTH} characters` };
+  }
+
+  const type = body?.type === undefined ? existing?.type : String(body.type);
+  if (!CUSTOM_FIELD_TYPES.includes(type)) {
+    return { error: `type must be one of ${CUSTOM_FIELD_TYPES.join(", ")}` };
+  }
+  if (existing && type !== existing.type) {
+    return { error: "A field's type cannot be changed; add a new field instead" };
+  }
+
+  let options = [];
+  if (type === "select") {
+    const parsed =
+      body?.options === undefined && existing ? { value: existing.options } : parseSelectOptions(body?.options);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+    options = parsed.value;
+  }
+
+  const required = body?.required === undefined ? Boolean(existing?.required) : body.required === true;
+  return { field: { label, type, options, required } };
 }
 
-async function buildSmtpTransporter() {
-  // Lazy-load nodemailer so Brevo API mode does not depend on SMTP libraries.
-  const nodemailer = require("nodemailer");
-  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS } = process.env;
-  const hasSmtpConfig = SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS;
-  const looksLikePlaceholder =
-    String(SMTP_HOST || "").includes("your-provider.com") ||
-    String(SMTP_USER || "").includes("your_smtp_user") ||
-    String(SMTP_PASS || "").includes("your_smtp_password");
+function parseCustomFieldValue(field, value) {
+  if (field.type === "number") {
+    const number = Number(value);
+    return Number.isFinite(number) ? { value: number } : { error: `${field.label} must be a number` };
+  }
+  if (field.type === "date") {
+    const text = String(value).trim();
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) && isValidDate(text)
+      ? { value: text }
+      : { error: `${field.label} must be a date (YYYY-MM-DD)` };
+  }
 
-  if (hasSmtpConfig && !looksLikePlaceholder) {
-    return nodemailer.createTransport({
-      host: SMTP_HOST,
-      port: Number(SMTP_PORT),
-      secure: process.env.SMTP_SECURE === "true",
-      auth: { user: SMTP_USER, pass: SMTP_PASS }
-    });
+  const text = String(value).trim();
+  if (field.type === "select" && !field.options.includes(text)) {
+    return { error: `${field.label} must be one of ${field.options.join(", ")}` };
   }
+  if (text.length > MAX_CUSTOM_FIELD_TEXT_LENGTH) {
+    return { error: `${field.label} cannot be longer than ${MAX_CUSTOM_FIELD_TEXT_LENGTH} characters` };
+  }
+  return { value: text };
+}
 
-  return null;
+// Checks document values (keyed by field id) against the workspace's fields and merges
+// them over `existing`; an empty value clears a field. Required fields are enforced for
+// every field when `requireAll` is set (new documents, workspace moves) and otherwise
+// only for the fields being changed, so adding a required field does not lock old documents.
+// Errors name the offending value as `field`, e.g. "customFields.<field id>".
+function parseCustomFieldValues(fields, input, { existing = {}, requireAll = true } = {}) {
+  if (input !== undefined && input !== null && (typeof input !== "object" || Array.isArray(input))) {
+    return { error: "customFields must be an object keyed by field id", field: "customFields" };
+  }
+
+  const provided = input || {};
+  const unknownId = Object.keys(provided).find((fieldId) => !fields.some((field) => field.id === fieldId));
+  if (unknownId) {
+    return { error: `Unknown custom field "${unknownId}" for this workspace`, field: "customFields" };
+  }
+
+  const values = {};
+  for (const field of fields) {
+    const isProvided = Object.prototype.hasOwnProperty.call(provided, field.id);
+    const raw = isProvided ? provided[field.id] : existing?.[field.id];
+    if (raw === undefined || raw === null || String(raw).trim() === "") {
+      if (field.required && (requireAll || isProvided)) {
+        return { error: `${field.label} is required`, field: `customFields.${field.id}` };
+      }
+      continue;
+    }
+
+    const parsed = isProvided ? parseCustomFieldValue(field, raw) : { value: raw };
+    if (parsed.error) {
+      return { error: parsed.error, field: `customFields.${field.id}` };
+    }
+    values[field.id] = parsed.value;
+  }
+
+  return { values };
 }
 
-async function initializeMailSender() {
-  if (hasBrevoApiConfig()) {
-    mailMode = "brevo_api";
-    console.log("Mail mode: Brevo API");
-    return;
+function parseTagName(value) {
+  const name = String(value ?? "")
+    .trim()
+    .replace(/\s+/g, " ");
+  if (!name) {
+    return { error: "Tag name is required" };
+  }
+  if (name.length > MAX_TAG_NAME_LENGTH) {
+    return { error: `Tag name cannot be longer than ${MAX_TAG_NAME_LENGTH} characters` };
   }
+  return { value: name };
+}
 
-  const transporter = await buildSmtpTransporter();
-  if (transporter) {
-    mailMode = "smtp";
-    smtpTransporter = transporter;
-    console.log("Mail mode: SMTP");
-    return;
+// Resolves to { value } (undefined when absent, null to unassign) or { error }.
+function parseAssignee(value) {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  if (value === null || value === "") {
+    return { value: null };
   }
+  if (!isEmailAddress(value)) {
+    return { error: "assignedTo must be an email address" };
+  }
+  return { value: value.trim().toLowerCase() };
+}
 
-  mailMode = "fallback";
-  console.log("Mail mode: local fallback (magic links will be logged to backend terminal)");
+// Resolves to { value } (undefined when absent) or { error }.
+function parseTagIds(value) {
+  if (value === undefined) {
+    return { value: undefined };
+  }
+  if (!Array.isArray(value) || value.some((tagId) => typeof tagId !== "string")) {
+    return { error: "tagIds must be a list of tag ids" };
+  }
+
+  const tagIds = [...new Set(value)];
+  if (tagIds.length > MAX_TAGS_PER_DOCUMENT) {
+    return { error: `A document can have at most ${MAX_TAGS_PER_DOCUMENT} tags` };
+  }
+  return { value: tagIds };
 }
 
-async function sendMagicLinkEmail({ toEmail, link }) {
-  const fromAddress = process.env.EMAIL_FROM || "no-reply@pooleng.com";
-  const fromName = process.env.EMAIL_FROM_NAME || "Pool Engineering";
-  const subject = "Your Pool Engineering magic login link";
-  const text = `Use this login link within ${MAGIC_LINK_MINUTES} minutes: ${link}`;
-  const html = `<p>Click to log in:</p><p><a href="${link}">${link}</a></p><p>This link expires in ${MAGIC_LINK_MINUTES} minutes.</p>`;
+// Returns { webhook } or { error }. Omitted fields keep the existing values; a new webhook
+// without a secret gets a random one.
+function parseWebhookDefinition(body, existing = null) {
+  let url;
+  try {
+    url = new URL(body?.url !== undefined ? String(body.url).trim() : existing?.url);
+  } catch (error) {
+    return { error: "url must be an http or https URL" };
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    return { error: "url must be an http or https URL" };
+  }
 
-  if (mailMode === "brevo_api") {
-    const brevoApiKey = String(process.env.BREVO_API_KEY || "").trim();
-    const response = await fetch("https://api.brevo.com/v3/smtp/email", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "api-key": brevoApiKey
-      },
-      body: JSON.stringify({
-        sender: { name: fromName, email: fromAddress },
-        to: [{ email: toEmail }],
-        subject,
-        textContent: text,
-        htmlContent: html
-      })
-    });
+  const events = body?.events !== undefined ? body.events : existing?.events;
+  if (!Array.isArray(events) || events.length === 0 || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+    return { error: `events must be a non-empty list of ${WEBHOOK_EVENTS.join(", ")}` };
+  }
 
-    if (!response.ok) {
-      const errorBody = await response.text();
-      throw new Error(`Brevo API error (${response.status}): ${errorBody}`);
-    }
-    return;
+  const active = body?.active !== undefined ? body.active : existing?.active ?? true;
+  if (typeof active !== "boolean") {
+    return { error: "active must be true or false" };
   }
 
-  if (mailMode === "smtp" && smtpTransporter) {
-    await smtpTransporter.sendMail({
-      from: fromAddress,
-      to: toEmail,
-      subject,
-      text,
-      html
-    });
-    return;
+  let secret = existing?.secret || crypto.randomBytes(32).toString("hex");
+  if (body?.secret !== undefined) {
+    secret = String(body.secret);
+    if (secret.length < MIN_WEBHOOK_SECRET_LENGTH) {
+      return { error: `secret must be at least ${MIN_WEBHOOK_SECRET_LENGTH} characters` };
+    }
   }
 
-  console.log("Magic link (local dev):", link);
+  return { webhook: { url: url.toString(), events: [...new Set(events)], active, secret } };
 }
 
-async function initializeDatabase() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS workspaces (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `);
+// Request bodies are described with a subset of JSON Schema (OpenAPI 3.0 flavour, so `nullable`
+// instead of type lists). validateBody enforces them and /api/openapi.json publishes them.
+const DATE_SCHEMA = { type: "string", format: "date", description: "YYYY-MM-DD; ISO timestamps are accepted too" };
+const EMAIL_SCHEMA = { type: "string", format: "email", maxLength: 254 };
+const THRESHOLD_DAYS_SCHEMA = { type: "integer", minimum: 0, maximum: MAX_THRESHOLD_DAYS };
+const RENEWAL_MONTHS_SCHEMA = { type: "integer", minimum: 1, maximum: MAX_RENEWAL_MONTHS, nullable: true };
+const ROLE_SCHEMA = { type: "string", enum: WORKSPACE_ROLES };
+const ID_SCHEMA = { type: "string", minLength: 1, maxLength: 100 };
 
-  // Documents table now stored in Postgres instead of SQLite.
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS items (
-      id TEXT PRIMARY KEY,
-      name TEXT NOT NULL,
-      description TEXT NOT NULL,
-      expiration_date TIMESTAMPTZ NOT NULL,
-      workspace_id TEXT REFERENCES workspaces(id),
-      created_by TEXT,
-      created_at TIMESTAMPTZ
-    )
-  `);
+const DOCUMENT_PROPERTIES = {
+  name: { type: "string", minLength: 1, maxLength: MAX_DOCUMENT_NAME_LENGTH },
+  description: { type: "string", minLength: 1, maxLength: MAX_DESCRIPTION_LENGTH },
+  expirationDate: DATE_SCHEMA,
+  workspaceId: ID_SCHEMA,
+  warningDays: { ...THRESHOLD_DAYS_SCHEMA, nullable: true, description: "null falls back to the workspace window" },
+  criticalDays: { ...THRESHOLD_DAYS_SCHEMA, nullable: true, description: "null falls back to the workspace window" },
+  renewalMonths: RENEWAL_MONTHS_SCHEMA,
+  customFields: {
+    type: "object",
+    nullable: true,
+    description: "Values keyed by custom field id; an empty value clears the field",
+    additionalProperties: { nullable: true, oneOf: [{ type: "string" }, { type: "number" }] }
+  },
+  tagIds: { type: "array", items: ID_SCHEMA, maxItems: MAX_TAGS_PER_DOCUMENT },
+  assignedTo: { ...EMAIL_SCHEMA, nullable: true }
+};
 
-  // Magic link tokens in DB avoid invalidation on process restart.
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS magic_tokens (
-      token_hash TEXT PRIMARY KEY,
-      email TEXT NOT NULL,
-      expires_at TIMESTAMPTZ NOT NULL,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `);
+const CUSTOM_FIELD_PROPERTIES = {
+  label: { type: "string", minLength: 1, maxLength: MAX_CUSTOM_FIELD_LABEL_LENGTH },
+  type: { type: "string", enum: CUSTOM_FIELD_TYPES },
+  options: {
+    type: "array",
+    items: { type: "string", maxLength: MAX_CUSTOM_FIELD_LABEL_LENGTH },
+    maxItems: MAX_SELECT_OPTIONS,
+    description: "Choices of a select field"
+  },
+  required: { type: "boolean" }
+};
 
-  const defaultWorkspaceName = "General";
-  const existingDefaultWorkspace = await pool.query(
-    "SELECT id FROM workspaces WHERE name = $1 ORDER BY created_at ASC LIMIT 1",
-    [defaultWorkspaceName]
-  );
+const WEBHOOK_PROPERTIES = {
+  url: { type: "string", format: "uri", maxLength: 2000 },
+  secret: { type: "string", minLength: MIN_WEBHOOK_SECRET_LENGTH, maxLength: 200 },
+  events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS }, minItems: 1 },
+  active: { type: "boolean" }
+};
 
-  if (existingDefaultWorkspace.rows.length === 0) {
-    defaultWorkspaceId = crypto.randomUUID();
-    await pool.query("INSERT INTO workspaces (id, name, created_at) VALUES ($1, $2, NOW())", [
-      defaultWorkspaceId,
-      defaultWorkspaceName
-    ]);
-  } else {
-    defaultWorkspaceId = existingDefaultWorkspace.rows[0].id;
+const REQUEST_SCHEMAS = {
+  MagicLinkRequest: { type: "object", required: ["email"], properties: { email: EMAIL_SCHEMA } },
+  LoginCode: {
+    type: "object",
+    required: ["email", "code"],
+    properties: { email: EMAIL_SCHEMA, code: { type: "string", pattern: "^[0-9\\s]+$", maxLength: 20 } }
+  },
+  ApiTokenCreate: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 100 },
+      scope: { type: "string", enum: API_TOKEN_SCOPES },
+      expiresInDays: { type: "integer", minimum: 1, maximum: MAX_API_TOKEN_DAYS }
+    }
+  },
+  WorkspaceCreate: {
+    type: "object",
+    required: ["name"],
+    properties: { name: { type: "string", minLength: 1, maxLength: MAX_WORKSPACE_NAME_LENGTH } }
+  },
+  WorkspaceUpdate: {
+    type: "object",
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: MAX_WORKSPACE_NAME_LENGTH },
+      warningDays: THRESHOLD_DAYS_SCHEMA,
+      criticalDays: THRESHOLD_DAYS_SCHEMA
+    }
+  },
+  ContactCreate: { type: "object", required: ["email"], properties: { email: EMAIL_SCHEMA } },
+  MemberCreate: { type: "object", required: ["email"], properties: { email: EMAIL_SCHEMA, role: ROLE_SCHEMA } },
+  MemberUpdate: { type: "object", required: ["role"], properties: { role: ROLE_SCHEMA } },
+  CustomFieldCreate: { type: "object", required: ["label", "type"], properties: CUSTOM_FIELD_PROPERTIES },
+  CustomFieldUpdate: { type: "object", properties: CUSTOM_FIELD_PROPERTIES },
+  WebhookCreate: { type: "object", required: ["url", "events"], properties: WEBHOOK_PROPERTIES },
+  WebhookUpdate: { type: "object", properties: WEBHOOK_PROPERTIES },
+  InvitationCreate: {
+    type: "object",
+    required: ["email"],
+    properties: {
+      email: EMAIL_SCHEMA,
+      expiresInDays: { type: "integer", minimum: 1, maximum: MAX_INVITATION_DAYS },
+      workspaceId: { ...ID_SCHEMA, nullable: true },
+      role: ROLE_SCHEMA
+    }
+  },
+  TagInput: {
+    type: "object",
+    required: ["name"],
+    properties: { name: { type: "string", minLength: 1, maxLength: MAX_TAG_NAME_LENGTH } }
+  },
+  DocumentCreate: {
+    type: "object",
+    required: ["name", "description", "expirationDate", "workspaceId"],
+    properties: DOCUMENT_PROPERTIES
+  },
+  DocumentUpdate: {
+    type: "object",
+    description: "Only the properties sent are changed",
+    properties: DOCUMENT_PROPERTIES
+  },
+  Renewal: {
+    type: "object",
+    description: "A new expirationDate, or renewalMonths (defaults to the document's renewal period)",
+    properties: { expirationDate: DATE_SCHEMA, renewalMonths: RENEWAL_MONTHS_SCHEMA }
+  },
+  Assignment: {
+    type: "object",
+    properties: { assignedTo: { ...EMAIL_SCHEMA, nullable: true, description: "null unassigns the document" } }
+  },
+  CalendarFeedCreate: {
+    type: "object",
+    properties: { workspaceId: { ...ID_SCHEMA, nullable: true }, includeReminders: { type: "boolean" } }
+  },
+  DigestSettings: {
+    type: "object",
+    required: ["frequency"],
+    properties: {
+      frequency: { type: "string", enum: DIGEST_FREQUENCIES },
+      workspaceIds: { type: "array", items: ID_SCHEMA, nullable: true, description: "null means every workspace" }
+    }
   }
+};
 
-  const itemCountResult = await pool.query("SELECT COUNT(*)::int AS count FROM items");
-  const itemCount = itemCountResult.rows[0].count;
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
 
-  // Optional one-time migration from legacy JSON if table is empty.
-  if (itemCount === 0 && fs.existsSync(LEGACY_DATA_FILE)) {
-    try {
-      const raw = fs.readFileSync(LEGACY_DATA_FILE, "utf8");
-      const items = JSON.parse(raw);
+function describeAllowedRange(schema) {
+  if (schema.minimum !== undefined && schema.maximum !== undefined) {
+    return ` from ${schema.minimum} to ${schema.maximum}`;
+  }
+  if (schema.minimum !== undefined) {
+    return ` of at least ${schema.minimum}`;
+  }
+  return schema.maximum !== undefined ? ` of at most ${schema.maximum}` : "";
+}
 
-      if (Array.isArray(items)) {
-        for (const item of items) {
-          if (!item?.name || !item?.description || !isValidDate(item?.expirationDate)) {
-            continue;
-          }
+// Returns the problem with `value` as a message, or null. Strings are measured after trimming,
+// because that is how the handlers store them.
+function findSchemaViolation(schema, value, label) {
+  if (value === null) {
+    return schema.nullable ? null : `${label} cannot be null`;
+  }
+  if (schema.oneOf) {
+    return schema.oneOf.some((option) => findSchemaViolation(option, value, label) === null)
+      ? null
+      : `${label} must be ${schema.oneOf.map((option) => `a ${option.type}`).join(" or ")}`;
+  }
 
-          await pool.query(
-            `INSERT INTO items (id, name, description, expiration_date, workspace_id, created_by, created_at)
-             VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-            [
-              item.id || crypto.randomUUID(),
-              String(item.name).trim(),
-              String(item.description).trim(),
-              new Date(item.expirationDate).toISOString(),
-              defaultWorkspaceId,
-              "legacy@pooleng.com"
-            ]
-          );
-        }
+  switch (schema.type) {
+    case "string": {
+      if (typeof value !== "string") {
+        return `${label} must be a string`;
       }
-    } catch (error) {
-      console.error("Failed to migrate legacy JSON data:", error);
+      const text = value.trim();
+      if (schema.minLength === 1 && !text) {
+        return `${label} cannot be empty`;
+      }
+      if (schema.minLength && text.length < schema.minLength) {
+        return `${label} must be at least ${schema.minLength} characters`;
+      }
+      if (schema.maxLength && text.length > schema.maxLength) {
+        return `${label} must be at most ${schema.maxLength} characters`;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return `${label} must be one of ${schema.enum.join(", ")}`;
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return `${label} has an invalid format`;
+      }
+      if (schema.format === "date" && !isValidDate(text)) {
+        return `${label} must be a valid date`;
+      }
+      if (schema.format === "email" && !isEmailAddress(text)) {
+        return `${label} must be an email address`;
+      }
+      if (schema.format === "uri" && !isHttpUrl(text)) {
+        return `${label} must be an http or https URL`;
+      }
+      return null;
+    }
+    case "integer":
+    case "number": {
+      const isNumber = schema.type === "integer" ? Number.isInteger(value) : Number.isFinite(value);
+      const outOfRange =
+        (schema.minimum !== undefined && value < schema.minimum) ||
+        (schema.maximum !== undefined && value > schema.maximum);
+      if (!isNumber || outOfRange) {
+        const kind = schema.type === "integer" ? "a whole number" : "a number";
+        return `${label} must be ${kind}${describeAllowedRange(schema)}`;
+      }
+      return null;
+    }
+    case "boolean":
+      return typeof value === "boolean" ? null : `${label} must be true or false`;
+    case "array":
+      if (!Array.isArray(value)) {
+        return `${label} must be a list`;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        return `${label} needs at least ${schema.minItems} ${schema.minItems === 1 ? "entry" : "entries"}`;
+      }
+      if (schema.maxItems && value.length > schema.maxItems) {
+        return `${label} can have at most ${schema.maxItems} entries`;
+      }
+      for (const [index, entry] of value.entries()) {
+        const violation = findSchemaViolation(schema.items, entry, `${label}[${index}]`);
+        if (violation) {
+          return violation;
+        }
+      }
+      return null;
+    case "object":
+      return typeof value === "object" && !Array.isArray(value) ? null : `${label} must be an object`;
+    default:
+      return null;
+  }
+}
+
+// Checks an object against its schema and returns { [property path]: message } for every bad
+// property; unknown properties are ignored. Nested objects report paths like "customFields.<id>".
+function validateSchema(schema, body, prefix = "") {
+  const rootViolation = prefix ? null : findSchemaViolation(schema, body, "Request body");
+  if (rootViolation) {
+    return { body: rootViolation };
+  }
+
+  const fields = {};
+
+  for (const name of schema.required || []) {
+    if (body[name] === undefined || body[name] === null) {
+      fields[`${prefix}${name}`] = `${prefix}${name} is required`;
+    }
+  }
+  for (const [name, value] of Object.entries(body)) {
+    const path = `${prefix}${name}`;
+    const propertySchema = schema.properties?.[name] || schema.additionalProperties;
+    if (fields[path] || value === undefined || typeof propertySchema !== "object") {
+      continue;
+    }
+    const violation = findSchemaViolation(propertySchema, value, path);
+    if (violation) {
+      fields[path] = violation;
+    } else if (propertySchema.type === "object" && value !== null) {
+      Object.assign(fields, validateSchema(propertySchema, value, `${path}.`));
+    }
+  }
+  return fields;
+}
+
+// Rejects a request whose JSON body does not match REQUEST_SCHEMAS[schemaName] with
+// 400 { error, fields }. `error` repeats the first problem for clients that show a single message.
+function validateBody(schemaName) {
+  const schema = REQUEST_SCHEMAS[schemaName];
+  return (req, res, next) => {
+    const fields = validateSchema(schema, req.body ?? {});
+    const messages = Object.values(fields);
+    if (messages.length > 0) {
+      return res.status(400).json({ error: messages[0], fields });
+    }
+    return next();
+  };
+}
+
+// Query strings are always text: declared numbers and booleans are converted before checking, array
+// parameters are comma-separated lists, and empty values count as absent, as they do in the handlers.
+function validateQueryParameters(parameters, query) {
+  const fields = {};
+
+  for (const { name, schema } of parameters) {
+    const raw = query[name];
+    if (raw === undefined || raw === "") {
+      continue;
+    }
+
+    let violation;
+    if (typeof raw !== "string") {
+      violation = `${name} must be a single value`;
+    } else if (schema.type === "array") {
+      const entries = raw.split(",").map((entry) => entry.trim()).filter(Boolean);
+      violation = entries.map((entry) => findSchemaViolation(schema.items, entry, name)).find(Boolean) || null;
+    } else if (schema.type === "integer" || schema.type === "number") {
+      violation = findSchemaViolation(schema, Number(raw), name);
+    } else if (schema.type === "boolean") {
+      violation = ["true", "false"].includes(raw) ? null : `${name} must be true or false`;
+    } else {
+      violation = findSchemaViolation(schema, raw, name);
+    }
+    if (violation) {
+      fields[name] = violation;
+    }
+  }
+  return fields;
+}
+
+// Rejects a request whose query string does not match the `parameters` its route declares in
+// API_OPERATIONS, with the same 400 { error, fields } as validateBody. The operation is looked up per
+// request because API_OPERATIONS is built after the routes are registered.
+function validateQuery(req, res, next) {
+  const method = req.method === "HEAD" ? "get" : req.method.toLowerCase();
+  const { path } = req.route;
+  const operation = API_OPERATIONS.find((candidate) => candidate.method === method && candidate.path === path);
+  const fields = validateQueryParameters(operation?.parameters || [], req.query);
+  const messages = Object.values(fields);
+  if (messages.length > 0) {
+    return res.status(400).json({ error: messages[0], fields });
+  }
+  return next();
+}
+
+// Field-level 400 for rules a schema cannot express (cross-field checks, database lookups).
+function sendFieldError(res, field, message) {
+  return res.status(400).json({ error: message, fields: { [field]: message } });
+}
+
+function addMonthsUtc(dateValue, months) {
+  const date = new Date(dateValue);
+  const targetMonth = date.getUTCMonth() + months;
+  // Clamp to the last day of the target month (Jan 31 + 1 month = Feb 28/29).
+  const lastDayOfTargetMonth = new Date(Date.UTC(date.getUTCFullYear(), targetMonth + 1, 0)).getUTCDate();
+  return new Date(
+    Date.UTC(
+      date.getUTCFullYear(),
+      targetMonth,
+      Math.min(date.getUTCDate(), lastDayOfTargetMonth),
+      date.getUTCHours(),
+      date.getUTCMinutes(),
+      date.getUTCSeconds()
+    )
+  );
+}
+
+function detectAttachmentType(buffer) {
+  const signature = ATTACHMENT_SIGNATURES.find((candidate) => candidate.matches(buffer));
+  return signature ? signature.contentType : null;
+}
+
+function sanitizeFileName(fileName) {
+  const baseName = path.basename(String(fileName || "").replace(/\\/g, "/"));
+  // Strip control characters and quotes so the name is safe in Content-Disposition.
+  const cleaned = baseName.replace(/[\u0000-\u001f\u007f"]/g, "").trim();
+  return cleaned.slice(0, 200) || "attachment";
+}
+
+function getAttachmentPath(storageKey) {
+  return path.join(ATTACHMENT_DIR, storageKey);
+}
+
+function removeStoredFiles(storageKeys) {
+  for (const storageKey of storageKeys) {
+    fs.promises.unlink(getAttachmentPath(storageKey)).catch((error) => {
+      if (error?.code !== "ENOENT") {
+        console.error(`Failed to remove attachment file ${storageKey}:`, error?.message);
+      }
+    });
+  }
+}
+
+function isAllowedDomainEmail(email) {
+  if (!isEmailAddress(email)) {
+    return false;
+  }
+  const domain = email.trim().toLowerCase().split("@").pop();
+  return ALLOWED_EMAIL_DOMAINS.includes(domain);
+}
+
+async function hasActiveInvitation(email) {
+  const result = await pool.query(
+    "SELECT 1 FROM invitations WHERE email = $1 AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1",
+    [email]
+  );
+  return result.rows.length > 0;
+}
+
+async function canSignIn(email) {
+  return isAllowedDomainEmail(email) || isAdminEmail(email) || (await hasActiveInvitation(email));
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function createLoginCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+}
+
+// Keyed so a leaked magic_tokens table cannot be brute-forced offline across the small code space.
+function hashLoginCode(email, code) {
+  return crypto.createHmac("sha256", JWT_SECRET).update(`${email}:${code}`).digest("hex");
+}
+
+function hashesMatch(left, right) {
+  const leftBuffer = Buffer.from(String(left || ""), "hex");
+  const rightBuffer = Buffer.from(String(right || ""), "hex");
+  return leftBuffer.length === rightBuffer.length && crypto.timingSafeEqual(leftBuffer, rightBuffer);
+}
+
+async function deleteExpiredMagicTokens() {
+  try {
+    await pool.query("DELETE FROM magic_tokens WHERE expires_at <= NOW()");
+  } catch (error) {
+    console.error("Failed to purge expired magic tokens:", error?.message);
+  }
+}
+
+// Sliding-window limits backed by rate_limit_events so they survive restarts and span instances.
+// Every rule must pass before any event is recorded, so a rejected request never counts.
+async function consumeRateLimits(rules) {
+  return withTransaction(async (client) => {
+    let retryAfterSeconds = 0;
+
+    for (const rule of rules) {
+      await client.query("SELECT pg_advisory_xact_lock(hashtext($1))", [rule.key]);
+      const result = await client.query(
+        `SELECT COUNT(*)::int AS count,
+                EXTRACT(EPOCH FROM MIN(created_at) + make_interval(secs => $2) - NOW()) AS "retryAfter"
+         FROM (
+           SELECT created_at FROM rate_limit_events
+           WHERE bucket_key = $1 AND created_at > NOW() - make_interval(secs => $2)
+           ORDER BY created_at DESC
+           LIMIT $3
+         ) recent`,
+        [rule.key, rule.windowSeconds, rule.max]
+      );
+      const { count, retryAfter } = result.rows[0];
+      if (count >= rule.max) {
+        retryAfterSeconds = Math.max(retryAfterSeconds, Math.ceil(Number(retryAfter)), 1);
+      }
+    }
+
+    if (retryAfterSeconds > 0) {
+      return { allowed: false, retryAfterSeconds };
+    }
+
+    for (const rule of rules) {
+      await client.query("INSERT INTO rate_limit_events (bucket_key, created_at) VALUES ($1, NOW())", [rule.key]);
+    }
+    return { allowed: true, retryAfterSeconds: 0 };
+  });
+}
+
+async function deleteExpiredRateLimitEvents() {
+  try {
+    await pool.query("DELETE FROM rate_limit_events WHERE created_at <= NOW() - INTERVAL '1 day'");
+  } catch (error) {
+    console.error("Failed to purge rate limit events:", error?.message);
+  }
+}
+
+function formatRetryDelay(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+function getSessionCookieOptions() {
+  return {
+    httpOnly: true,
+    secure: COOKIE_SECURE,
+    sameSite: COOKIE_SAME_SITE,
+    maxAge: SESSION_DAYS * 24 * 60 * 60 * 1000,
+    path: "/"
+  };
+}
+
+function createSessionToken(email, sessionId) {
+  return jwt.sign({ email, sid: sessionId }, JWT_SECRET, {
+    expiresIn: `${SESSION_DAYS}d`
+  });
+}
+
+async function createSession(email, req) {
+  const id = crypto.randomUUID();
+  await pool.query(
+    `INSERT INTO sessions (id, email, user_agent, ip_address, created_at, last_seen_at, expires_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW(), NOW() + make_interval(days => $5))`,
+    [id, email, String(req.get("user-agent") || "").slice(0, 500), req.ip || null, SESSION_DAYS]
+  );
+  return id;
+}
+
+async function deleteStaleSessions() {
+  try {
+    await pool.query(
+      "DELETE FROM sessions WHERE expires_at <= NOW() OR revoked_at <= NOW() - make_interval(days => $1)",
+      [SESSION_DAYS]
+    );
+  } catch (error) {
+    console.error("Failed to purge stale sessions:", error?.message);
+  }
+}
+
+function readSessionClaims(req) {
+  const token = req.cookies[COOKIE_NAME];
+  if (!token) {
+    return null;
+  }
+
+  try {
+    return jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+}
+
+function requireAdmin(req, res, next) {
+  if (!isAdminEmail(req.user?.email)) {
+    return res.status(403).json({ error: "Administrator access required" });
+  }
+  return next();
+}
+
+// Read tokens only pass GET and HEAD requests. A token stops working once its owner may no longer sign in.
+async function authenticateApiToken(req, res, next, rawToken) {
+  try {
+    const result = await pool.query(
+      `SELECT id, email, scope, last_used_at AS "lastUsedAt" FROM api_tokens
+       WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [hashToken(rawToken)]
+    );
+    const token = result.rows[0];
+    if (!token || !(await canSignIn(token.email))) {
+      return res.status(401).json({ error: "Invalid or expired API token" });
+    }
+
+    if (token.scope === "read" && !["GET", "HEAD"].includes(req.method)) {
+      return res.status(403).json({ error: "This API token is read-only" });
+    }
+
+    if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      pool
+        .query("UPDATE api_tokens SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1", [
+          token.id,
+          req.ip || null
+        ])
+        .catch((error) => {
+          console.error("Failed to update API token usage:", error?.message);
+        });
+    }
+
+    req.user = { email: token.email, apiTokenId: token.id };
+    return next();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to check API token" });
+  }
+}
+
+async function requireAuth(req, res, next) {
+  const authorization = String(req.get("authorization") || "");
+  if (/^bearer /i.test(authorization)) {
+    return authenticateApiToken(req, res, next, authorization.slice(7).trim());
+  }
+
+  if (!req.cookies[COOKIE_NAME]) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  // Tokens issued before sessions were stored server-side carry no sid and must sign in again.
+  const claims = readSessionClaims(req);
+  if (!claims?.sid) {
+    return res.status(401).json({ error: "Invalid or expired session" });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT email, last_seen_at AS "lastSeenAt" FROM sessions
+       WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+      [claims.sid]
+    );
+    const session = result.rows[0];
+    if (!session) {
+      return res.status(401).json({ error: "Invalid or expired session" });
+    }
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > SESSION_TOUCH_INTERVAL_MS) {
+      // Sign-in access can lapse mid-session (an expired invitation, a domain removed from the allow list).
+      if (!(await canSignIn(session.email))) {
+        await pool.query("UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL", [claims.sid]);
+        res.clearCookie(COOKIE_NAME, getSessionCookieOptions());
+        return res.status(401).json({ error: "Invalid or expired session" });
+      }
+
+      pool
+        .query("UPDATE sessions SET last_seen_at = NOW(), ip_address = $2 WHERE id = $1", [claims.sid, req.ip || null])
+        .catch((error) => {
+          console.error("Failed to update session activity:", error?.message);
+        });
+    }
+
+    req.user = { email: session.email, sessionId: claims.sid };
+    return next();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to check session" });
+  }
+}
+
+function hasBrevoApiConfig() {
+  const apiKey = String(process.env.BREVO_API_KEY || "").trim();
+  const sender = String(process.env.EMAIL_FROM || "").trim();
+  return Boolean(apiKey && sender);
+}
+
+async function buildSmtpTransporter() {
+  // Lazy-load nodemailer so Brevo API mode does not depend on SMTP libraries.
+  const nodemailer = require("nodemailer");
+  const { SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS } = process.env;
+  const hasSmtpConfig = SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASS;
+  const looksLikePlaceholder =
+    String(SMTP_HOST || "").includes("your-provider.com") ||
+    String(SMTP_USER || "").includes("your_smtp_user") ||
+    String(SMTP_PASS || "").includes("your_smtp_password");
+
+  if (hasSmtpConfig && !looksLikePlaceholder) {
+    return nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT),
+      secure: process.env.SMTP_SECURE === "true",
+      auth: { user: SMTP_USER, pass: SMTP_PASS }
+    });
+  }
+
+  return null;
+}
+
+async function initializeMailSender() {
+  if (hasBrevoApiConfig()) {
+    mailMode = "brevo_api";
+    console.log("Mail mode: Brevo API");
+    return;
+  }
+
+  const transporter = await buildSmtpTransporter();
+  if (transporter) {
+    mailMode = "smtp";
+    smtpTransporter = transporter;
+    console.log("Mail mode: SMTP");
+    return;
+  }
+
+  mailMode = "fallback";
+  console.log("Mail mode: local fallback (magic links and emails will be logged to backend terminal)");
+}
+
+async function sendEmail({ toEmail, subject, text, html }) {
+  const fromAddress = process.env.EMAIL_FROM || "no-reply@pooleng.com";
+  const fromName = process.env.EMAIL_FROM_NAME || "Pool Engineering";
+
+  if (mailMode === "brevo_api") {
+    const brevoApiKey = String(process.env.BREVO_API_KEY || "").trim();
+    const response = await fetch("https://api.brevo.com/v3/smtp/email", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "api-key": brevoApiKey
+      },
+      body: JSON.stringify({
+        sender: { name: fromName, email: fromAddress },
+        to: [{ email: toEmail }],
+        subject,
+        textContent: text,
+        htmlContent: html
+      })
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Brevo API error (${response.status}): ${errorBody}`);
+    }
+    return;
+  }
+
+  if (mailMode === "smtp" && smtpTransporter) {
+    await smtpTransporter.sendMail({
+      from: fromAddress,
+      to: toEmail,
+      subject,
+      text,
+      html
+    });
+    return;
+  }
+
+  console.log(`Email to ${toEmail} (local dev): ${subject}\n${text}`);
+}
+
+async function sendMagicLinkEmail({ toEmail, link, code }) {
+  if (mailMode === "fallback") {
+    console.log("Magic link (local dev):", link);
+    console.log("Login code (local dev):", code);
+    return;
+  }
+
+  await sendEmail({
+    toEmail,
+    subject: "Your Pool Engineering magic login link",
+    text: `Use this login link within ${MAGIC_LINK_MINUTES} minutes: ${link}\n\nOr enter this code on the login page: ${code}`,
+    html: `<p>Click to log in:</p><p><a href="${link}">${link}</a></p><p>Or enter this code on the login page: <strong>${code}</strong></p><p>The link and code expire in ${MAGIC_LINK_MINUTES} minutes and work once.</p>`
+  });
+}
+
+function renderMagicLinkConfirmPage(rawToken) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pool Engineering sign in</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #f1f5f9; display: grid; place-items: center; min-height: 100vh; margin: 0; }
+  form { background: #fff; border: 1px solid #dbe3ec; border-radius: 10px; padding: 24px; text-align: center; }
+  button { background: #1d4ed8; color: #fff; border: none; border-radius: 8px; padding: 10px 18px; font-size: 1rem; cursor: pointer; }
+</style>
+</head>
+<body>
+<form method="POST" action="${escapeHtml(`${MAGIC_LINK_BASE_URL}/auth/verify-magic`)}">
+  <h1>Pool Engineering</h1>
+  <p>Continue to sign in to the document tracker.</p>
+  <input type="hidden" name="token" value="${escapeHtml(rawToken)}">
+  <button type="submit">Sign in</button>
+</form>
+</body>
+</html>`;
+}
+
+async function startSession(req, res, email) {
+  await deleteStaleSessions();
+  const sessionId = await createSession(email, req);
+  res.cookie(COOKIE_NAME, createSessionToken(email, sessionId), getSessionCookieOptions());
+}
+
+async function initializeDatabase() {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS workspaces (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(
+    `ALTER TABLE workspaces
+       ADD COLUMN IF NOT EXISTS warning_days INTEGER NOT NULL DEFAULT ${DEFAULT_WARNING_DAYS},
+       ADD COLUMN IF NOT EXISTS critical_days INTEGER NOT NULL DEFAULT ${DEFAULT_CRITICAL_DAYS}`
+  );
+
+  // Documents table now stored in Postgres instead of SQLite.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS items (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      description TEXT NOT NULL,
+      expiration_date TIMESTAMPTZ NOT NULL,
+      workspace_id TEXT REFERENCES workspaces(id),
+      created_by TEXT,
+      created_at TIMESTAMPTZ
+    )
+  `);
+
+  // Optional per-item overrides of the workspace status thresholds.
+  await pool.query(`
+    ALTER TABLE items
+      ADD COLUMN IF NOT EXISTS warning_days INTEGER,
+      ADD COLUMN IF NOT EXISTS critical_days INTEGER,
+      ADD COLUMN IF NOT EXISTS renewal_months INTEGER
+  `);
+
+  // Deleted documents stay in the trash until the retention window passes.
+  await pool.query(`
+    ALTER TABLE items
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS deleted_by TEXT
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS items_deleted_at_idx ON items (deleted_at)");
+
+  // The assignee is the workspace member responsible for renewing the document.
+  await pool.query("ALTER TABLE items ADD COLUMN IF NOT EXISTS assigned_to TEXT");
+  await pool.query("CREATE INDEX IF NOT EXISTS items_assigned_to_idx ON items (assigned_to)");
+
+  // Last status the webhook scan saw, so crossing into yellow, red or expired fires once.
+  await pool.query("ALTER TABLE items ADD COLUMN IF NOT EXISTS webhook_status TEXT");
+
+  // Custom field values are keyed by workspace_fields.id.
+  await pool.query("ALTER TABLE items ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '{}'::jsonb");
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS items_workspace_expiration_idx ON items (workspace_id, expiration_date)"
+  );
+  await pool.query("CREATE INDEX IF NOT EXISTS items_expiration_date_idx ON items (expiration_date)");
+  await pool.query("CREATE INDEX IF NOT EXISTS items_created_by_idx ON items (LOWER(created_by))");
+  // Trigram indexes serve the ILIKE '%term%' text search. Some hosts do not allow
+  // extensions, in which case search still works through a sequential scan.
+  try {
+    await pool.query("CREATE EXTENSION IF NOT EXISTS pg_trgm");
+    await pool.query("CREATE INDEX IF NOT EXISTS items_name_trgm_idx ON items USING gin (name gin_trgm_ops)");
+    await pool.query(
+      "CREATE INDEX IF NOT EXISTS items_description_trgm_idx ON items USING gin (description gin_trgm_ops)"
+    );
+  } catch (error) {
+    console.warn("pg_trgm is unavailable; document search will not use trigram indexes:", error?.message);
+  }
+
+  // File contents live on disk (storage = 'disk') or inline in the data column (storage = 'database').
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id TEXT PRIMARY KEY,
+      item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+      file_name TEXT NOT NULL,
+      content_type TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      storage TEXT NOT NULL,
+      storage_key TEXT,
+      data BYTEA,
+      uploaded_by TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS attachments_item_id_idx ON attachments (item_id)");
+
+  // Renewal history keeps every previous expiration date instead of overwriting it.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS renewals (
+      id TEXT PRIMARY KEY,
+      item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+      previous_expiration_date TIMESTAMPTZ NOT NULL,
+      new_expiration_date TIMESTAMPTZ NOT NULL,
+      renewal_months INTEGER,
+      renewed_by TEXT NOT NULL,
+      renewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS renewals_item_id_idx ON renewals (item_id, renewed_at)");
+
+  // Magic link tokens in DB avoid invalidation on process restart.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS magic_tokens (
+      token_hash TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  await pool.query(
+    `ALTER TABLE magic_tokens
+       ADD COLUMN IF NOT EXISTS code_hash TEXT,
+       ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0`
+  );
+  await pool.query("CREATE INDEX IF NOT EXISTS magic_tokens_email_idx ON magic_tokens (email)");
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS rate_limit_events (
+      id BIGSERIAL PRIMARY KEY,
+      bucket_key TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS rate_limit_events_bucket_idx ON rate_limit_events (bucket_key, created_at)"
+  );
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS sessions_email_idx ON sessions (email)");
+
+  // Personal API tokens. Like magic_tokens only the hash is stored; read tokens allow GET requests only.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS api_tokens (
+      id TEXT PRIMARY KEY,
+      token_hash TEXT NOT NULL UNIQUE,
+      email TEXT NOT NULL,
+      name TEXT NOT NULL,
+      scope TEXT NOT NULL CHECK (scope IN ('read', 'read_write')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      last_used_at TIMESTAMPTZ,
+      last_used_ip TEXT,
+      revoked_at TIMESTAMPTZ
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS api_tokens_email_idx ON api_tokens (email)");
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id TEXT PRIMARY KEY,
+      token_hash TEXT NOT NULL UNIQUE,
+      email TEXT NOT NULL,
+      workspace_id TEXT REFERENCES workspaces(id) ON DELETE CASCADE,
+      include_reminders BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS calendar_feeds_email_idx ON calendar_feeds (email)");
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS invitations (
+      id TEXT PRIMARY KEY,
+      email TEXT NOT NULL,
+      invited_by TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      expires_at TIMESTAMPTZ NOT NULL,
+      revoked_at TIMESTAMPTZ,
+      revoked_by TEXT
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS invitations_email_idx ON invitations (email)");
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS workspace_members (
+      workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+      email TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+      added_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (workspace_id, email)
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS workspace_members_email_idx ON workspace_members (email)");
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS workspace_fields (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+      label TEXT NOT NULL,
+      field_type TEXT NOT NULL CHECK (field_type IN ('text', 'number', 'date', 'select')),
+      options JSONB NOT NULL DEFAULT '[]'::jsonb,
+      required BOOLEAN NOT NULL DEFAULT FALSE,
+      position INTEGER NOT NULL DEFAULT 0,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS workspace_fields_label_idx ON workspace_fields (workspace_id, LOWER(label))"
+  );
+
+  // Tags are shared by every workspace so one label can group documents across them.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query("CREATE UNIQUE INDEX IF NOT EXISTS tags_name_idx ON tags (LOWER(name))");
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS item_tags (
+      item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+      tag_id TEXT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      PRIMARY KEY (item_id, tag_id)
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS item_tags_tag_id_idx ON item_tags (tag_id)");
+
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS workspace_contacts (
+      workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+      email TEXT NOT NULL,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (workspace_id, email)
+    )
+  `);
+
+  // Secrets are kept in plain text because every delivery is signed with them.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id TEXT PRIMARY KEY,
+      workspace_id TEXT NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT[] NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS webhooks_workspace_id_idx ON webhooks (workspace_id)");
+
+  // One row per event and webhook; retries update the row until it succeeds or runs out of attempts.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+      event_type TEXT NOT NULL,
+      payload JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ,
+      last_attempt_at TIMESTAMPTZ,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query(
+    "CREATE INDEX IF NOT EXISTS webhook_deliveries_webhook_idx ON webhook_deliveries (webhook_id, created_at)"
+  );
+  await pool.query(
+    `CREATE INDEX IF NOT EXISTS webhook_deliveries_due_idx ON webhook_deliveries (next_attempt_at)
+     WHERE status = 'pending'`
+  );
+
+  // Digest preferences per user. workspace_ids NULL means every workspace the user can see;
+  // last_sent_on (a UTC date) keeps restarts and rescans from sending twice.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS digest_settings (
+      email TEXT PRIMARY KEY,
+      frequency TEXT NOT NULL DEFAULT 'off' CHECK (frequency IN ('off', 'daily', 'weekly')),
+      workspace_ids TEXT[],
+      last_sent_on DATE,
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+
+  // One row per reminder actually sent, so restarts and rescans never double-send.
+  // Keyed on expiration_date so a renewed item gets a fresh set of reminders.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS reminder_log (
+      item_id TEXT NOT NULL REFERENCES items(id) ON DELETE CASCADE,
+      expiration_date TIMESTAMPTZ NOT NULL,
+      lead_days INTEGER NOT NULL,
+      recipient TEXT NOT NULL,
+      sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (item_id, expiration_date, lead_days, recipient)
+    )
+  `);
+
+  // Append-only history of every change to documents and workspaces.
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id TEXT PRIMARY KEY,
+      entity_type TEXT NOT NULL,
+      entity_id TEXT NOT NULL,
+      workspace_id TEXT,
+      action TEXT NOT NULL,
+      actor_email TEXT NOT NULL,
+      before_data JSONB,
+      after_data JSONB,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await pool.query("CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (entity_type, entity_id)");
+  await pool.query("CREATE INDEX IF NOT EXISTS audit_log_workspace_idx ON audit_log (workspace_id, created_at)");
+  await pool.query("CREATE INDEX IF NOT EXISTS audit_log_created_at_idx ON audit_log (created_at)");
+  await pool.query(`
+    CREATE OR REPLACE FUNCTION audit_log_prevent_change() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await pool.query("DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log");
+  await pool.query(`
+    CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_prevent_change()
+  `);
+
+  const defaultWorkspaceName = "General";
+  const existingDefaultWorkspace = await pool.query(
+    "SELECT id FROM workspaces WHERE name = $1 ORDER BY created_at ASC LIMIT 1",
+    [defaultWorkspaceName]
+  );
+
+  if (existingDefaultWorkspace.rows.length === 0) {
+    defaultWorkspaceId = crypto.randomUUID();
+    await pool.query("INSERT INTO workspaces (id, name, created_at) VALUES ($1, $2, NOW())", [
+      defaultWorkspaceId,
+      defaultWorkspaceName
+    ]);
+  } else {
+    defaultWorkspaceId = existingDefaultWorkspace.rows[0].id;
+  }
+
+  const itemCountResult = await pool.query("SELECT COUNT(*)::int AS count FROM items");
+  const itemCount = itemCountResult.rows[0].count;
+
+  // Optional one-time migration from legacy JSON if table is empty.
+  if (itemCount === 0 && fs.existsSync(LEGACY_DATA_FILE)) {
+    try {
+      const raw = fs.readFileSync(LEGACY_DATA_FILE, "utf8");
+      const items = JSON.parse(raw);
+
+      if (Array.isArray(items)) {
+        for (const item of items) {
+          if (!item?.name || !item?.description || !isValidDate(item?.expirationDate)) {
+            continue;
+          }
+
+          await pool.query(
+            `INSERT INTO items (id, name, description, expiration_date, workspace_id, created_by, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+            [
+              item.id || crypto.randomUUID(),
+              String(item.name).trim(),
+              String(item.description).trim(),
+              new Date(item.expirationDate).toISOString(),
+              defaultWorkspaceId,
+              "legacy@pooleng.com"
+            ]
+          );
+        }
+      }
+    } catch (error) {
+      console.error("Failed to migrate legacy JSON data:", error);
+    }
+  }
+
+  // Backfill legacy rows to satisfy "document belongs to a workspace".
+  await pool.query(
+    "UPDATE items SET workspace_id = $1 WHERE workspace_id IS NULL OR workspace_id = ''",
+    [defaultWorkspaceId]
+  );
+  await pool.query(
+    "UPDATE items SET created_by = 'legacy@pooleng.com' WHERE created_by IS NULL OR created_by = ''"
+  );
+  await pool.query("UPDATE items SET created_at = NOW() WHERE created_at IS NULL");
+
+  // Workspaces that predate membership get their document creators as owners,
+  // so nobody loses access on upgrade. ADMIN_EMAILS can reach any leftovers.
+  await pool.query(`
+    INSERT INTO workspace_members (workspace_id, email, role, added_by, created_at)
+    SELECT DISTINCT i.workspace_id, LOWER(i.created_by), 'owner', 'system', NOW()
+    FROM items i
+    WHERE i.created_by IS NOT NULL
+      AND i.created_by <> 'legacy@pooleng.com'
+      AND NOT EXISTS (SELECT 1 FROM workspace_members m WHERE m.workspace_id = i.workspace_id)
+    ON CONFLICT DO NOTHING
+  `);
+
+  // Workspaces with no documents (or only legacy ones) have nobody to inherit them, so the first
+  // site admin owns them; without ADMIN_EMAILS they are only listed here.
+  if (ADMIN_EMAILS.length > 0) {
+    await pool.query(
+      `INSERT INTO workspace_members (workspace_id, email, role, added_by, created_at)
+       SELECT w.id, $1, 'owner', 'system', NOW()
+       FROM workspaces w
+       WHERE NOT EXISTS (SELECT 1 FROM workspace_members m WHERE m.workspace_id = w.id)`,
+      [ADMIN_EMAILS[0]]
+    );
+  } else {
+    const ownerless = await pool.query(
+      `SELECT name FROM workspaces w
+       WHERE NOT EXISTS (SELECT 1 FROM workspace_members m WHERE m.workspace_id = w.id)`
+    );
+    if (ownerless.rows.length > 0) {
+      console.warn(
+        `Workspaces without members (set ADMIN_EMAILS to take them over): ${ownerless.rows
+          .map((row) => row.name)
+          .join(", ")}`
+      );
+    }
+  }
+}
+
+async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Fields derived at read time would show up as noise in every audit diff.
+const COMPUTED_DOCUMENT_FIELDS = [
+  "effectiveWarningDays",
+  "effectiveCriticalDays",
+  "daysRemaining",
+  "status",
+  "attachments"
+];
+
+function toAuditSnapshot(record) {
+  if (!record) {
+    return null;
+  }
+
+  const snapshot = { ...record };
+  for (const field of COMPUTED_DOCUMENT_FIELDS) {
+    delete snapshot[field];
+  }
+  return snapshot;
+}
+
+async function recordAudit(db, { entityType, entityId, workspaceId, action, actorEmail, before, after }) {
+  await db.query(
+    `INSERT INTO audit_log (id, entity_type, entity_id, workspace_id, action, actor_email, before_data,
+                            after_data, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+    [
+      crypto.randomUUID(),
+      entityType,
+      entityId,
+      workspaceId || null,
+      action,
+      actorEmail || "unknown@pooleng.com",
+      before ? JSON.stringify(toAuditSnapshot(before)) : null,
+      after ? JSON.stringify(toAuditSnapshot(after)) : null
+    ]
+  );
+}
+
+async function getWorkspaceById(id, db = pool) {
+  const result = await db.query(`${WORKSPACE_SELECT_SQL} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+function isAdminEmail(email) {
+  return ADMIN_EMAILS.includes(String(email || "").toLowerCase());
+}
+
+function hasRole(role, requiredRole) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(requiredRole);
+}
+
+async function getWorkspacesForUser(email) {
+  if (isAdminEmail(email)) {
+    const result = await pool.query(
+      `SELECT ws.*, 'owner' AS role FROM (${WORKSPACE_SELECT_SQL}) ws ORDER BY ws."createdAt" ASC`
+    );
+    return result.rows;
+  }
+
+  const result = await pool.query(
+    `SELECT ws.*, m.role
+     FROM (${WORKSPACE_SELECT_SQL}) ws
+     JOIN workspace_members m ON m.workspace_id = ws.id AND m.email = $1
+     ORDER BY ws."createdAt" ASC`,
+    [String(email || "").toLowerCase()]
+  );
+  return result.rows;
+}
+
+async function getCustomFields(workspaceIds, db = pool) {
+  const result = await db.query(
+    `${CUSTOM_FIELD_SELECT_SQL} WHERE workspace_id = ANY($1) ORDER BY position ASC, created_at ASC`,
+    [workspaceIds]
+  );
+  return result.rows;
+}
+
+// Returns null when the user may see every workspace.
+async function getAccessibleWorkspaceIds(email) {
+  if (isAdminEmail(email)) {
+    return null;
+  }
+
+  const result = await pool.query("SELECT workspace_id FROM workspace_members WHERE email = $1", [
+    String(email || "").toLowerCase()
+  ]);
+  return result.rows.map((row) => row.workspace_id);
+}
+
+async function getWorkspaceRole(email, workspaceId) {
+  if (isAdminEmail(email)) {
+    return (await workspaceExists(workspaceId)) ? "owner" : null;
+  }
+
+  const result = await pool.query("SELECT role FROM workspace_members WHERE workspace_id = $1 AND email = $2", [
+    workspaceId,
+    String(email || "").toLowerCase()
+  ]);
+  return result.rows[0]?.role || null;
+}
+
+// Sends 404 when the user cannot see the workspace and 403 when their role is too low.
+// Returns the user's role on success, or null once a response has been sent.
+async function authorizeWorkspace(req, res, workspaceId, requiredRole) {
+  const role = workspaceId ? await getWorkspaceRole(req.user?.email, workspaceId) : null;
+  if (!role) {
+    res.status(404).json({ error: "Workspace not found" });
+    return null;
+  }
+
+  if (!hasRole(role, requiredRole)) {
+    res.status(403).json({ error: `This action requires ${requiredRole} access to the workspace` });
+    return null;
+  }
+
+  return role;
+}
+
+async function workspaceExists(workspaceId) {
+  const result = await pool.query("SELECT id FROM workspaces WHERE id = $1 LIMIT 1", [workspaceId]);
+  return result.rows.length > 0;
+}
+
+// Reads the shared list/export filters from a query string. Returns { filters } or { error }.
+// `assignedTo=me` stands for the calling user, which keeps "My items" links shareable.
+function parseDocumentFilters(query, userEmail) {
+  const filters = {};
+
+  const statuses = String(query.status || "")
+    .split(",")
+    .map((status) => status.trim())
+    .filter(Boolean);
+  const unknownStatus = statuses.find((status) => !STATUS_LABELS[status]);
+  if (unknownStatus) {
+    return { error: `status must be a comma-separated list of ${Object.keys(STATUS_LABELS).join(", ")}` };
+  }
+  if (statuses.length > 0) {
+    filters.statuses = statuses;
+  }
+
+  const searchTerms = String(query.q || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+  if (searchTerms.length > 0) {
+    filters.searchTerms = searchTerms.slice(0, 10);
+  }
+
+  const createdBy = String(query.createdBy || "").trim();
+  if (createdBy) {
+    filters.createdBy = createdBy;
+  }
+
+  const assignedTo = String(query.assignedTo || "").trim().toLowerCase();
+  if (assignedTo) {
+    filters.assignedTo = assignedTo === "me" ? String(userEmail || "").toLowerCase() : assignedTo;
+  }
+
+  const tagIds = String(query.tags || "")
+    .split(",")
+    .map((tagId) => tagId.trim())
+    .filter(Boolean);
+  if (tagIds.length > 0) {
+    filters.tagIds = tagIds;
+  }
+
+  for (const key of ["expiresFrom", "expiresTo"]) {
+    if (query[key]) {
+      if (!isValidDate(query[key])) {
+        return { error: `${key} must be a valid date` };
+      }
+      filters[key] = new Date(query[key]).toISOString();
+    }
+  }
+
+  return { filters };
+}
+
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, (character) => `\\${character}`);
+}
+
+const DOCUMENT_SORT_SQL = {
+  expiration: "i.expiration_date",
+  name: "LOWER(i.name)",
+  created: "i.created_at",
+  workspace: "LOWER(w.name)",
+  assignee: "i.assigned_to"
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Reads sort and page parameters. Returns { paging } or { error }.
+function parseDocumentPaging(query) {
+  const sort = String(query.sort || "expiration");
+  if (!DOCUMENT_SORT_SQL[sort]) {
+    return { error: `sort must be one of ${Object.keys(DOCUMENT_SORT_SQL).join(", ")}` };
+  }
+
+  const order = String(query.order || "asc").toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    return { error: "order must be asc or desc" };
+  }
+
+  const page = Number(query.page || 1);
+  const pageSize = Number(query.pageSize || DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive whole number" };
+  }
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+  }
+
+  return { paging: { sort, order, page, pageSize } };
+}
+
+function buildDocumentConditions({
+  workspaceId,
+  workspaceIds,
+  statuses,
+  expiresFrom,
+  expiresTo,
+  searchTerms,
+  createdBy,
+  assignedTo,
+  tagIds
+}) {
+  const conditions = ["i.deleted_at IS NULL"];
+  const values = [];
+  if (workspaceId) {
+    values.push(workspaceId);
+    conditions.push(`i.workspace_id = $${values.length}`);
+  }
+  if (workspaceIds) {
+    values.push(workspaceIds);
+    conditions.push(`i.workspace_id = ANY($${values.length})`);
+  }
+  if (statuses) {
+    values.push(statuses);
+    conditions.push(`${STATUS_SQL} = ANY($${values.length})`);
+  }
+  if (expiresFrom) {
+    values.push(expiresFrom);
+    conditions.push(`i.expiration_date >= $${values.length}`);
+  }
+  if (expiresTo) {
+    values.push(expiresTo);
+    conditions.push(`i.expiration_date <= $${values.length}`);
+  }
+  // Every search term has to appear in the name, the description or a custom field value.
+  for (const term of searchTerms || []) {
+    values.push(`%${escapeLikePattern(term)}%`);
+    const param = `$${values.length}`;
+    conditions.push(
+      `(i.name ILIKE ${param} OR i.description ILIKE ${param}
+        OR EXISTS (SELECT 1 FROM jsonb_each_text(i.custom_fields) f WHERE f.value ILIKE ${param}))`
+    );
+  }
+  if (createdBy) {
+    values.push(createdBy.toLowerCase());
+    conditions.push(`LOWER(i.created_by) = $${values.length}`);
+  }
+  if (assignedTo) {
+    values.push(assignedTo);
+    conditions.push(`i.assigned_to = $${values.length}`);
+  }
+  // Selected tags widen each other, like the status filter: any one of them matches.
+  if (tagIds) {
+    values.push(tagIds);
+    conditions.push(
+      `EXISTS (SELECT 1 FROM item_tags it WHERE it.item_id = i.id AND it.tag_id = ANY($${values.length}))`
+    );
+  }
+
+  return { where: conditions.join(" AND "), values };
+}
+
+async function getDocuments(filters, { sort = "expiration", order = "asc", limit = null, offset = 0 } = {}) {
+  const { where, values } = buildDocumentConditions(filters);
+  let sql = `${DOCUMENT_SELECT_SQL} WHERE ${where}
+    ORDER BY ${DOCUMENT_SORT_SQL[sort]} ${order === "desc" ? "DESC" : "ASC"}, i.expiration_date ASC, i.id ASC`;
+  if (limit !== null) {
+    values.push(limit, offset);
+    sql += ` LIMIT $${values.length - 1} OFFSET $${values.length}`;
+  }
+
+  const result = await pool.query(sql, values);
+  return result.rows;
+}
+
+async function countDocumentsByWorkspace(filters) {
+  const { where, values } = buildDocumentConditions(filters);
+  const result = await pool.query(
+    `SELECT i.workspace_id AS "workspaceId", COUNT(*)::int AS count
+     FROM items i
+     JOIN workspaces w ON w.id = i.workspace_id
+     WHERE ${where}
+     GROUP BY i.workspace_id`,
+    values
+  );
+  return result.rows;
+}
+
+// Counts ignore the tag filter itself so every tag keeps showing its own total.
+async function countDocumentsByTag(filters) {
+  const { where, values } = buildDocumentConditions({ ...filters, tagIds: undefined });
+  const result = await pool.query(
+    `SELECT it.tag_id AS "tagId", COUNT(*)::int AS count
+     FROM items i
+     JOIN workspaces w ON w.id = i.workspace_id
+     JOIN item_tags it ON it.item_id = i.id
+     WHERE ${where}
+     GROUP BY it.tag_id`,
+    values
+  );
+  return result.rows;
+}
+
+// Upcoming-expiration windows reported by /api/stats, in days from today.
+const STATS_WINDOW_DAYS = [30, 60, 90];
+
+function createStatusCounts() {
+  return Object.fromEntries(Object.keys(STATUS_LABELS).map((status) => [status, 0]));
+}
+
+// Status totals overall and per workspace, the upcoming windows and overdue totals for the summary strip.
+async function getDocumentStats(filters) {
+  const { where, values } = buildDocumentConditions(filters);
+  const windowColumns = STATS_WINDOW_DAYS.map(
+    (days) => `COUNT(*) FILTER (WHERE s.days_remaining BETWEEN 0 AND ${days})::int AS "within${days}"`
+  );
+  const result = await pool.query(
+    `SELECT s.workspace_id AS "workspaceId", s.status, COUNT(*)::int AS count,
+       ${windowColumns.join(", ")},
+       MIN(s.days_remaining)::int AS "minDaysRemaining"
+     FROM (
+       SELECT i.workspace_id, ${STATUS_SQL} AS status, ${DAYS_REMAINING_SQL} AS days_remaining
+       FROM items i
+       JOIN workspaces w ON w.id = i.workspace_id
+       WHERE ${where}
+     ) s
+     GROUP BY s.workspace_id, s.status`,
+    values
+  );
+
+  const byStatus = createStatusCounts();
+  const byWorkspace = {};
+  const expiringWithin = Object.fromEntries(STATS_WINDOW_DAYS.map((days) => [days, 0]));
+  const overdue = { total: 0, oldestDaysOverdue: 0 };
+  for (const row of result.rows) {
+    byWorkspace[row.workspaceId] = byWorkspace[row.workspaceId] || { ...createStatusCounts(), total: 0 };
+    byWorkspace[row.workspaceId][row.status] += row.count;
+    byWorkspace[row.workspaceId].total += row.count;
+    byStatus[row.status] += row.count;
+    for (const days of STATS_WINDOW_DAYS) {
+      expiringWithin[days] += row[`within${days}`];
+    }
+    if (row.status === "expired") {
+      overdue.total += row.count;
+      overdue.oldestDaysOverdue = Math.max(overdue.oldestDaysOverdue, -row.minDaysRemaining);
+    }
+  }
+
+  return {
+    total: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+    byStatus,
+    byWorkspace,
+    expiringWithin,
+    overdue
+  };
+}
+
+async function getDocumentById(id, db = pool) {
+  const result = await db.query(`${DOCUMENT_SELECT_SQL} WHERE i.id = $1 AND i.deleted_at IS NULL`, [id]);
+  return result.rows[0] || null;
+}
+
+async function getTrashedDocumentById(id, db = pool) {
+  const result = await db.query(`${DOCUMENT_SELECT_SQL} WHERE i.id = $1 AND i.deleted_at IS NOT NULL`, [
+    id
+  ]);
+  return result.rows[0] || null;
+}
+
+// Document counterpart of authorizeWorkspace: 404 for missing or invisible documents.
+// Returns the document on success, or null once a response has been sent.
+async function authorizeDocument(req, res, documentId, requiredRole, { trashed = false } = {}) {
+  const document = trashed ? await getTrashedDocumentById(documentId) : await getDocumentById(documentId);
+  const role = document ? await getWorkspaceRole(req.user?.email, document.workspaceId) : null;
+  if (!role) {
+    res.status(404).json({ error: trashed ? "Document not found in trash" : "Document not found" });
+    return null;
+  }
+
+  if (!hasRole(role, requiredRole)) {
+    res.status(403).json({ error: `This action requires ${requiredRole} access to the workspace` });
+    return null;
+  }
+
+  return document;
+}
+
+app.post("/auth/request-magic-link", validateBody("MagicLinkRequest"), async (req, res) => {
+  const email = req.body.email.trim().toLowerCase();
+
+  try {
+    await deleteExpiredRateLimitEvents();
+    const limit = await consumeRateLimits([
+      { key: `magic_link:ip:${req.ip}`, max: MAGIC_LINK_IP_HOURLY_LIMIT, windowSeconds: 3600 },
+      { key: `magic_link:email_cooldown:${email}`, max: 1, windowSeconds: MAGIC_LINK_COOLDOWN_SECONDS },
+      { key: `magic_link:email:${email}`, max: MAGIC_LINK_EMAIL_HOURLY_LIMIT, windowSeconds: 3600 }
+    ]);
+    if (!limit.allowed) {
+      res.set("Retry-After", String(limit.retryAfterSeconds));
+      return res.status(429).json({
+        error: `Too many sign-in requests. Try again in ${formatRetryDelay(limit.retryAfterSeconds)}.`,
+        retryAfterSeconds: limit.retryAfterSeconds
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to check sign-in rate limits" });
+  }
+
+  // Addresses that may not sign in get the same answer as everyone else, so the endpoint
+  // does not reveal which outside addresses hold an invitation.
+  const sentResponse = {
+    message: "If the email is valid, a magic login link has been sent.",
+    cooldownSeconds: MAGIC_LINK_COOLDOWN_SECONDS
+  };
+
+  try {
+    if (!(await canSignIn(email))) {
+      return res.json(sentResponse);
+    }
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to check sign-in access" });
+  }
+
+  await deleteExpiredMagicTokens();
+
+  const rawToken = crypto.randomBytes(32).toString("hex");
+  const tokenHash = hashToken(rawToken);
+  const code = createLoginCode();
+  const expiresAtIso = new Date(Date.now() + MAGIC_LINK_MINUTES * 60 * 1000).toISOString();
+  // Only the newest link and code for an address stay valid, so code checks never have to pick a token.
+  await withTransaction(async (client) => {
+    await client.query("DELETE FROM magic_tokens WHERE email = $1", [email]);
+    await client.query(
+      "INSERT INTO magic_tokens (token_hash, email, code_hash, expires_at) VALUES ($1, $2, $3, $4)",
+      [tokenHash, email, hashLoginCode(email, code), expiresAtIso]
+    );
+  });
+
+  const link = `${MAGIC_LINK_BASE_URL}/auth/verify-magic?token=${encodeURIComponent(rawToken)}`;
+
+  try {
+    await sendMagicLinkEmail({ toEmail: email, link, code });
+  } catch (error) {
+    console.error("Magic link send failed:", {
+      message: error?.message,
+      code: error?.code,
+      response: error?.response
+    });
+    await pool.query("DELETE FROM magic_tokens WHERE token_hash = $1", [tokenHash]).catch(() => {});
+    return res.status(500).json({
+      error:
+        process.env.NODE_ENV === "production"
+          ? "Failed to send magic link email"
+          : `Failed to send magic link email: ${error?.message || "Unknown SMTP error"}`
+    });
+  }
+
+  return res.json(sentResponse);
+});
+
+// Opening the link only shows a confirmation page: mail scanners that prefetch links
+// must not burn the single-use token. The token is consumed by the form POST below.
+app.get("/auth/verify-magic", (req, res) => {
+  const rawToken = String(req.query.token || "");
+  if (!rawToken) {
+    return res.redirect(`${FRONTEND_URL}/login?error=missing_token`);
+  }
+
+  res.set("Cache-Control", "no-store");
+  // same-origin keeps the token out of any cross-site Referer while the form POST still carries an Origin.
+  res.set("Referrer-Policy", "same-origin");
+  return res.type("html").send(renderMagicLinkConfirmPage(rawToken));
+});
+
+app.post("/auth/verify-magic", express.urlencoded({ extended: false }), async (req, res) => {
+  const rawToken = String(req.body?.token || "");
+  if (!rawToken) {
+    return res.redirect(303, `${FRONTEND_URL}/login?error=missing_token`);
+  }
+
+  try {
+    await deleteExpiredMagicTokens();
+    // Deleting and reading in one statement means two concurrent clicks cannot both succeed.
+    const tokenResult = await pool.query(
+      "DELETE FROM magic_tokens WHERE token_hash = $1 AND expires_at > NOW() RETURNING email",
+      [hashToken(rawToken)]
+    );
+
+    if (tokenResult.rows.length === 0) {
+      return res.redirect(303, `${FRONTEND_URL}/login?error=expired_or_invalid`);
+    }
+
+    const { email } = tokenResult.rows[0];
+    // An invitation can be revoked or lapse while the link sits in the inbox.
+    if (!(await canSignIn(email))) {
+      return res.redirect(303, `${FRONTEND_URL}/login?error=not_allowed`);
+    }
+
+    await startSession(req, res, email);
+    return res.redirect(303, `${FRONTEND_URL}/dashboard`);
+  } catch (error) {
+    return res.redirect(303, `${FRONTEND_URL}/login?error=expired_or_invalid`);
+  }
+});
+
+app.post("/auth/verify-code", validateBody("LoginCode"), async (req, res) => {
+  const email = req.body.email.trim().toLowerCase();
+  const code = req.body.code.replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(code)) {
+    return res.status(400).json({ error: "Enter your email and the 6-digit code from the login email" });
+  }
+
+  try {
+    const outcome = await withTransaction(async (client) => {
+      const tokenResult = await client.query(
+        `SELECT token_hash AS "tokenHash", code_hash AS "codeHash", attempts FROM magic_tokens
+         WHERE email = $1 AND code_hash IS NOT NULL AND expires_at > NOW()
+         ORDER BY created_at DESC
+         LIMIT 1
+         FOR UPDATE`,
+        [email]
+      );
+      const token = tokenResult.rows[0];
+      if (!token) {
+        return { status: 400, error: "That code is invalid or has expired. Request a new one." };
+      }
+
+      if (hashesMatch(token.codeHash, hashLoginCode(email, code))) {
+        await client.query("DELETE FROM magic_tokens WHERE token_hash = $1", [token.tokenHash]);
+        return { ok: true };
+      }
+
+      const attemptsLeft = LOGIN_CODE_MAX_ATTEMPTS - token.attempts - 1;
+      if (attemptsLeft <= 0) {
+        await client.query("DELETE FROM magic_tokens WHERE token_hash = $1", [token.tokenHash]);
+        return { status: 429, error: "Too many incorrect codes. Request a new login email." };
+      }
+
+      await client.query("UPDATE magic_tokens SET attempts = attempts + 1 WHERE token_hash = $1", [token.tokenHash]);
+      return {
+        status: 400,
+        error: `Incorrect code. ${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left.`
+      };
+    });
+
+    if (!outcome.ok) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    if (!(await canSignIn(email))) {
+      return res.status(403).json({ error: "This email address is no longer allowed to sign in." });
+    }
+
+    await startSession(req, res, email);
+    return res.json({ email });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to verify login code" });
+  }
+});
+
+app.get("/auth/config", (req, res) => {
+  return res.json({ allowedDomains: ALLOWED_EMAIL_DOMAINS });
+});
+
+app.get("/auth/me", requireAuth, (req, res) => {
+  return res.json({ email: req.user.email, isAdmin: isAdminEmail(req.user.email) });
+});
+
+app.post("/auth/logout", async (req, res) => {
+  const claims = readSessionClaims(req);
+  if (claims?.sid) {
+    await pool
+      .query("UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL", [claims.sid])
+      .catch((error) => {
+        console.error("Failed to revoke session on logout:", error?.message);
+      });
+  }
+
+  res.clearCookie(COOKIE_NAME, getSessionCookieOptions());
+  return res.status(204).send();
+});
+
+// Session, token and calendar feed management need a signed-in browser, so a leaked token cannot mint or
+// extend access, see where the owner is signed in, or sign them out.
+function requireSession(req, res, next) {
+  if (!req.user?.sessionId) {
+    return res.status(403).json({ error: "API tokens cannot manage sessions, API tokens or calendar feeds" });
+  }
+  return next();
+}
+
+app.get("/auth/sessions", requireAuth, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, user_agent AS "userAgent", ip_address AS "ipAddress", created_at AS "createdAt",
+              last_seen_at AS "lastSeenAt", expires_at AS "expiresAt", id = $2 AS current
+       FROM sessions
+       WHERE email = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_seen_at DESC`,
+      [req.user.email, req.user.sessionId]
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load sessions" });
+  }
+});
+
+app.delete("/auth/sessions/:id", requireAuth, requireSession, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(
+      "UPDATE sessions SET revoked_at = NOW() WHERE id = $1 AND email = $2 AND revoked_at IS NULL",
+      [id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    if (id === req.user.sessionId) {
+      res.clearCookie(COOKIE_NAME, getSessionCookieOptions());
+    }
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
+// Signs out every session of the current user; ?keepCurrent=true spares the one making the request.
+app.delete("/auth/sessions", requireAuth, requireSession, validateQuery, async (req, res) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+
+  try {
+    const result = await pool.query(
+      `UPDATE sessions SET revoked_at = NOW()
+       WHERE email = $1 AND revoked_at IS NULL AND ($2::text IS NULL OR id <> $2)`,
+      [req.user.email, keepCurrent ? req.user.sessionId : null]
+    );
+
+    if (!keepCurrent) {
+      res.clearCookie(COOKIE_NAME, getSessionCookieOptions());
+    }
+    return res.json({ revoked: result.rowCount });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to revoke sessions" });
+  }
+});
+
+const API_TOKEN_SELECT_SQL = `
+  SELECT id, name, scope, created_at AS "createdAt", expires_at AS "expiresAt",
+         last_used_at AS "lastUsedAt", last_used_ip AS "lastUsedIp"
+  FROM api_tokens
+`;
+
+app.get("/auth/api-tokens", requireAuth, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${API_TOKEN_SELECT_SQL} WHERE email = $1 AND revoked_at IS NULL ORDER BY created_at DESC`,
+      [req.user.email]
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load API tokens" });
+  }
+});
+
+// The token is returned once, here; only its hash is stored.
+app.post("/auth/api-tokens", requireAuth, requireSession, validateBody("ApiTokenCreate"), async (req, res) => {
+  const name = req.body.name.trim();
+  const scope = req.body.scope ?? "read";
+  const expiresInDays = req.body.expiresInDays ?? DEFAULT_API_TOKEN_DAYS;
+
+  try {
+    const countResult = await pool.query(
+      "SELECT COUNT(*)::int AS count FROM api_tokens WHERE email = $1 AND revoked_at IS NULL AND expires_at > NOW()",
+      [req.user.email]
+    );
+    if (countResult.rows[0].count >= MAX_API_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_API_TOKENS_PER_USER} active API tokens` });
+    }
+
+    const id = crypto.randomUUID();
+    const rawToken = `${API_TOKEN_PREFIX}${crypto.randomBytes(32).toString("hex")}`;
+    await pool.query(
+      `INSERT INTO api_tokens (id, token_hash, email, name, scope, created_at, expires_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW() + make_interval(days => $6))`,
+      [id, hashToken(rawToken), req.user.email, name, scope, expiresInDays]
+    );
+
+    const token = (await pool.query(`${API_TOKEN_SELECT_SQL} WHERE id = $1`, [id])).rows[0];
+    return res.status(201).json({ ...token, token: rawToken });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to create API token" });
+  }
+});
+
+app.delete("/auth/api-tokens/:id", requireAuth, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE api_tokens SET revoked_at = NOW() WHERE id = $1 AND email = $2 AND revoked_at IS NULL",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "API token not found" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to revoke API token" });
+  }
+});
+
+app.use("/api/workspaces", requireAuth);
+app.use("/api/documents", requireAuth);
+app.use("/api/items", requireAuth);
+app.use("/api/audit", requireAuth);
+app.use("/api/trash", requireAuth);
+app.use("/api/attachments", requireAuth);
+app.use("/api/invitations", requireAuth, requireAdmin);
+app.use("/api/calendar-feeds", requireAuth);
+app.use("/api/tags", requireAuth);
+app.use("/api/stats", requireAuth);
+app.use("/api/digest", requireAuth);
+
+app.get("/api/workspaces", async (req, res) => {
+  try {
+    const workspaces = await getWorkspacesForUser(req.user.email);
+    const fields = await getCustomFields(workspaces.map((workspace) => workspace.id));
+    res.json(
+      workspaces.map((workspace) => ({
+        ...workspace,
+        fields: fields.filter((field) => field.workspaceId === workspace.id)
+      }))
+    );
+  } catch (error) {
+    res.status(500).json({ error: "Failed to load workspaces" });
+  }
+});
+
+app.post("/api/workspaces", validateBody("WorkspaceCreate"), async (req, res) => {
+  const name = req.body.name.trim();
+
+  try {
+    const workspace = {
+      id: crypto.randomUUID(),
+      name
+    };
+    const createdWorkspace = await withTransaction(async (client) => {
+      await client.query("INSERT INTO workspaces (id, name, created_at) VALUES ($1, $2, NOW())", [
+        workspace.id,
+        workspace.name
+      ]);
+      // The creator owns the new workspace.
+      await client.query(
+        `INSERT INTO workspace_members (workspace_id, email, role, added_by, created_at)
+         VALUES ($1, $2, 'owner', $2, NOW())`,
+        [workspace.id, req.user.email.toLowerCase()]
+      );
+      const created = await getWorkspaceById(workspace.id, client);
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: workspace.id,
+        workspaceId: workspace.id,
+        action: "create",
+        actorEmail: req.user?.email,
+        after: created
+      });
+      return created;
+    });
+    res.status(201).json({ ...createdWorkspace, role: "owner", fields: [] });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to create workspace" });
+  }
+});
+
+app.put("/api/workspaces/:id", validateBody("WorkspaceUpdate"), async (req, res) => {
+  const { id } = req.params;
+  const name = req.body.name?.trim();
+  const thresholds = parseThresholds(req.body);
+  if (thresholds.error) {
+    return sendFieldError(res, thresholds.field, thresholds.error);
+  }
+
+  try {
+    const role = await authorizeWorkspace(req, res, id, "owner");
+    if (!role) {
+      return;
+    }
+
+    const existing = await getWorkspaceById(id);
+    const updatedWorkspace = {
+      name: name ?? existing.name,
+      warningDays: thresholds.warningDays ?? existing.warningDays,
+      criticalDays: thresholds.criticalDays ?? existing.criticalDays
+    };
+    if (updatedWorkspace.criticalDays > updatedWorkspace.warningDays) {
+      return sendFieldError(res, "criticalDays", "criticalDays cannot be greater than warningDays");
+    }
+
+    const savedWorkspace = await withTransaction(async (client) => {
+      await client.query(
+        "UPDATE workspaces SET name = $1, warning_days = $2, critical_days = $3 WHERE id = $4",
+        [updatedWorkspace.name, updatedWorkspace.warningDays, updatedWorkspace.criticalDays, id]
+      );
+      const saved = await getWorkspaceById(id, client);
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "update",
+        actorEmail: req.user?.email,
+        before: existing,
+        after: saved
+      });
+      return saved;
+    });
+    return res.json({ ...savedWorkspace, role });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to update workspace" });
+  }
+});
+
+app.delete("/api/workspaces/:id", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    // Workspace deletion is blocked while documents, including trashed ones, still reference it.
+    const documentCountResult = await pool.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE deleted_at IS NULL)::int AS active,
+         COUNT(*) FILTER (WHERE deleted_at IS NOT NULL)::int AS trashed
+       FROM items WHERE workspace_id = $1`,
+      [id]
+    );
+    if (documentCountResult.rows[0].active > 0) {
+      return res.status(400).json({ error: "Cannot delete workspace that contains documents" });
+    }
+    if (documentCountResult.rows[0].trashed > 0) {
+      return res
+        .status(400)
+        .json({ error: "Cannot delete workspace while its trash still holds documents; purge them first" });
+    }
+
+    const existing = await getWorkspaceById(id);
+    await withTransaction(async (client) => {
+      await client.query("DELETE FROM workspaces WHERE id = $1", [id]);
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "delete",
+        actorEmail: req.user?.email,
+        before: existing
+      });
+    });
+
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to delete workspace" });
+  }
+});
+
+async function getWorkspaceContacts(workspaceId) {
+  const result = await pool.query(
+    `SELECT email, created_by AS "createdBy", created_at AS "createdAt"
+     FROM workspace_contacts WHERE workspace_id = $1 ORDER BY email ASC`,
+    [workspaceId]
+  );
+  return result.rows;
+}
+
+app.get("/api/workspaces/:id/contacts", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "viewer"))) {
+      return;
+    }
+
+    return res.json(await getWorkspaceContacts(id));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load workspace contacts" });
+  }
+});
+
+app.post("/api/workspaces/:id/contacts", validateBody("ContactCreate"), async (req, res) => {
+  const { id } = req.params;
+  const email = req.body.email.trim().toLowerCase();
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    await withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO workspace_contacts (workspace_id, email, created_by, created_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (workspace_id, email) DO NOTHING`,
+        [id, email, req.user?.email || null]
+      );
+      if (insertResult.rowCount > 0) {
+        await recordAudit(client, {
+          entityType: "workspace",
+          entityId: id,
+          workspaceId: id,
+          action: "add_contact",
+          actorEmail: req.user?.email,
+          after: { contactEmail: email }
+        });
+      }
+    });
+    return res.status(201).json(await getWorkspaceContacts(id));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to add workspace contact" });
+  }
+});
+
+app.delete("/api/workspaces/:id/contacts/:email", async (req, res) => {
+  const { id } = req.params;
+  const email = String(req.params.email || "").trim().toLowerCase();
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const deletedCount = await withTransaction(async (client) => {
+      const deleteResult = await client.query(
+        "DELETE FROM workspace_contacts WHERE workspace_id = $1 AND email = $2",
+        [id, email]
+      );
+      if (deleteResult.rowCount > 0) {
+        await recordAudit(client, {
+          entityType: "workspace",
+          entityId: id,
+          workspaceId: id,
+          action: "remove_contact",
+          actorEmail: req.user?.email,
+          before: { contactEmail: email }
+        });
+      }
+      return deleteResult.rowCount;
+    });
+    if (deletedCount === 0) {
+      return res.status(404).json({ error: "Contact not found" });
+    }
+
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to remove workspace contact" });
+  }
+});
+
+async function getWorkspaceMembers(workspaceId, db = pool) {
+  const result = await db.query(
+    `SELECT email, role, added_by AS "addedBy", created_at AS "createdAt"
+     FROM workspace_members WHERE workspace_id = $1 ORDER BY email ASC`,
+    [workspaceId]
+  );
+  return result.rows;
+}
+
+async function countOtherOwners(client, workspaceId, email) {
+  const result = await client.query(
+    "SELECT COUNT(*)::int AS count FROM workspace_members WHERE workspace_id = $1 AND role = 'owner' AND email <> $2",
+    [workspaceId, email]
+  );
+  return result.rows[0].count;
+}
+
+app.get("/api/workspaces/:id/members", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "viewer"))) {
+      return;
+    }
+
+    return res.json(await getWorkspaceMembers(id));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load workspace members" });
+  }
+});
+
+app.post("/api/workspaces/:id/members", validateBody("MemberCreate"), async (req, res) => {
+  const { id } = req.params;
+  const email = req.body.email.trim().toLowerCase();
+  const role = req.body.role ?? "editor";
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const members = await withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO workspace_members (workspace_id, email, role, added_by, created_at)
+         VALUES ($1, $2, $3, $4, NOW())
+         ON CONFLICT (workspace_id, email) DO NOTHING`,
+        [id, email, role, req.user.email]
+      );
+      if (insertResult.rowCount === 0) {
+        return null;
+      }
+
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "add_member",
+        actorEmail: req.user.email,
+        after: { memberEmail: email, role }
+      });
+      return getWorkspaceMembers(id, client);
+    });
+
+    if (!members) {
+      return res.status(409).json({ error: "That user is already a member of this workspace" });
+    }
+    return res.status(201).json(members);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to add workspace member" });
+  }
+});
+
+app.put("/api/workspaces/:id/members/:email", validateBody("MemberUpdate"), async (req, res) => {
+  const { id } = req.params;
+  const email = String(req.params.email || "").trim().toLowerCase();
+  const { role } = req.body;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const existingResult = await client.query(
+        "SELECT role FROM workspace_members WHERE workspace_id = $1 AND email = $2 FOR UPDATE",
+        [id, email]
+      );
+      if (existingResult.rows.length === 0) {
+        return { status: 404, error: "Member not found" };
+      }
+
+      const previousRole = existingResult.rows[0].role;
+      if (previousRole === "owner" && role !== "owner" && (await countOtherOwners(client, id, email)) === 0) {
+        return { status: 400, error: "A workspace must keep at least one owner" };
+      }
+
+      await client.query("UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND email = $3", [
+        role,
+        id,
+        email
+      ]);
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "change_member_role",
+        actorEmail: req.user.email,
+        before: { memberEmail: email, role: previousRole },
+        after: { memberEmail: email, role }
+      });
+      return { members: await getWorkspaceMembers(id, client) };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    return res.json(outcome.members);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to update workspace member" });
+  }
+});
+
+app.delete("/api/workspaces/:id/members/:email", async (req, res) => {
+  const { id } = req.params;
+  const email = String(req.params.email || "").trim().toLowerCase();
+
+  try {
+    // Owners can remove anyone; everyone else can only leave.
+    const requiredRole = email === req.user.email.toLowerCase() ? "viewer" : "owner";
+    if (!(await authorizeWorkspace(req, res, id, requiredRole))) {
+      return;
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const existingResult = await client.query(
+        "SELECT role FROM workspace_members WHERE workspace_id = $1 AND email = $2 FOR UPDATE",
+        [id, email]
+      );
+      if (existingResult.rows.length === 0) {
+        return { status: 404, error: "Member not found" };
+      }
+
+      const previousRole = existingResult.rows[0].role;
+      if (previousRole === "owner" && (await countOtherOwners(client, id, email)) === 0) {
+        return { status: 400, error: "A workspace must keep at least one owner" };
+      }
+
+      await client.query("DELETE FROM workspace_members WHERE workspace_id = $1 AND email = $2", [id, email]);
+      // Former members can no longer see these documents, so they cannot stay responsible for them.
+      await client.query("UPDATE items SET assigned_to = NULL WHERE workspace_id = $1 AND assigned_to = $2", [
+        id,
+        email
+      ]);
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "remove_member",
+        actorEmail: req.user.email,
+        before: { memberEmail: email, role: previousRole }
+      });
+      return {};
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to remove workspace member" });
+  }
+});
+
+app.get("/api/workspaces/:id/fields", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "viewer"))) {
+      return;
+    }
+
+    return res.json(await getCustomFields([id]));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load custom fields" });
+  }
+});
+
+app.post("/api/workspaces/:id/fields", validateBody("CustomFieldCreate"), async (req, res) => {
+  const { id } = req.params;
+  const { field, error } = parseCustomFieldDefinition(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const existingFields = await getCustomFields([id], client);
+      if (existingFields.length >= MAX_CUSTOM_FIELDS) {
+        return { status: 400, error: `A workspace can have at most ${MAX_CUSTOM_FIELDS} custom fields` };
+      }
+      if (existingFields.some((entry) => entry.label.toLowerCase() === field.label.toLowerCase())) {
+        return { status: 409, error: "This workspace already has a field with that label" };
+      }
+
+      const fieldId = crypto.randomUUID();
+      await client.query(
+        `INSERT INTO workspace_fields (id, workspace_id, label, field_type, options, required, position,
+                                       created_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+        [
+          fieldId,
+          id,
+          field.label,
+          field.type,
+          JSON.stringify(field.options),
+          field.required,
+          existingFields.length,
+          req.user.email
+        ]
+      );
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "add_field",
+        actorEmail: req.user.email,
+        after: { fieldId, ...field }
+      });
+      return { fields: await getCustomFields([id], client) };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    return res.status(201).json(outcome.fields);
+  } catch (routeError) {
+    return res.status(500).json({ error: "Failed to add custom field" });
+  }
+});
+
+app.put("/api/workspaces/:id/fields/:fieldId", validateBody("CustomFieldUpdate"), async (req, res) => {
+  const { id, fieldId } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const existingFields = await getCustomFields([id], client);
+      const existing = existingFields.find((entry) => entry.id === fieldId);
+      if (!existing) {
+        return { status: 404, error: "Custom field not found" };
+      }
+
+      const { field, error } = parseCustomFieldDefinition(req.body, existing);
+      if (error) {
+        return { status: 400, error };
+      }
+      if (
+        existingFields.some(
+          (entry) => entry.id !== fieldId && entry.label.toLowerCase() === field.label.toLowerCase()
+        )
+      ) {
+        return { status: 409, error: "This workspace already has a field with that label" };
+      }
+
+      await client.query(
+        "UPDATE workspace_fields SET label = $1, options = $2, required = $3 WHERE id = $4",
+        [field.label, JSON.stringify(field.options), field.required, fieldId]
+      );
+      // Values that are no longer a valid choice are cleared rather than left dangling.
+      if (field.type === "select") {
+        await client.query(
+          `UPDATE items SET custom_fields = custom_fields - $1::text
+           WHERE workspace_id = $2 AND custom_fields ? $1::text AND NOT (custom_fields->>$1::text = ANY($3))`,
+          [fieldId, id, field.options]
+        );
+      }
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "update_field",
+        actorEmail: req.user.email,
+        before: { fieldId, label: existing.label, options: existing.options, required: existing.required },
+        after: { fieldId, label: field.label, options: field.options, required: field.required }
+      });
+      return { fields: await getCustomFields([id], client) };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    return res.json(outcome.fields);
+  } catch (routeError) {
+    return res.status(500).json({ error: "Failed to update custom field" });
+  }
+});
+
+app.delete("/api/workspaces/:id/fields/:fieldId", async (req, res) => {
+  const { id, fieldId } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const removed = await withTransaction(async (client) => {
+      const deleteResult = await client.query(
+        `DELETE FROM workspace_fields WHERE id = $1 AND workspace_id = $2
+         RETURNING label, field_type AS type`,
+        [fieldId, id]
+      );
+      if (deleteResult.rows.length === 0) {
+        return false;
+      }
+
+      // Trashed documents lose the value too; restoring them cannot bring back the field.
+      await client.query(
+        `UPDATE items SET custom_fields = custom_fields - $1::text
+         WHERE workspace_id = $2 AND custom_fields ? $1::text`,
+        [fieldId, id]
+      );
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "remove_field",
+        actorEmail: req.user.email,
+        before: { fieldId, ...deleteResult.rows[0] }
+      });
+      return true;
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: "Custom field not found" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to remove custom field" });
+  }
+});
+
+// Never includes the secret; it is only returned when a webhook is created.
+const WEBHOOK_SELECT_SQL = `
+  SELECT
+    h.id,
+    h.workspace_id AS "workspaceId",
+    h.url,
+    h.events,
+    h.active,
+    h.created_by AS "createdBy",
+    h.created_at AS "createdAt",
+    (
+      SELECT json_build_object('status', d.status, 'responseStatus', d.response_status, 'createdAt', d.created_at)
+      FROM webhook_deliveries d
+      WHERE d.webhook_id = h.id
+      ORDER BY d.created_at DESC
+      LIMIT 1
+    ) AS "lastDelivery"
+  FROM webhooks h
+`;
+const WEBHOOK_DELIVERY_SELECT_SQL = `
+  SELECT
+    id,
+    webhook_id AS "webhookId",
+    event_type AS "eventType",
+    status,
+    attempts,
+    response_status AS "responseStatus",
+    last_error AS "lastError",
+    next_attempt_at AS "nextAttemptAt",
+    last_attempt_at AS "lastAttemptAt",
+    created_at AS "createdAt"
+  FROM webhook_deliveries
+`;
+
+async function getWebhook(workspaceId, webhookId, db = pool) {
+  const result = await db.query(`${WEBHOOK_SELECT_SQL} WHERE h.id = $1 AND h.workspace_id = $2`, [
+    webhookId,
+    workspaceId
+  ]);
+  return result.rows[0] || null;
+}
+
+async function getWebhookDelivery(deliveryId, db = pool) {
+  const result = await db.query(`${WEBHOOK_DELIVERY_SELECT_SQL} WHERE id = $1`, [deliveryId]);
+  return result.rows[0] || null;
+}
+
+// Deliveries queued with a next attempt time are picked up by processWebhookDeliveries;
+// test events are queued without one and sent straight away by the caller.
+async function insertWebhookDelivery(webhookId, payload, nextAttemptAt, db = pool) {
+  const id = crypto.randomUUID();
+  await db.query(
+    `INSERT INTO webhook_deliveries (id, webhook_id, event_type, payload, status, attempts, next_attempt_at,
+                                     created_at)
+     VALUES ($1, $2, $3, $4, 'pending', 0, $5, NOW())`,
+    [id, webhookId, payload.type, JSON.stringify(payload), nextAttemptAt]
+  );
+  return id;
+}
+
+function buildWebhookPayload(type, workspaceId, data) {
+  return { id: crypto.randomUUID(), type, createdAt: new Date().toISOString(), workspaceId, data };
+}
+
+async function enqueueWebhookEvent(workspaceId, type, data) {
+  const hooks = await pool.query("SELECT id FROM webhooks WHERE workspace_id = $1 AND active AND $2 = ANY(events)", [
+    workspaceId,
+    type
+  ]);
+  if (hooks.rows.length === 0) {
+    return;
+  }
+
+  const payload = buildWebhookPayload(type, workspaceId, data);
+  for (const hook of hooks.rows) {
+    await insertWebhookDelivery(hook.id, payload, new Date());
+  }
+  processWebhookDeliveries();
+}
+
+// Fire and forget: a webhook problem never fails the request that changed the document.
+function emitDocumentEvent(type, document, extra = {}, workspaceId = document.workspaceId) {
+  enqueueWebhookEvent(workspaceId, type, { document, ...extra }).catch((error) => {
+    console.error(`Failed to queue ${type} webhook:`, error?.message);
+  });
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// Sends one attempt and records the outcome. Failures are retried with exponential backoff
+// until WEBHOOK_MAX_ATTEMPTS, after which the delivery is marked failed.
+async function attemptWebhookDelivery(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  let responseStatus = null;
+  let failure = null;
+
+  try {
+    const response = await fetch(delivery.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "pooleng-expiration-tracker-webhooks",
+        "X-Webhook-Id": delivery.id,
+        "X-Webhook-Event": delivery.eventType,
+        "X-Webhook-Timestamp": timestamp,
+        "X-Webhook-Signature": `sha256=${signWebhookPayload(delivery.secret, timestamp, body)}`
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    await response.body?.cancel();
+    if (!response.ok) {
+      failure = `Receiver answered HTTP ${response.status}`;
+    }
+  } catch (error) {
+    failure = error?.name === "TimeoutError" ? "Receiver did not answer in time" : error?.message || "Request failed";
+  }
+
+  const attempts = delivery.attempts + 1;
+  let status = "succeeded";
+  let retrySeconds = null;
+  if (failure) {
+    status = attempts >= WEBHOOK_MAX_ATTEMPTS ? "failed" : "pending";
+    retrySeconds =
+      status === "pending"
+        ? Math.min(WEBHOOK_RETRY_BASE_SECONDS * 2 ** (attempts - 1), WEBHOOK_MAX_RETRY_SECONDS)
+        : null;
+  }
+
+  await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, response_status = $3, last_error = $4, last_attempt_at = NOW(),
+         next_attempt_at = CASE WHEN $5::int IS NULL THEN NULL ELSE NOW() + make_interval(secs => $5::int) END
+     WHERE id = $6`,
+    [status, attempts, responseStatus, failure, retrySeconds, delivery.id]
+  );
+}
+
+const DUE_DELIVERY_SELECT_SQL = `
+  SELECT d.id, d.event_type AS "eventType", d.payload, d.attempts, h.url, h.secret
+  FROM webhook_deliveries d
+  JOIN webhooks h ON h.id = d.webhook_id
+`;
+let webhookDeliveryRunning = false;
+
+async function processWebhookDeliveries() {
+  if (webhookDeliveryRunning) {
+    return;
+  }
+
+  webhookDeliveryRunning = true;
+  try {
+    // Keep going while full batches come back, so a burst of events is not spread over many intervals.
+    // Test pings can target a disabled webhook, so their retries run regardless of `active`.
+    for (;;) {
+      const due = await pool.query(
+        `${DUE_DELIVERY_SELECT_SQL}
+         WHERE d.status = 'pending' AND d.next_attempt_at <= NOW() AND (h.active OR d.event_type = 'ping')
+         ORDER BY d.next_attempt_at
+         LIMIT 20`
+      );
+      for (const delivery of due.rows) {
+        await attemptWebhookDelivery(delivery);
+      }
+      if (due.rows.length < 20) {
+        break;
+      }
+    }
+  } catch (error) {
+    console.error("Webhook delivery failed:", error?.message);
+  } finally {
+    webhookDeliveryRunning = false;
+  }
+}
+
+app.get("/api/workspaces/:id/webhooks", async (req, res) => {
+  try {
+    if (!(await authorizeWorkspace(req, res, req.params.id, "owner"))) {
+      return;
+    }
+
+    const result = await pool.query(`${WEBHOOK_SELECT_SQL} WHERE h.workspace_id = $1 ORDER BY h.created_at`, [
+      req.params.id
+    ]);
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load webhooks" });
+  }
+});
+
+app.post("/api/workspaces/:id/webhooks", validateBody("WebhookCreate"), async (req, res) => {
+  const { id } = req.params;
+  const { webhook, error } = parseWebhookDefinition(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const countResult = await client.query("SELECT COUNT(*)::int AS count FROM webhooks WHERE workspace_id = $1", [
+        id
+      ]);
+      if (countResult.rows[0].count >= MAX_WEBHOOKS_PER_WORKSPACE) {
+        return { status: 400, error: `A workspace can have at most ${MAX_WEBHOOKS_PER_WORKSPACE} webhooks` };
+      }
+
+      const webhookId = crypto.randomUUID();
+      await client.query(
+        `INSERT INTO webhooks (id, workspace_id, url, secret, events, active, created_by, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+        [webhookId, id, webhook.url, webhook.secret, webhook.events, webhook.active, req.user.email]
+      );
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "add_webhook",
+        actorEmail: req.user.email,
+        after: { webhookId, url: webhook.url, events: webhook.events, active: webhook.active }
+      });
+      return { webhook: await getWebhook(id, webhookId, client) };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    // The secret is shown once so the receiver can be configured to verify signatures.
+    return res.status(201).json({ ...outcome.webhook, secret: webhook.secret });
+  } catch (routeError) {
+    return res.status(500).json({ error: "Failed to create webhook" });
+  }
+});
+
+app.put("/api/workspaces/:id/webhooks/:webhookId", validateBody("WebhookUpdate"), async (req, res) => {
+  const { id, webhookId } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      const existingResult = await client.query(
+        "SELECT url, secret, events, active FROM webhooks WHERE id = $1 AND workspace_id = $2 FOR UPDATE",
+        [webhookId, id]
+      );
+      const existing = existingResult.rows[0];
+      if (!existing) {
+        return { status: 404, error: "Webhook not found" };
+      }
+
+      const { webhook, error } = parseWebhookDefinition(req.body, existing);
+      if (error) {
+        return { status: 400, error };
+      }
+
+      await client.query("UPDATE webhooks SET url = $1, secret = $2, events = $3, active = $4 WHERE id = $5", [
+        webhook.url,
+        webhook.secret,
+        webhook.events,
+        webhook.active,
+        webhookId
+      ]);
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "update_webhook",
+        actorEmail: req.user.email,
+        before: { webhookId, url: existing.url, events: existing.events, active: existing.active },
+        after: {
+          webhookId,
+          url: webhook.url,
+          events: webhook.events,
+          active: webhook.active,
+          secretChanged: webhook.secret !== existing.secret
+        }
+      });
+      return { webhook: await getWebhook(id, webhookId, client) };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+    return res.json(outcome.webhook);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to update webhook" });
+  }
+});
+
+app.delete("/api/workspaces/:id/webhooks/:webhookId", async (req, res) => {
+  const { id, webhookId } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+
+    const removed = await withTransaction(async (client) => {
+      const deleteResult = await client.query(
+        "DELETE FROM webhooks WHERE id = $1 AND workspace_id = $2 RETURNING url, events",
+        [webhookId, id]
+      );
+      if (deleteResult.rows.length === 0) {
+        return false;
+      }
+
+      await recordAudit(client, {
+        entityType: "workspace",
+        entityId: id,
+        workspaceId: id,
+        action: "remove_webhook",
+        actorEmail: req.user.email,
+        before: { webhookId, ...deleteResult.rows[0] }
+      });
+      return true;
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to remove webhook" });
+  }
+});
+
+// Sends a "ping" event right away, even to a disabled webhook, and returns the delivery.
+// A failed test is retried like any other delivery.
+app.post("/api/workspaces/:id/webhooks/:webhookId/test", async (req, res) => {
+  const { id, webhookId } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+    if (!(await getWebhook(id, webhookId))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const payload = buildWebhookPayload("ping", id, { message: "Test event", sentBy: req.user.email });
+    const deliveryId = await insertWebhookDelivery(webhookId, payload, null);
+    const delivery = (await pool.query(`${DUE_DELIVERY_SELECT_SQL} WHERE d.id = $1`, [deliveryId])).rows[0];
+    await attemptWebhookDelivery(delivery);
+    return res.status(201).json(await getWebhookDelivery(deliveryId));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to send test event" });
+  }
+});
+
+app.get("/api/workspaces/:id/webhooks/:webhookId/deliveries", async (req, res) => {
+  const { id, webhookId } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+    if (!(await getWebhook(id, webhookId))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const result = await pool.query(
+      `${WEBHOOK_DELIVERY_SELECT_SQL} WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT 50`,
+      [webhookId]
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load webhook deliveries" });
+  }
+});
+
+// Puts a failed delivery back in the queue with a fresh set of attempts.
+app.post("/api/workspaces/:id/webhooks/:webhookId/deliveries/:deliveryId/retry", async (req, res) => {
+  const { id, webhookId, deliveryId } = req.params;
+
+  try {
+    if (!(await authorizeWorkspace(req, res, id, "owner"))) {
+      return;
+    }
+    if (!(await getWebhook(id, webhookId))) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    const result = await pool.query(
+      `UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       WHERE id = $1 AND webhook_id = $2 AND status = 'failed'`,
+      [deliveryId, webhookId]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Failed delivery not found" });
+    }
+
+    processWebhookDeliveries();
+    return res.json(await getWebhookDelivery(deliveryId));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to retry webhook delivery" });
+  }
+});
+
+const INVITATION_SELECT_SQL = `
+  SELECT id, email, invited_by AS "invitedBy", created_at AS "createdAt", expires_at AS "expiresAt",
+         revoked_at AS "revokedAt", revoked_by AS "revokedBy",
+         CASE
+           WHEN revoked_at IS NOT NULL THEN 'revoked'
+           WHEN expires_at <= NOW() THEN 'expired'
+           ELSE 'active'
+         END AS status
+  FROM invitations
+`;
+
+async function sendInvitationEmail({ toEmail, invitedBy, expiresAt }) {
+  const loginUrl = `${FRONTEND_URL}/login`;
+  const expiresLabel = new Date(expiresAt).toISOString().slice(0, 10);
+  const text = [
+    `${invitedBy} has invited you to the Pool Engineering document tracker.`,
+    `Sign in with this email address at ${loginUrl} before ${expiresLabel}.`
+  ].join("\n\n");
+  const html = `<p>${escapeHtml(invitedBy)} has invited you to the Pool Engineering document tracker.</p>
+<p><a href="${escapeHtml(loginUrl)}">Sign in</a> with this email address before ${escapeHtml(expiresLabel)}.</p>`;
+
+  await sendEmail({ toEmail, subject: "You're invited to the Pool Engineering document tracker", text, html });
+}
+
+app.get("/api/invitations", async (req, res) => {
+  try {
+    const result = await pool.query(`${INVITATION_SELECT_SQL} ORDER BY created_at DESC LIMIT 200`);
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load invitations" });
+  }
+});
+
+app.post("/api/invitations", validateBody("InvitationCreate"), async (req, res) => {
+  const email = req.body.email.trim().toLowerCase();
+  const expiresInDays = req.body.expiresInDays ?? DEFAULT_INVITATION_DAYS;
+  const workspaceId = String(req.body.workspaceId || "").trim();
+  const role = req.body.role ?? "viewer";
+  if (isAllowedDomainEmail(email)) {
+    return sendFieldError(res, "email", "That address can already sign in without an invitation");
+  }
+
+  try {
+    if (workspaceId && !(await workspaceExists(workspaceId))) {
+      return sendFieldError(res, "workspaceId", "Workspace does not exist");
+    }
+
+    const invitation = await withTransaction(async (client) => {
+      const activeResult = await client.query(
+        "SELECT 1 FROM invitations WHERE email = $1 AND revoked_at IS NULL AND expires_at > NOW() FOR UPDATE",
+        [email]
+      );
+      if (activeResult.rows.length > 0) {
+        return null;
+      }
+
+      const id = crypto.randomUUID();
+      await client.query(
+        `INSERT INTO invitations (id, email, invited_by, created_at, expires_at)
+         VALUES ($1, $2, $3, NOW(), NOW() + make_interval(days => $4))`,
+        [id, email, req.user.email, expiresInDays]
+      );
+      const created = (await client.query(`${INVITATION_SELECT_SQL} WHERE id = $1`, [id])).rows[0];
+      await recordAudit(client, {
+        entityType: "invitation",
+        entityId: id,
+        action: "invite",
+        actorEmail: req.user.email,
+        after: { email, expiresAt: created.expiresAt }
+      });
+
+      if (workspaceId) {
+        const memberResult = await client.query(
+          `INSERT INTO workspace_members (workspace_id, email, role, added_by, created_at)
+           VALUES ($1, $2, $3, $4, NOW())
+           ON CONFLICT (workspace_id, email) DO NOTHING`,
+          [workspaceId, email, role, req.user.email]
+        );
+        if (memberResult.rowCount > 0) {
+          await recordAudit(client, {
+            entityType: "workspace",
+            entityId: workspaceId,
+            workspaceId,
+            action: "add_member",
+            actorEmail: req.user.email,
+            after: { memberEmail: email, role }
+          });
+        }
+      }
+
+      return created;
+    });
+
+    if (!invitation) {
+      return res.status(409).json({ error: "That address already has an active invitation" });
+    }
+
+    // The invitation stands even if the courtesy email fails; the admin can tell them directly.
+    sendInvitationEmail({ toEmail: email, invitedBy: req.user.email, expiresAt: invitation.expiresAt }).catch(
+      (error) => {
+        console.error(`Failed to send invitation email to ${email}:`, error?.message);
+      }
+    );
+
+    return res.status(201).json(invitation);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to create invitation" });
+  }
+});
+
+app.delete("/api/invitations/:id", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const revoked = await withTransaction(async (client) => {
+      const before = (await client.query(`${INVITATION_SELECT_SQL} WHERE id = $1 FOR UPDATE`, [id])).rows[0];
+      if (!before || before.revokedAt) {
+        return before || null;
+      }
+
+      await client.query("UPDATE invitations SET revoked_at = NOW(), revoked_by = $1 WHERE id = $2", [
+        req.user.email,
+        id
+      ]);
+      await client.query("DELETE FROM magic_tokens WHERE email = $1", [before.email]);
+      await client.query("UPDATE sessions SET revoked_at = NOW() WHERE email = $1 AND revoked_at IS NULL", [
+        before.email
+      ]);
+      await client.query("UPDATE api_tokens SET revoked_at = NOW() WHERE email = $1 AND revoked_at IS NULL", [
+        before.email
+      ]);
+      await recordAudit(client, {
+        entityType: "invitation",
+        entityId: id,
+        action: "revoke_invitation",
+        actorEmail: req.user.email,
+        before: { email: before.email, expiresAt: before.expiresAt }
+      });
+      return (await client.query(`${INVITATION_SELECT_SQL} WHERE id = $1`, [id])).rows[0];
+    });
+
+    if (!revoked) {
+      return res.status(404).json({ error: "Invitation not found" });
+    }
+    return res.json(revoked);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to revoke invitation" });
+  }
+});
+
+const TAG_SELECT_SQL = `
+  SELECT id, name, created_by AS "createdBy", created_at AS "createdAt"
+  FROM tags
+`;
+
+async function getTagById(id, db = pool) {
+  const result = await db.query(`${TAG_SELECT_SQL} WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function findUnknownTagId(tagIds) {
+  if (tagIds.length === 0) {
+    return null;
+  }
+
+  const result = await pool.query("SELECT id FROM tags WHERE id = ANY($1)", [tagIds]);
+  const knownIds = new Set(result.rows.map((row) => row.id));
+  return tagIds.find((tagId) => !knownIds.has(tagId)) || null;
+}
+
+async function setDocumentTags(client, itemId, tagIds) {
+  await client.query("DELETE FROM item_tags WHERE item_id = $1", [itemId]);
+  if (tagIds.length > 0) {
+    await client.query("INSERT INTO item_tags (item_id, tag_id) SELECT $1, id FROM tags WHERE id = ANY($2)", [
+      itemId,
+      tagIds
+    ]);
+  }
+}
+
+// Tags span workspaces, so anyone who edits documents somewhere may create them;
+// renaming or deleting one is left to its creator and admins.
+async function canCreateTags(email) {
+  if (isAdminEmail(email)) {
+    return true;
+  }
+
+  const result = await pool.query(
+    "SELECT 1 FROM workspace_members WHERE email = $1 AND role IN ('editor', 'owner') LIMIT 1",
+    [String(email || "").toLowerCase()]
+  );
+  return result.rows.length > 0;
+}
+
+function canManageTag(email, tag) {
+  return isAdminEmail(email) || String(tag.createdBy || "").toLowerCase() === String(email || "").toLowerCase();
+}
+
+app.get("/api/tags", async (req, res) => {
+  try {
+    const result = await pool.query(`${TAG_SELECT_SQL} ORDER BY LOWER(name) ASC`);
+    return res.json(result.rows.map((tag) => ({ ...tag, canManage: canManageTag(req.user.email, tag) })));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load tags" });
+  }
+});
+
+app.post("/api/tags", validateBody("TagInput"), async (req, res) => {
+  const { value: name, error } = parseTagName(req.body?.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    if (!(await canCreateTags(req.user.email))) {
+      return res.status(403).json({ error: "Creating tags requires editor access to a workspace" });
+    }
+
+    const tag = await withTransaction(async (client) => {
+      const insertResult = await client.query(
+        `INSERT INTO tags (id, name, created_by, created_at)
+         VALUES ($1, $2, $3, NOW())
+         ON CONFLICT (LOWER(name)) DO NOTHING
+         RETURNING id`,
+        [crypto.randomUUID(), name, req.user.email]
+      );
+      if (insertResult.rows.length === 0) {
+        return null;
+      }
+
+      const created = await getTagById(insertResult.rows[0].id, client);
+      await recordAudit(client, {
+        entityType: "tag",
+        entityId: created.id,
+        action: "create",
+        actorEmail: req.user.email,
+        after: created
+      });
+      return created;
+    });
+
+    if (!tag) {
+      return res.status(409).json({ error: "A tag with that name already exists" });
+    }
+    return res.status(201).json({ ...tag, canManage: true });
+  } catch (routeError) {
+    return res.status(500).json({ error: "Failed to create tag" });
+  }
+});
+
+app.put("/api/tags/:id", validateBody("TagInput"), async (req, res) => {
+  const { id } = req.params;
+  const { value: name, error } = parseTagName(req.body?.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const existing = await getTagById(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    if (!canManageTag(req.user.email, existing)) {
+      return res.status(403).json({ error: "Only the tag's creator or an admin can rename it" });
+    }
+
+    const duplicate = await pool.query("SELECT 1 FROM tags WHERE LOWER(name) = LOWER($1) AND id <> $2", [name, id]);
+    if (duplicate.rows.length > 0) {
+      return res.status(409).json({ error: "A tag with that name already exists" });
+    }
+
+    const saved = await withTransaction(async (client) => {
+      await client.query("UPDATE tags SET name = $1 WHERE id = $2", [name, id]);
+      const updated = await getTagById(id, client);
+      await recordAudit(client, {
+        entityType: "tag",
+        entityId: id,
+        action: "update",
+        actorEmail: req.user.email,
+        before: existing,
+        after: updated
+      });
+      return updated;
+    });
+    return res.json({ ...saved, canManage: true });
+  } catch (routeError) {
+    return res.status(500).json({ error: "Failed to rename tag" });
+  }
+});
+
+app.delete("/api/tags/:id", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const existing = await getTagById(id);
+    if (!existing) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+    if (!canManageTag(req.user.email, existing)) {
+      return res.status(403).json({ error: "Only the tag's creator or an admin can delete it" });
+    }
+
+    // item_tags rows go with the tag through ON DELETE CASCADE.
+    await withTransaction(async (client) => {
+      await client.query("DELETE FROM tags WHERE id = $1", [id]);
+      await recordAudit(client, {
+        entityType: "tag",
+        entityId: id,
+        action: "delete",
+        actorEmail: req.user.email,
+        before: existing
+      });
+    });
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to delete tag" });
+  }
+});
+
+// Resolves the query's filters to the documents the user may see. Sends the error
+// response itself and returns null when the filters are invalid or not visible to the user.
+async function resolveVisibleFilters(req, res) {
+  const workspaceId = String(req.query.workspaceId || "").trim();
+  const { filters, error } = parseDocumentFilters(req.query, req.user.email);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  if (workspaceId && !(await authorizeWorkspace(req, res, workspaceId, "viewer"))) {
+    return null;
+  }
+
+  const workspaceIds = workspaceId ? null : await getAccessibleWorkspaceIds(req.user.email);
+  return { ...filters, workspaceId: workspaceId || null, workspaceIds };
+}
+
+async function queryVisibleDocuments(req, res, options) {
+  const filters = await resolveVisibleFilters(req, res);
+  return filters ? getDocuments(filters, options) : null;
+}
+
+app.get("/api/documents", validateQuery, async (req, res) => {
+  const { paging, error } = parseDocumentPaging(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const filters = await resolveVisibleFilters(req, res);
+    if (!filters) {
+      return;
+    }
+
+    // One extra row tells us whether another page exists without a second scan.
+    const { sort, order, page, pageSize } = paging;
+    const rows = await getDocuments(filters, { sort, order, limit: pageSize + 1, offset: (page - 1) * pageSize });
+    const counts = await countDocumentsByWorkspace(filters);
+    return res.json({
+      items: rows.slice(0, pageSize),
+      total: counts.reduce((sum, entry) => sum + entry.count, 0),
+      page,
+      pageSize,
+      hasMore: rows.length > pageSize
+    });
+  } catch (routeError) {
+    return res.status(500).json({ error: "Failed to load documents" });
+  }
+});
+
+// Legacy alias: still returns every matching document as a plain array.
+app.get("/api/items", validateQuery, async (req, res) => {
+  try {
+    const documents = await queryVisibleDocuments(req, res);
+    if (documents) {
+      res.json(documents);
+    }
+  } catch (error) {
+    res.status(500).json({ error: "Failed to load documents" });
+  }
+});
+
+// Per-workspace and per-tag totals for the sidebar. Accepts the list filters except workspaceId.
+app.get("/api/documents/counts", validateQuery, async (req, res) => {
+  const { filters, error } = parseDocumentFilters(req.query, req.user.email);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const workspaceIds = await getAccessibleWorkspaceIds(req.user.email);
+    const counts = await countDocumentsByWorkspace({ ...filters, workspaceIds });
+    const tagCounts = await countDocumentsByTag({ ...filters, workspaceIds });
+    return res.json({
+      total: counts.reduce((sum, entry) => sum + entry.count, 0),
+      byWorkspace: Object.fromEntries(counts.map((entry) => [entry.workspaceId, entry.count])),
+      byTag: Object.fromEntries(tagCounts.map((entry) => [entry.tagId, entry.count]))
+    });
+  } catch (routeError) {
+    return res.status(500).json({ error: "Failed to count documents" });
+  }
+});
+
+// Dashboard overview. Accepts the same filters as GET /api/documents, including workspaceId.
+app.get("/api/stats", validateQuery, async (req, res) => {
+  try {
+    const filters = await resolveVisibleFilters(req, res);
+    if (filters) {
+      res.json(await getDocumentStats(filters));
+    }
+  } catch (error) {
+    res.status(500).json({ error: "Failed to load document statistics" });
+  }
+});
+
+app.get("/api/documents/creators", async (req, res) => {
+  try {
+    const workspaceIds = await getAccessibleWorkspaceIds(req.user.email);
+    const result = await pool.query(
+      `SELECT DISTINCT LOWER(created_by) AS email FROM items
+       WHERE deleted_at IS NULL AND created_by IS NOT NULL AND ($1::text[] IS NULL OR workspace_id = ANY($1))
+       ORDER BY email`,
+      [workspaceIds]
+    );
+    return res.json(result.rows.map((row) => row.email));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load document creators" });
+  }
+});
+
+const EXPORT_COLUMNS = [
+  { header: "Name", key: "name", width: 32 },
+  { header: "Description", key: "description", width: 40 },
+  { header: "Workspace", key: "workspaceName", width: 22 },
+  { header: "Tags", key: "tags", width: 24 },
+  { header: "Status", key: "statusLabel", width: 12 },
+  { header: "Expiration Date", key: "expirationDate", width: 16 },
+  { header: "Days Remaining", key: "daysRemaining", width: 15 },
+  { header: "Assigned To", key: "assignedTo", width: 28 },
+  { header: "Created By", key: "createdBy", width: 28 },
+  { header: "Created Date", key: "createdAt", width: 16 }
+];
+
+function toExportRows(documents, workspaceNameById) {
+  return documents.map((item) => ({
+    name: item.name,
+    description: item.description,
+    workspaceName: workspaceNameById.get(item.workspaceId) || "",
+    tags: item.tags.map((tag) => tag.name).join(", "),
+    statusLabel: STATUS_LABELS[item.status],
+    expirationDate: new Date(item.expirationDate),
+    daysRemaining: item.daysRemaining,
+    assignedTo: item.assignedTo || "",
+    createdBy: item.createdBy || "",
+    createdAt: item.createdAt ? new Date(item.createdAt) : null
+  }));
+}
+
+// Spreadsheet apps run cells starting with these characters as formulas.
+function toCsvCell(value) {
+  let text = value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? "");
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(rows) {
+  const lines = [EXPORT_COLUMNS.map((column) => toCsvCell(column.header)).join(",")];
+  for (const row of rows) {
+    lines.push(EXPORT_COLUMNS.map((column) => toCsvCell(row[column.key])).join(","));
+  }
+  // The byte order mark makes Excel read the file as UTF-8.
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+async function buildXlsx(rows) {
+  // Lazy-load exceljs so it is only paid for when someone exports a spreadsheet.
+  const ExcelJS = require("exceljs");
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Pool Engineering Document Tracker";
+  const sheet = workbook.addWorksheet("Documents", { views: [{ state: "frozen", ySplit: 1 }] });
+  sheet.columns = EXPORT_COLUMNS;
+  sheet.addRows(rows);
+  sheet.getRow(1).font = { bold: true };
+  sheet.getColumn("expirationDate").numFmt = "yyyy-mm-dd";
+  sheet.getColumn("createdAt").numFmt = "yyyy-mm-dd";
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: EXPORT_COLUMNS.length } };
+  return workbook.xlsx.writeBuffer();
+}
+
+app.get("/api/documents/export", validateQuery, async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  if (!["csv", "xlsx"].includes(format)) {
+    return res.status(400).json({ error: "format must be csv or xlsx" });
+  }
+
+  const { paging, error } = parseDocumentPaging(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const documents = await queryVisibleDocuments(req, res, { sort: paging.sort, order: paging.order });
+    if (!documents) {
+      return;
+    }
+
+    const workspaces = await getWorkspacesForUser(req.user.email);
+    const rows = toExportRows(documents, new Map(workspaces.map((workspace) => [workspace.id, workspace.name])));
+    const fileName = `documents-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    if (format === "xlsx") {
+      res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      return res.send(Buffer.from(await buildXlsx(rows)));
+    }
+
+    res.type("text/csv; charset=utf-8");
+    return res.send(buildCsv(rows));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to export documents" });
+  }
+});
+
+// Documents can only be created in, or moved to, workspaces the user can edit.
+async function authorizeTargetWorkspace(req, res, workspaceId) {
+  const role = await getWorkspaceRole(req.user?.email, workspaceId);
+  if (!role) {
+    sendFieldError(res, "workspaceId", "Selected workspace does not exist");
+    return false;
+  }
+
+  if (!hasRole(role, "editor")) {
+    res.status(403).json({ error: "This action requires editor access to the selected workspace" });
+    return false;
+  }
+
+  return true;
+}
+
+async function insertDocument(client, document, actorEmail) {
+  await client.query(
+    `INSERT INTO items (id, name, description, expiration_date, workspace_id, created_by, created_at,
+                        warning_days, critical_days, renewal_months, custom_fields, assigned_to)
+     VALUES ($1, $2, $3, $4, $5, $6, NOW(), $7, $8, $9, $10, $11)`,
+    [
+      document.id,
+      document.name,
+      document.description,
+      document.expirationDate,
+      document.workspaceId,
+      document.createdBy,
+      document.warningDays ?? null,
+      document.criticalDays ?? null,
+      document.renewalMonths ?? null,
+      JSON.stringify(document.customFields || {}),
+      document.assignedTo ?? null
+    ]
+  );
+  if (document.tagIds?.length > 0) {
+    await setDocumentTags(client, document.id, document.tagIds);
+  }
+  const created = await getDocumentById(document.id, client);
+  await recordAudit(client, {
+    entityType: "document",
+    entityId: document.id,
+    workspaceId: document.workspaceId,
+    action: "create",
+    actorEmail,
+    after: created
+  });
+  return created;
+}
+
+// Bodies are checked against DocumentCreate first; what is left here needs the database
+// or looks at several fields together.
+async function createDocumentHandler(req, res) {
+  const { name, description, expirationDate, workspaceId } = req.body;
+
+  const thresholds = parseThresholds(req.body);
+  if (thresholds.error) {
+    return sendFieldError(res, thresholds.field, thresholds.error);
+  }
+
+  const renewalMonths = parseRenewalMonths(req.body.renewalMonths);
+  const tagIds = parseTagIds(req.body.tagIds);
+  const assignee = parseAssignee(req.body.assignedTo);
+
+  try {
+    if (!(await authorizeTargetWorkspace(req, res, workspaceId))) {
+      return;
+    }
+
+    const unknownTagId = await findUnknownTagId(tagIds.value || []);
+    if (unknownTagId) {
+      return sendFieldError(res, "tagIds", `Unknown tag "${unknownTagId}"`);
+    }
+    if (assignee.value && !(await getWorkspaceRole(assignee.value, workspaceId))) {
+      return sendFieldError(res, "assignedTo", `${assignee.value} is not a member of this workspace`);
+    }
+
+    const customFields = parseCustomFieldValues(await getCustomFields([workspaceId]), req.body.customFields);
+    if (customFields.error) {
+      return sendFieldError(res, customFields.field, customFields.error);
+    }
+
+    const document = {
+      id: crypto.randomUUID(),
+      name: name.trim(),
+      description: description.trim(),
+      expirationDate: new Date(expirationDate).toISOString(),
+      workspaceId,
+      createdBy: req.user?.email || "unknown@pooleng.com",
+      warningDays: thresholds.warningDays ?? null,
+      criticalDays: thresholds.criticalDays ?? null,
+      renewalMonths: renewalMonths.value ?? null,
+      customFields: customFields.values,
+      tagIds: tagIds.value || [],
+      assignedTo: assignee.value ?? null
+    };
+
+    const createdDocument = await withTransaction((client) => insertDocument(client, document, req.user?.email));
+    if (document.assignedTo) {
+      notifyAssignee(createdDocument, req.user?.email);
+    }
+    emitDocumentEvent("document.created", createdDocument);
+
+    res.status(201).json(createdDocument);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to create document" });
+  }
+}
+
+app.post("/api/documents", validateBody("DocumentCreate"), createDocumentHandler);
+app.post("/api/items", validateBody("DocumentCreate"), createDocumentHandler);
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let index = 0; index < input.length; index += 1) {
+    const character = input[index];
+    if (inQuotes) {
+      if (character === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (character === '"') {
+        inQuotes = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      inQuotes = true;
+    } else if (character === ",") {
+      row.push(field);
+      field = "";
+    } else if (character === "\n" || character === "\r") {
+      if (character === "\r" && input[index + 1] === "\n") {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += character;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// Accepts ISO dates and the US month/day/year format spreadsheets export; returns midnight UTC or null.
+function parseImportDate(value) {
+  const trimmed = String(value || "").trim();
+  let year;
+  let month;
+  let day;
+
+  let match = trimmed.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else {
+    match = trimmed.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) {
+      return null;
+    }
+    [, month, day, year] = match.map(Number);
+  }
+
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+  if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+    return null;
+  }
+  return parsed.toISOString();
+}
+
+function resolveImportMapping(headers, query) {
+  const normalizedHeaders = headers.map((header) => header.trim().toLowerCase());
+  const mapping = {};
+
+  for (const [field, aliases] of Object.entries(IMPORT_COLUMN_ALIASES)) {
+    const requested = query[`${field}Column`];
+    if (requested !== undefined) {
+      const index = requested === "" ? -1 : normalizedHeaders.indexOf(String(requested).trim().toLowerCase());
+      if (requested !== "" && index === -1) {
+        return { error: `Column "${requested}" was not found in the CSV header` };
+      }
+      mapping[field] = index === -1 ? null : headers[index];
+    } else {
+      const index = normalizedHeaders.findIndex((header) => aliases.includes(header));
+      mapping[field] = index === -1 ? null : headers[index];
+    }
+  }
+
+  return { mapping };
+}
+
+// Validates every row without writing anything; the commit step re-runs this so
+// the preview and the import can never disagree.
+async function buildImportPreview(req, csvText) {
+  const table = parseCsv(csvText);
+  if (table.length < 2) {
+    return { error: "The CSV needs a header row and at least one document row" };
+  }
+  if (table.length - 1 > IMPORT_MAX_ROWS) {
+    return { error: `A CSV import is limited to ${IMPORT_MAX_ROWS} rows` };
+  }
+
+  const headers = table[0].map((header) => header.trim());
+  const { mapping, error } = resolveImportMapping(headers, req.query);
+  if (error) {
+    return { error };
+  }
+
+  const defaultWorkspaceId = String(req.query.workspaceId || "").trim();
+  const workspaces = await getWorkspacesForUser(req.user.email);
+  const workspaceById = new Map(workspaces.map((workspace) => [workspace.id, workspace]));
+  const workspaceByName = new Map(workspaces.map((workspace) => [workspace.name.trim().toLowerCase(), workspace]));
+  if (defaultWorkspaceId && !hasRole(workspaceById.get(defaultWorkspaceId)?.role, "editor")) {
+    return { error: "You need editor access to the default workspace" };
+  }
+
+  const editableIds = workspaces
+    .filter((workspace) => hasRole(workspace.role, "editor"))
+    .map((workspace) => workspace.id);
+  const existingKeys = new Set(
+    (await getDocuments({ workspaceIds: editableIds })).map(
+      (item) => `${item.workspaceId}|${item.name.trim().toLowerCase()}`
+    )
+  );
+  const fieldsByWorkspace = new Map();
+  for (const field of await getCustomFields(editableIds)) {
+    fieldsByWorkspace.set(field.workspaceId, [...(fieldsByWorkspace.get(field.workspaceId) || []), field]);
+  }
+  const normalizedHeaders = headers.map((header) => header.toLowerCase());
+  const seenInFile = new Map();
+  const cell = (cells, field) => (mapping[field] ? String(cells[headers.indexOf(mapping[field])] ?? "").trim() : "");
+
+  const rows = table.slice(1).map((cells, index) => {
+    const rowNumber = index + 2;
+    const errors = [];
+    const warnings = [];
+    const name = cell(cells, "name");
+    const description = cell(cells, "description");
+    const rawDate = cell(cells, "expirationDate");
+    const workspaceValue = cell(cells, "workspace");
+
+    if (!name) {
+      errors.push("Name is missing");
+    } else if (name.length > MAX_DOCUMENT_NAME_LENGTH) {
+      errors.push(`Name is longer than ${MAX_DOCUMENT_NAME_LENGTH} characters`);
+    }
+    if (!description) {
+      errors.push("Description is missing");
+    } else if (description.length > MAX_DESCRIPTION_LENGTH) {
+      errors.push(`Description is longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+
+    const expirationDate = rawDate ? parseImportDate(rawDate) : null;
+    if (!rawDate) {
+      errors.push("Expiration date is missing");
+    } else if (!expirationDate) {
+      errors.push(`"${rawDate}" is not a valid date (use YYYY-MM-DD or MM/DD/YYYY)`);
+    }
+
+    let workspace = null;
+    if (workspaceValue) {
+      workspace = workspaceById.get(workspaceValue) || workspaceByName.get(workspaceValue.toLowerCase()) || null;
+      if (!workspace) {
+        errors.push(`Unknown workspace "${workspaceValue}"`);
+      }
+    } else if (defaultWorkspaceId) {
+      workspace = workspaceById.get(defaultWorkspaceId);
+    } else {
+      errors.push("Workspace is missing and no default workspace was chosen");
+    }
+    if (workspace && !hasRole(workspace.role, "editor")) {
+      errors.push(`You need editor access to add documents to "${workspace.name}"`);
+    }
+
+    // Custom fields are read from columns named exactly like the field's label.
+    let customFields = {};
+    if (workspace) {
+      const fields = fieldsByWorkspace.get(workspace.id) || [];
+      const input = {};
+      for (const field of fields) {
+        const index = normalizedHeaders.indexOf(field.label.toLowerCase());
+        const value = index === -1 ? "" : String(cells[index] ?? "").trim();
+        if (value) {
+          const isoDate = field.type === "date" ? parseImportDate(value) : null;
+          input[field.id] = isoDate ? isoDate.slice(0, 10) : value;
+        }
+      }
+      const parsed = parseCustomFieldValues(fields, input);
+      if (parsed.error) {
+        errors.push(parsed.error);
+      } else {
+        customFields = parsed.values;
+      }
+    }
+
+    let duplicate = false;
+    if (workspace && name) {
+      const key = `${workspace.id}|${name.toLowerCase()}`;
+      if (existingKeys.has(key)) {
+        duplicate = true;
+        warnings.push(`Likely duplicate: "${workspace.name}" already has a document with this name`);
+      } else if (seenInFile.has(key)) {
+        duplicate = true;
+        warnings.push(`Likely duplicate of row ${seenInFile.get(key)}`);
+      } else {
+        seenInFile.set(key, rowNumber);
+      }
+    }
+
+    return {
+      rowNumber,
+      name,
+      description,
+      expirationDate,
+      workspaceId: workspace?.id || null,
+      workspaceName: workspace?.name || workspaceValue || null,
+      customFields,
+      errors,
+      warnings,
+      duplicate,
+      valid: errors.length === 0
+    };
+  });
+
+  return {
+    headers,
+    mapping,
+    rows,
+    summary: {
+      total: rows.length,
+      valid: rows.filter((row) => row.valid).length,
+      invalid: rows.filter((row) => !row.valid).length,
+      duplicates: rows.filter((row) => row.duplicate).length
+    }
+  };
+}
+
+const parseImportBody = express.text({ type: () => true, limit: IMPORT_MAX_BYTES });
+
+async function readImportPreview(req, res) {
+  if (typeof req.body !== "string" || !req.body.trim()) {
+    res.status(400).json({ error: "Send the CSV file as the request body" });
+    return null;
+  }
+
+  const preview = await buildImportPreview(req, req.body);
+  if (preview.error) {
+    res.status(400).json({ error: preview.error });
+    return null;
+  }
+  return preview;
+}
+
+app.post("/api/documents/import/preview", validateQuery, parseImportBody, async (req, res) => {
+  try {
+    const preview = await readImportPreview(req, res);
+    if (preview) {
+      return res.json(preview);
+    }
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to read CSV import" });
+  }
+});
+
+// Imports every valid row in one transaction; invalid rows (and likely duplicates
+// unless skipDuplicates=false) are skipped and reported back.
+app.post("/api/documents/import", validateQuery, parseImportBody, async (req, res) => {
+  const skipDuplicates = req.query.skipDuplicates !== "false";
+
+  try {
+    const preview = await readImportPreview(req, res);
+    if (!preview) {
+      return;
+    }
+
+    const rowsToImport = preview.rows.filter((row) => row.valid && !(skipDuplicates && row.duplicate));
+    if (rowsToImport.length === 0) {
+      return res.status(400).json({ error: "No valid rows to import" });
+    }
+
+    const documents = await withTransaction(async (client) => {
+      const created = [];
+      for (const row of rowsToImport) {
+        created.push(
+          await insertDocument(
+            client,
+            {
+              id: crypto.randomUUID(),
+              name: row.name,
+              description: row.description,
+              expirationDate: row.expirationDate,
+              workspaceId: row.workspaceId,
+              createdBy: req.user.email,
+              customFields: row.customFields
+            },
+            req.user.email
+          )
+        );
+      }
+      return created;
+    });
+
+    for (const document of documents) {
+      emitDocumentEvent("document.created", document);
+    }
+    return res.status(201).json({
+      imported: documents.length,
+      skipped: preview.rows.length - documents.length,
+      documents
+    });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to import documents" });
+  }
+});
+
+// Partial update: properties left out of the body keep their current values.
+async function updateDocumentHandler(req, res) {
+  const { id } = req.params;
+  const { name, description, expirationDate, workspaceId } = req.body;
+
+  const renewalMonths = parseRenewalMonths(req.body.renewalMonths);
+  const tagIds = parseTagIds(req.body.tagIds);
+
+  try {
+    if (workspaceId !== undefined && !(await authorizeTargetWorkspace(req, res, workspaceId))) {
+      return;
+    }
+
+    const existing = await authorizeDocument(req, res, id, "editor");
+    if (!existing) {
+      return;
+    }
+
+    // Overrides left out of the body are checked against the ones already on the document.
+    const thresholds = parseThresholds({
+      warningDays: req.body.warningDays === undefined ? existing.warningDays : req.body.warningDays,
+      criticalDays: req.body.criticalDays === undefined ? existing.criticalDays : req.body.criticalDays
+    });
+    if (thresholds.error) {
+      return sendFieldError(res, thresholds.field, thresholds.error);
+    }
+
+    const unknownTagId = await findUnknownTagId(tagIds.value || []);
+    if (unknownTagId) {
+      return sendFieldError(res, "tagIds", `Unknown tag "${unknownTagId}"`);
+    }
+
+    // Moving to another workspace drops the old workspace's fields and checks the new ones in full.
+    const targetWorkspaceId = workspaceId ?? existing.workspaceId;
+    const movesWorkspace = targetWorkspaceId !== existing.workspaceId;
+    const customFields = parseCustomFieldValues(await getCustomFields([targetWorkspaceId]), req.body.customFields, {
+      existing: movesWorkspace ? {} : existing.customFields,
+      requireAll: movesWorkspace
+    });
+    if (customFields.error) {
+      return sendFieldError(res, customFields.field, customFields.error);
+    }
+
+    // An assignee who cannot see the target workspace is unassigned by the move.
+    const keepsAssignee =
+      !movesWorkspace ||
+      !existing.assignedTo ||
+      Boolean(await getWorkspaceRole(existing.assignedTo, targetWorkspaceId));
+
+    const updatedDocument = {
+      ...existing,
+      ...(name !== undefined ? { name: name.trim() } : {}),
+      ...(description !== undefined ? { description: description.trim() } : {}),
+      ...(expirationDate !== undefined ? { expirationDate: new Date(expirationDate).toISOString() } : {}),
+      ...(workspaceId !== undefined ? { workspaceId } : {}),
+      warningDays: thresholds.warningDays,
+      criticalDays: thresholds.criticalDays,
+      ...(renewalMonths.value !== undefined ? { renewalMonths: renewalMonths.value } : {}),
+      customFields: customFields.values,
+      assignedTo: keepsAssignee ? existing.assignedTo : null
+    };
+
+    const savedDocument = await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE items
+         SET name = $1, description = $2, expiration_date = $3, workspace_id = $4,
+             warning_days = $5, critical_days = $6, renewal_months = $7, custom_fields = $8, assigned_to = $9
+         WHERE id = $10`,
+        [
+          updatedDocument.name,
+          updatedDocument.description,
+          updatedDocument.expirationDate,
+          updatedDocument.workspaceId,
+          updatedDocument.warningDays,
+          updatedDocument.criticalDays,
+          updatedDocument.renewalMonths,
+          JSON.stringify(updatedDocument.customFields),
+          updatedDocument.assignedTo,
+          id
+        ]
+      );
+      if (tagIds.value !== undefined) {
+        await setDocumentTags(client, id, tagIds.value);
+      }
+      const saved = await getDocumentById(id, client);
+      await recordAudit(client, {
+        entityType: "document",
+        entityId: id,
+        workspaceId: saved.workspaceId,
+        action: "update",
+        actorEmail: req.user?.email,
+        before: existing,
+        after: saved
+      });
+      return saved;
+    });
+
+    emitDocumentEvent("document.updated", savedDocument, { previous: existing });
+    // Subscribers of the old workspace learn that the document moved away.
+    if (existing.workspaceId !== savedDocument.workspaceId) {
+      emitDocumentEvent("document.updated", savedDocument, { previous: existing }, existing.workspaceId);
+    }
+    res.json(savedDocument);
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update document" });
+  }
+}
+
+app.put("/api/documents/:id", validateBody("DocumentUpdate"), updateDocumentHandler);
+app.put("/api/items/:id", validateBody("DocumentUpdate"), updateDocumentHandler);
+
+async function getRenewals(itemId) {
+  const result = await pool.query(
+    `SELECT
+       id,
+       item_id AS "documentId",
+       previous_expiration_date AS "previousExpirationDate",
+       new_expiration_date AS "newExpirationDate",
+       renewal_months AS "renewalMonths",
+       renewed_by AS "renewedBy",
+       renewed_at AS "renewedAt"
+     FROM renewals
+     WHERE item_id = $1
+     ORDER BY renewed_at DESC`,
+    [itemId]
+  );
+  return result.rows;
+}
+
+// Single document, for links that open it directly (digest emails).
+app.get("/api/documents/:id", async (req, res) => {
+  try {
+    const document = await authorizeDocument(req, res, req.params.id, "viewer");
+    if (document) {
+      res.json(document);
+    }
+  } catch (error) {
+    res.status(500).json({ error: "Failed to load document" });
+  }
+});
+
+app.get("/api/documents/:id/renewals", async (req, res) => {
+  try {
+    if (!(await authorizeDocument(req, res, req.params.id, "viewer"))) {
+      return;
+    }
+
+    return res.json(await getRenewals(req.params.id));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load renewal history" });
+  }
+});
+
+app.post("/api/documents/:id/renew", validateBody("Renewal"), async (req, res) => {
+  const { id } = req.params;
+  const { expirationDate } = req.body;
+  const renewalMonths = parseRenewalMonths(req.body.renewalMonths);
+
+  try {
+    if (!(await authorizeDocument(req, res, id, "editor"))) {
+      return;
+    }
+
+    const outcome = await withTransaction(async (client) => {
+      await client.query("SELECT id FROM items WHERE id = $1 AND deleted_at IS NULL FOR UPDATE", [id]);
+      const existing = await getDocumentById(id, client);
+
+      if (!existing) {
+        return { status: 404, error: "Document not found" };
+      }
+
+      // An explicit date wins; otherwise extend the current expiration by the renewal period.
+      const periodMonths = expirationDate === undefined ? renewalMonths.value ?? existing.renewalMonths : null;
+      if (expirationDate === undefined && !periodMonths) {
+        return { status: 400, error: "Provide a new expirationDate or a renewalMonths period for this document" };
+      }
+
+      const newExpirationDate =
+        expirationDate !== undefined
+          ? new Date(expirationDate).toISOString()
+          : addMonthsUtc(existing.expirationDate, periodMonths).toISOString();
+
+      await client.query(
+        `INSERT INTO renewals (id, item_id, previous_expiration_date, new_expiration_date, renewal_months,
+                               renewed_by, renewed_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
+        [
+          crypto.randomUUID(),
+          id,
+          existing.expirationDate,
+          newExpirationDate,
+          periodMonths,
+          req.user?.email || "unknown@pooleng.com"
+        ]
+      );
+      await client.query("UPDATE items SET expiration_date = $1 WHERE id = $2", [newExpirationDate, id]);
+      await recordAudit(client, {
+        entityType: "document",
+        entityId: id,
+        workspaceId: existing.workspaceId,
+        action: "renew",
+        actorEmail: req.user?.email,
+        before: existing,
+        after: await getDocumentById(id, client)
+      });
+      return { existing };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    const renewedDocument = await getDocumentById(id);
+    emitDocumentEvent("document.updated", renewedDocument, { previous: outcome.existing });
+    return res.json({ document: renewedDocument, renewals: await getRenewals(id) });
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to renew document" });
+  }
+});
+
+async function sendAssignmentEmail({ toEmail, document, assignedBy }) {
+  const dashboardLink = `${FRONTEND_URL}/dashboard`;
+  const expirationLabel = new Date(document.expirationDate).toISOString().slice(0, 10);
+  const text = [
+    `${assignedBy} made you responsible for renewing ${document.name}.`,
+    `Expiration date: ${expirationLabel}`,
+    "Expiration reminders for it will now come to you.",
+    "",
+    `Open the tracker: ${dashboardLink}`
+  ].join("\n");
+  const html =
+    `<p>${escapeHtml(assignedBy)} made you responsible for renewing ` +
+    `<strong>${escapeHtml(document.name)}</strong>.</p>` +
+    `<p>Expiration date: ${expirationLabel}<br />Expiration reminders for it will now come to you.</p>` +
+    `<p><a href="${dashboardLink}">Open the tracker</a></p>`;
+
+  await sendEmail({ toEmail, subject: `You are now responsible for ${document.name}`, text, html });
+}
+
+// The assignment stands even if this email fails; nobody is told about assigning themselves.
+function notifyAssignee(document, actorEmail) {
+  if (!document.assignedTo || document.assignedTo === String(actorEmail || "").toLowerCase()) {
+    return;
+  }
+
+  sendAssignmentEmail({ toEmail: document.assignedTo, document, assignedBy: actorEmail }).catch((error) => {
+    console.error(`Failed to send assignment email to ${document.assignedTo}:`, error?.message);
+  });
+}
+
+app.post("/api/documents/:id/assign", validateBody("Assignment"), async (req, res) => {
+  const { id } = req.params;
+  const assignee = parseAssignee(req.body.assignedTo ?? null);
+
+  try {
+    const existing = await authorizeDocument(req, res, id, "editor");
+    if (!existing) {
+      return;
+    }
+    if (assignee.value && !(await getWorkspaceRole(assignee.value, existing.workspaceId))) {
+      return sendFieldError(res, "assignedTo", `${assignee.value} is not a member of this workspace`);
+    }
+
+    const savedDocument = await withTransaction(async (client) => {
+      await client.query("UPDATE items SET assigned_to = $1 WHERE id = $2", [assignee.value, id]);
+      const saved = await getDocumentById(id, client);
+      await recordAudit(client, {
+        entityType: "document",
+        entityId: id,
+        workspaceId: saved.workspaceId,
+        action: "assign",
+        actorEmail: req.user.email,
+        before: existing,
+        after: saved
+      });
+      return saved;
+    });
+
+    if (savedDocument.assignedTo !== existing.assignedTo) {
+      notifyAssignee(savedDocument, req.user.email);
+      emitDocumentEvent("document.updated", savedDocument, { previous: existing });
+    }
+    return res.json(savedDocument);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to assign document" });
+  }
+});
+
+async function deleteDocumentById(id, req, res) {
+  try {
+    const existing = await authorizeDocument(req, res, id, "editor");
+    if (!existing) {
+      return;
+    }
+
+    await withTransaction(async (client) => {
+      await client.query("UPDATE items SET deleted_at = NOW(), deleted_by = $1 WHERE id = $2", [
+        req.user?.email || null,
+        id
+      ]);
+      await recordAudit(client, {
+        entityType: "document",
+        entityId: id,
+        workspaceId: existing.workspaceId,
+        action: "delete",
+        actorEmail: req.user?.email,
+        before: existing,
+        after: await getTrashedDocumentById(id, client)
+      });
+    });
+
+    emitDocumentEvent("document.deleted", existing);
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to delete document" });
+  }
+}
+
+app.delete("/api/documents/:id", async (req, res) => {
+  return deleteDocumentById(req.params.id, req, res);
+});
+
+app.post("/api/documents/:id/delete", async (req, res) => {
+  return deleteDocumentById(req.params.id, req, res);
+});
+
+app.delete("/api/items/:id", async (req, res) => {
+  return deleteDocumentById(req.params.id, req, res);
+});
+
+app.post("/api/items/:id/delete", async (req, res) => {
+  return deleteDocumentById(req.params.id, req, res);
+});
+
+const ATTACHMENT_SELECT_SQL = `
+  SELECT
+    id,
+    item_id AS "documentId",
+    file_name AS "fileName",
+    content_type AS "contentType",
+    size_bytes AS "sizeBytes",
+    uploaded_by AS "uploadedBy",
+    created_at AS "createdAt"
+  FROM attachments
+`;
+
+async function getAttachments(itemId) {
+  const result = await pool.query(`${ATTACHMENT_SELECT_SQL} WHERE item_id = $1 ORDER BY created_at ASC`, [itemId]);
+  return result.rows;
+}
+
+app.get("/api/documents/:id/attachments", async (req, res) => {
+  try {
+    if (!(await authorizeDocument(req, res, req.params.id, "viewer"))) {
+      return;
+    }
+
+    return res.json(await getAttachments(req.params.id));
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load attachments" });
+  }
+});
+
+// Files are sent as the raw request body with the name in ?fileName=, so no multipart parser is needed.
+app.post(
+  "/api/documents/:id/attachments",
+  validateQuery,
+  express.raw({ type: () => true, limit: ATTACHMENT_MAX_BYTES }),
+  async (req, res) => {
+    const { id } = req.params;
+    const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (body.length === 0) {
+      return res.status(400).json({ error: "File is empty" });
+    }
+
+    const contentType = detectAttachmentType(body);
+    if (!contentType) {
+      return res.status(415).json({ error: "Only PDF and image files (PNG, JPEG, GIF, WebP, TIFF) are allowed" });
+    }
+
+    const attachment = {
+      id: crypto.randomUUID(),
+      fileName: sanitizeFileName(req.query.fileName),
+      contentType,
+      sizeBytes: body.length,
+      uploadedBy: req.user?.email || "unknown@pooleng.com"
+    };
+    const storageKey = ATTACHMENT_STORAGE === "disk" ? attachment.id : null;
+
+    try {
+      const document = await authorizeDocument(req, res, id, "editor");
+      if (!document) {
+        return;
+      }
+
+      if (storageKey) {
+        await fs.promises.mkdir(ATTACHMENT_DIR, { recursive: true });
+        await fs.promises.writeFile(getAttachmentPath(storageKey), body);
+      }
+
+      await withTransaction(async (client) => {
+        await client.query(
+          `INSERT INTO attachments (id, item_id, file_name, content_type, size_bytes, storage, storage_key, data,
+                                    uploaded_by, created_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+          [
+            attachment.id,
+            id,
+            attachment.fileName,
+            attachment.contentType,
+            attachment.sizeBytes,
+            ATTACHMENT_STORAGE,
+            storageKey,
+            storageKey ? null : body,
+            attachment.uploadedBy
+          ]
+        );
+        await recordAudit(client, {
+          entityType: "document",
+          entityId: id,
+          workspaceId: document.workspaceId,
+          action: "add_attachment",
+          actorEmail: req.user?.email,
+          after: { fileName: attachment.fileName, contentType, sizeBytes: attachment.sizeBytes }
+        });
+      });
+
+      const result = await pool.query(`${ATTACHMENT_SELECT_SQL} WHERE id = $1`, [attachment.id]);
+      return res.status(201).json(result.rows[0]);
+    } catch (error) {
+      if (storageKey) {
+        removeStoredFiles([storageKey]);
+      }
+      return res.status(500).json({ error: "Failed to upload attachment" });
+    }
+  }
+);
+
+// Loads an attachment of a non-trashed document, answering 404/403 like authorizeDocument.
+async function authorizeAttachment(req, res, id, requiredRole) {
+  const result = await pool.query(
+    `SELECT a.id, a.item_id AS "documentId", a.file_name AS "fileName", a.content_type AS "contentType",
+            a.storage, a.storage_key AS "storageKey", i.workspace_id AS "workspaceId"
+     FROM attachments a
+     JOIN items i ON i.id = a.item_id
+     WHERE a.id = $1 AND i.deleted_at IS NULL`,
+    [id]
+  );
+  const attachment = result.rows[0];
+  const role = attachment ? await getWorkspaceRole(req.user?.email, attachment.workspaceId) : null;
+  if (!role) {
+    res.status(404).json({ error: "Attachment not found" });
+    return null;
+  }
+
+  if (!hasRole(role, requiredRole)) {
+    res.status(403).json({ error: `This action requires ${requiredRole} access to the workspace` });
+    return null;
+  }
+
+  return attachment;
+}
+
+app.get("/api/attachments/:id", validateQuery, async (req, res) => {
+  try {
+    const attachment = await authorizeAttachment(req, res, req.params.id, "viewer");
+    if (!attachment) {
+      return;
+    }
+
+    let content;
+    if (attachment.storage === "disk") {
+      content = await fs.promises.readFile(getAttachmentPath(attachment.storageKey));
+    } else {
+      const dataResult = await pool.query("SELECT data FROM attachments WHERE id = $1", [attachment.id]);
+      content = dataResult.rows[0].data;
+    }
+
+    const disposition = req.query.download === "1" ? "attachment" : "inline";
+    res.setHeader("Content-Type", attachment.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `${disposition}; filename="${attachment.fileName.replace(/[^\x20-\x7e]/g, "_")}"; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+    );
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.send(content);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load attachment" });
+  }
+});
+
+app.delete("/api/attachments/:id", async (req, res) => {
+  try {
+    const attachment = await authorizeAttachment(req, res, req.params.id, "editor");
+    if (!attachment) {
+      return;
+    }
+
+    await withTransaction(async (client) => {
+      await client.query("DELETE FROM attachments WHERE id = $1", [attachment.id]);
+      await recordAudit(client, {
+        entityType: "document",
+        entityId: attachment.documentId,
+        workspaceId: attachment.workspaceId,
+        action: "remove_attachment",
+        actorEmail: req.user?.email,
+        before: { fileName: attachment.fileName, contentType: attachment.contentType }
+      });
+    });
+
+    if (attachment.storage === "disk") {
+      removeStoredFiles([attachment.storageKey]);
+    }
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to delete attachment" });
+  }
+});
+
+app.get("/api/trash", validateQuery, async (req, res) => {
+  const workspaceId = String(req.query.workspaceId || "").trim();
+
+  try {
+    const values = [TRASH_RETENTION_DAYS];
+    let workspaceFilter = "";
+    if (workspaceId) {
+      if (!(await authorizeWorkspace(req, res, workspaceId, "viewer"))) {
+        return;
+      }
+      values.push(workspaceId);
+      workspaceFilter = "AND i.workspace_id = $2";
+    } else {
+      const workspaceIds = await getAccessibleWorkspaceIds(req.user.email);
+      if (workspaceIds) {
+        values.push(workspaceIds);
+        workspaceFilter = "AND i.workspace_id = ANY($2)";
+      }
+    }
+
+    const result = await pool.query(
+      `SELECT doc.*, doc."deletedAt" + make_interval(days => $1) AS "purgeAt"
+       FROM (${DOCUMENT_SELECT_SQL} WHERE i.deleted_at IS NOT NULL ${workspaceFilter}) doc
+       ORDER BY doc."deletedAt" DESC`,
+      values
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load trash" });
+  }
+});
+
+app.post("/api/trash/:id/restore", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const trashed = await authorizeDocument(req, res, id, "editor", { trashed: true });
+    if (!trashed) {
+      return;
+    }
+
+    const restoredDocument = await withTransaction(async (client) => {
+      await client.query("UPDATE items SET deleted_at = NULL, deleted_by = NULL WHERE id = $1", [id]);
+      const restored = await getDocumentById(id, client);
+      await recordAudit(client, {
+        entityType: "document",
+        entityId: id,
+        workspaceId: restored.workspaceId,
+        action: "restore",
+        actorEmail: req.user?.email,
+        before: trashed,
+        after: restored
+      });
+      return restored;
+    });
+
+    emitDocumentEvent("document.created", restoredDocument, { restored: true });
+    return res.json(restoredDocument);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to restore document" });
+  }
+});
+
+// Returns the disk storage keys to remove once the surrounding transaction commits.
+async function purgeDocument(client, trashed, actorEmail) {
+  const filesResult = await client.query(
+    "SELECT storage_key FROM attachments WHERE item_id = $1 AND storage = 'disk'",
+    [trashed.id]
+  );
+  await client.query("DELETE FROM items WHERE id = $1", [trashed.id]);
+  await recordAudit(client, {
+    entityType: "document",
+    entityId: trashed.id,
+    workspaceId: trashed.workspaceId,
+    action: "purge",
+    actorEmail,
+    before: trashed
+  });
+  return filesResult.rows.map((row) => row.storage_key);
+}
+
+app.delete("/api/trash/:id", async (req, res) => {
+  try {
+    const trashed = await authorizeDocument(req, res, req.params.id, "editor", { trashed: true });
+    if (!trashed) {
+      return;
+    }
+
+    const storageKeys = await withTransaction((client) => purgeDocument(client, trashed, req.user?.email));
+    removeStoredFiles(storageKeys);
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to permanently delete document" });
+  }
+});
+
+app.get("/api/audit", validateQuery, async (req, res) => {
+  const filters = [];
+  const values = [];
+  const addFilter = (clause, value) => {
+    values.push(value);
+    filters.push(clause.replace("?", `$${values.length}`));
+  };
+
+  const documentId = String(req.query.documentId || "").trim();
+  const workspaceId = String(req.query.workspaceId || "").trim();
+  const actor = String(req.query.actor || "").trim().toLowerCase();
+  const { from, to } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return res.status(400).json({ error: "from and to must be valid dates" });
+  }
+
+  try {
+    if (workspaceId && !(await authorizeWorkspace(req, res, workspaceId, "viewer"))) {
+      return;
+    }
+
+    // Entries are scoped by the workspace they were recorded in, which also covers purged documents.
+    const workspaceIds = await getAccessibleWorkspaceIds(req.user.email);
+    if (workspaceIds) {
+      addFilter("workspace_id = ANY(?)", workspaceIds);
+    }
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load audit log" });
+  }
+
+  if (documentId) {
+    addFilter("entity_type = 'document' AND entity_id = ?", documentId);
+  }
+  if (workspaceId) {
+    addFilter("workspace_id = ?", workspaceId);
+  }
+  if (actor) {
+    addFilter("LOWER(actor_email) = ?", actor);
+  }
+  if (from) {
+    addFilter("created_at >= ?", new Date(from).toISOString());
+  }
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    // A plain date includes that whole (UTC) day.
+    const dayAfter = new Date(to);
+    dayAfter.setUTCDate(dayAfter.getUTCDate() + 1);
+    addFilter("created_at < ?", dayAfter.toISOString());
+  } else if (to) {
+    addFilter("created_at <= ?", new Date(to).toISOString());
+  }
+
+  const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+  values.push(limit);
+
+  try {
+    const result = await pool.query(
+      `SELECT
+         id,
+         entity_type AS "entityType",
+         entity_id AS "entityId",
+         workspace_id AS "workspaceId",
+         action,
+         actor_email AS "actorEmail",
+         before_data AS "before",
+         after_data AS "after",
+         created_at AS "createdAt"
+       FROM audit_log
+       ${filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : ""}
+       ORDER BY created_at DESC
+       LIMIT $${values.length}`,
+      values
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load audit log" });
+  }
+});
+
+const CALENDAR_FEED_SELECT_SQL = `
+  SELECT f.id, f.workspace_id AS "workspaceId", w.name AS "workspaceName",
+         f.include_reminders AS "includeReminders", f.created_at AS "createdAt", f.last_used_at AS "lastUsedAt"
+  FROM calendar_feeds f
+  LEFT JOIN workspaces w ON w.id = f.workspace_id
+`;
+
+function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545 caps content lines at 75 octets; longer lines continue after CRLF + space.
+function foldIcsLine(line) {
+  const chunks = [];
+  let current = "";
+  for (const character of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + character) > limit) {
+      chunks.push(current);
+      current = "";
     }
+    current += character;
   }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
 
-  // Backfill legacy rows to satisfy "document belongs to a workspace".
-  await pool.query(
-    "UPDATE items SET workspace_id = $1 WHERE workspace_id IS NULL OR workspace_id = ''",
-    [defaultWorkspaceId]
-  );
-  await pool.query(
-    "UPDATE items SET created_by = 'legacy@pooleng.com' WHERE created_by IS NULL OR created_by = ''"
-  );
-  await pool.query("UPDATE items SET created_at = NOW() WHERE created_at IS NULL");
+function formatIcsDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, "");
 }
 
-async function getAllWorkspaces() {
-  const result = await pool.query(
-    'SELECT id, name, created_at AS "createdAt" FROM workspaces ORDER BY created_at ASC'
-  );
-  return result.rows;
+function formatIcsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
 }
 
-async function workspaceExists(workspaceId) {
-  const result = await pool.query("SELECT id FROM workspaces WHERE id = $1 LIMIT 1", [workspaceId]);
-  return result.rows.length > 0;
+function buildIcsEvent({ uid, date, summary, description, stamp }) {
+  const nextDay = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatIcsDate(date)}`,
+    `DTEND;VALUE=DATE:${formatIcsDate(nextDay)}`,
+    `SUMMARY:${escapeIcsText(summary)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    `URL:${FRONTEND_URL}/dashboard`,
+    "TRANSP:TRANSPARENT",
+    "END:VEVENT"
+  ];
 }
 
-async function getDocuments(workspaceId) {
-  const baseQuery = `
-    SELECT
-      id,
-      name,
-      description,
-      expiration_date AS "expirationDate",
-      workspace_id AS "workspaceId",
-      created_by AS "createdBy",
-      created_at AS "createdAt"
-    FROM items
-  `;
+function buildCalendar({ name, documents, workspaceNameById, includeReminders }) {
+  const stamp = formatIcsTimestamp(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Pool Engineering//Document Expiration Tracker//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H"
+  ];
 
-  if (workspaceId) {
-    const result = await pool.query(
-      `${baseQuery} WHERE workspace_id = $1 ORDER BY expiration_date ASC`,
-      [workspaceId]
+  for (const item of documents) {
+    const expiration = new Date(item.expirationDate);
+    const workspaceName = workspaceNameById.get(item.workspaceId) || "";
+    const description = `${item.description}\nWorkspace: ${workspaceName}\nStatus: ${STATUS_LABELS[item.status]}`;
+    lines.push(
+      ...buildIcsEvent({
+        uid: `${item.id}@expiration-tracker`,
+        date: expiration,
+        summary: `Expires: ${item.name}`,
+        description,
+        stamp
+      })
     );
-    return result.rows;
+
+    if (!includeReminders) {
+      continue;
+    }
+
+    // Lead-time events mark where the document turns yellow and red, using the same windows as its status.
+    const windows = [
+      { kind: "warning", days: item.effectiveWarningDays },
+      { kind: "critical", days: item.effectiveCriticalDays }
+    ];
+    for (const leadWindow of windows) {
+      if (!(leadWindow.days > 0)) {
+        continue;
+      }
+      lines.push(
+        ...buildIcsEvent({
+          uid: `${item.id}-${leadWindow.kind}@expiration-tracker`,
+          date: new Date(expiration.getTime() - leadWindow.days * 24 * 60 * 60 * 1000),
+          summary: `Renew soon: ${item.name} expires in ${leadWindow.days} days`,
+          description,
+          stamp
+        })
+      );
+    }
   }
 
-  const result = await pool.query(`${baseQuery} ORDER BY expiration_date ASC`);
-  return result.rows;
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
 }
 
-app.post("/auth/request-magic-link", async (req, res) => {
-  const email = String(req.body?.email || "").trim().toLowerCase();
-  if (!isPoolEngEmail(email)) {
-    return res.status(400).json({ error: "Only @pooleng.com emails are allowed" });
+app.get("/api/calendar-feeds", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${CALENDAR_FEED_SELECT_SQL} WHERE f.email = $1 AND f.revoked_at IS NULL ORDER BY f.created_at DESC`,
+      [req.user.email]
+    );
+    return res.json(result.rows);
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to load calendar feeds" });
   }
+});
 
-  await deleteExpiredMagicTokens();
+// The feed URL embeds a secret token because calendar clients cannot send the session cookie.
+// Only its hash is stored, so the URL is returned once, at creation. Feeds do not expire, so only a
+// browser session may create one.
+app.post("/api/calendar-feeds", requireSession, validateBody("CalendarFeedCreate"), async (req, res) => {
+  const workspaceId = req.body.workspaceId || null;
+  const includeReminders = req.body.includeReminders === true;
 
-  const rawToken = crypto.randomBytes(32).toString("hex");
-  const tokenHash = hashToken(rawToken);
-  const expiresAtIso = new Date(Date.now() + MAGIC_LINK_MINUTES * 60 * 1000).toISOString();
-  await pool.query(
-    "INSERT INTO magic_tokens (token_hash, email, expires_at) VALUES ($1, $2, $3) ON CONFLICT (token_hash) DO UPDATE SET email = EXCLUDED.email, expires_at = EXCLUDED.expires_at",
-    [tokenHash, email, expiresAtIso]
-  );
+  try {
+    if (workspaceId && !(await authorizeWorkspace(req, res, workspaceId, "viewer"))) {
+      return;
+    }
 
-  const link = `${MAGIC_LINK_BASE_URL}/auth/verify-magic?token=${encodeURIComponent(rawToken)}`;
+    const id = crypto.randomUUID();
+    const rawToken = crypto.randomBytes(32).toString("hex");
+    await pool.query(
+      `INSERT INTO calendar_feeds (id, token_hash, email, workspace_id, include_reminders, created_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())`,
+      [id, hashToken(rawToken), req.user.email, workspaceId, includeReminders]
+    );
 
-  try {
-    await sendMagicLinkEmail({ toEmail: email, link });
+    const feed = (await pool.query(`${CALENDAR_FEED_SELECT_SQL} WHERE f.id = $1`, [id])).rows[0];
+    return res.status(201).json({ ...feed, url: `${BACKEND_URL}/calendar/${rawToken}.ics` });
   } catch (error) {
-    console.error("Magic link send failed:", {
-      message: error?.message,
-      code: error?.code,
-      response: error?.response
-    });
-    await pool.query("DELETE FROM magic_tokens WHERE token_hash = $1", [tokenHash]).catch(() => {});
-    return res.status(500).json({
-      error:
-        process.env.NODE_ENV === "production"
-          ? "Failed to send magic link email"
-          : `Failed to send magic link email: ${error?.message || "Unknown SMTP error"}`
-    });
+    return res.status(500).json({ error: "Failed to create calendar feed" });
   }
-
-  return res.json({ message: "If the email is valid, a magic login link has been sent." });
 });
 
-app.get("/auth/verify-magic", async (req, res) => {
-  const rawToken = String(req.query.token || "");
-  if (!rawToken) {
-    return res.redirect(`${FRONTEND_URL}/login?error=missing_token`);
+app.delete("/api/calendar-feeds/:id", async (req, res) => {
+  try {
+    const result = await pool.query(
+      "UPDATE calendar_feeds SET revoked_at = NOW() WHERE id = $1 AND email = $2 AND revoked_at IS NULL",
+      [req.params.id, req.user.email]
+    );
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+    return res.status(204).send();
+  } catch (error) {
+    return res.status(500).json({ error: "Failed to revoke calendar feed" });
   }
+});
 
+app.get("/calendar/:token.ics", async (req, res) => {
   try {
-    await deleteExpiredMagicTokens();
-    const tokenHash = hashToken(rawToken);
-    const tokenResult = await pool.query(
-      "SELECT email, expires_at AS \"expiresAt\" FROM magic_tokens WHERE token_hash = $1 LIMIT 1",
-      [tokenHash]
+    const feedResult = await pool.query(
+      `SELECT id, email, workspace_id AS "workspaceId", include_reminders AS "includeReminders"
+       FROM calendar_feeds WHERE token_hash = $1 AND revoked_at IS NULL`,
+      [hashToken(String(req.params.token || ""))]
     );
-
-    if (tokenResult.rows.length === 0) {
-      return res.redirect(`${FRONTEND_URL}/login?error=expired_or_invalid`);
+    const feed = feedResult.rows[0];
+    // The feed only ever shows what its owner could see in the dashboard right now.
+    if (!feed || !(await canSignIn(feed.email))) {
+      return res.status(404).send("Calendar feed not found");
     }
 
-    const tokenRecord = tokenResult.rows[0];
-    if (new Date(tokenRecord.expiresAt).getTime() <= Date.now()) {
-      await pool.query("DELETE FROM magic_tokens WHERE token_hash = $1", [tokenHash]).catch(() => {});
-      return res.redirect(`${FRONTEND_URL}/login?error=expired_or_invalid`);
+    let documents;
+    if (feed.workspaceId) {
+      if (!(await getWorkspaceRole(feed.email, feed.workspaceId))) {
+        return res.status(404).send("Calendar feed not found");
+      }
+      documents = await getDocuments({ workspaceId: feed.workspaceId });
+    } else {
+      documents = await getDocuments({ workspaceIds: await getAccessibleWorkspaceIds(feed.email) });
     }
 
-    const sessionToken = createSessionToken(tokenRecord.email);
-    res.cookie(COOKIE_NAME, sessionToken, getSessionCookieOptions());
-    return res.redirect(`${FRONTEND_URL}/dashboard`);
+    const workspaces = await getWorkspacesForUser(feed.email);
+    const workspaceNameById = new Map(workspaces.map((workspace) => [workspace.id, workspace.name]));
+    const name = feed.workspaceId
+      ? `Expirations - ${workspaceNameById.get(feed.workspaceId)}`
+      : "Expirations - All workspaces";
+
+    pool.query("UPDATE calendar_feeds SET last_used_at = NOW() WHERE id = $1", [feed.id]).catch((error) => {
+      console.error("Failed to update calendar feed usage:", error?.message);
+    });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", 'inline; filename="expirations.ics"');
+    res.set("Cache-Control", "private, max-age=300");
+    return res.send(buildCalendar({ name, documents, workspaceNameById, includeReminders: feed.includeReminders }));
   } catch (error) {
-    return res.redirect(`${FRONTEND_URL}/login?error=expired_or_invalid`);
+    return res.status(500).send("Failed to build calendar feed");
   }
 });
 
-app.get("/auth/me", requireAuth, (req, res) => {
-  return res.json({ email: req.user.email });
-});
+async function getDigestSettings(email) {
+  const result = await pool.query(
+    `SELECT frequency, workspace_ids AS "workspaceIds", last_sent_on::text AS "lastSentOn"
+     FROM digest_settings WHERE email = $1`,
+    [String(email || "").toLowerCase()]
+  );
+  return result.rows[0] || { frequency: "off", workspaceIds: null, lastSentOn: null };
+}
 
-app.post("/auth/logout", (req, res) => {
-  res.clearCookie(COOKIE_NAME, getSessionCookieOptions());
-  return res.status(204).send();
-});
+function serializeDigestSettings(settings) {
+  return { ...settings, hourUtc: DIGEST_HOUR_UTC, weekday: WEEKDAY_NAMES[DIGEST_WEEKDAY] };
+}
 
-app.use("/api/workspaces", requireAuth);
-app.use("/api/documents", requireAuth);
-app.use("/api/items", requireAuth);
+// Documents that need attention, grouped by workspace in the user's workspace order.
+// Workspaces the user has since lost access to are left out.
+async function buildDigestGroups(email, workspaceIds) {
+  const workspaces = (await getWorkspacesForUser(email)).filter(
+    (workspace) => !workspaceIds || workspaceIds.includes(workspace.id)
+  );
+  if (workspaces.length === 0) {
+    return [];
+  }
+
+  const documents = await getDocuments({
+    workspaceIds: workspaces.map((workspace) => workspace.id),
+    statuses: DIGEST_STATUSES
+  });
+  return workspaces
+    .map((workspace) => ({
+      workspace,
+      documents: documents.filter((document) => document.workspaceId === workspace.id)
+    }))
+    .filter((group) => group.documents.length > 0);
+}
+
+function buildDigestEmail(groups, frequency) {
+  const counts = Object.fromEntries(DIGEST_STATUSES.map((status) => [status, 0]));
+  for (const group of groups) {
+    for (const document of group.documents) {
+      counts[document.status] += 1;
+    }
+  }
+
+  const summary = DIGEST_STATUSES.filter((status) => counts[status] > 0)
+    .map((status) => `${counts[status]} ${STATUS_LABELS[status].toLowerCase()}`)
+    .join(", ");
+  const title =
+    { daily: "Daily expiration digest", weekly: "Weekly expiration digest" }[frequency] || "Expiration digest";
+  const subject = `${title}: ${summary}`;
+  const dashboardLink = `${FRONTEND_URL}/dashboard`;
+  const workspaceLink = (workspace) =>
+    `${dashboardLink}?workspaceId=${encodeURIComponent(workspace.id)}&status=${DIGEST_STATUSES.join(",")}`;
+  const documentLink = (document) => `${dashboardLink}?document=${encodeURIComponent(document.id)}`;
+  const describe = (document) => {
+    const expirationLabel = new Date(document.expirationDate).toISOString().slice(0, 10);
+    const days = document.daysRemaining;
+    let timing;
+    if (days < 0) {
+      timing = `expired ${-days} day${days === -1 ? "" : "s"} ago`;
+    } else if (days === 0) {
+      timing = "expires today";
+    } else {
+      timing = `expires in ${days} day${days === 1 ? "" : "s"}`;
+    }
+    return `${STATUS_LABELS[document.status]}: ${document.name}, ${expirationLabel} (${timing})`;
+  };
+
+  const textLines = [`Documents that need attention: ${summary}.`];
+  let html = `<p>Documents that need attention: ${escapeHtml(summary)}.</p>`;
+  for (const { workspace, documents } of groups) {
+    textLines.push("", `${workspace.name} (${workspaceLink(workspace)})`);
+    html += `<h3><a href="${escapeHtml(workspaceLink(workspace))}">${escapeHtml(workspace.name)}</a></h3><ul>`;
+    for (const document of documents) {
+      const responsible = document.assignedTo ? `, responsible: ${document.assignedTo}` : "";
+      textLines.push(`- ${describe(document)}${responsible}`, `  ${documentLink(document)}`);
+      html +=
+        `<li><a href="${escapeHtml(documentLink(document))}">${escapeHtml(describe(document))}</a>` +
+        `${escapeHtml(responsible)}</li>`;
+    }
+    html += "</ul>";
+  }
+  textLines.push("", `Change or turn off this digest in the tracker: ${dashboardLink}`);
+  html += `<p><a href="${dashboardLink}">Change or turn off this digest in the tracker</a></p>`;
+
+  return { subject, text: textLines.join("\n"), html };
+}
+
+// Returns the number of documents listed; nothing is sent when there are none.
+// Manual sends get a neutral subject, since the user's schedule may be "off".
+async function sendDigest(email, settings, { manual = false } = {}) {
+  const groups = await buildDigestGroups(email, settings.workspaceIds);
+  const count = groups.reduce((sum, group) => sum + group.documents.length, 0);
+  if (count > 0) {
+    await sendEmail({ toEmail: email, ...buildDigestEmail(groups, manual ? null : settings.frequency) });
+  }
+  return count;
+}
+
+async function runDigestScan() {
+  if (digestScanRunning || new Date().getUTCHours() < DIGEST_HOUR_UTC) {
+    return;
+  }
+
+  digestScanRunning = true;
+  let sentCount = 0;
 
-app.get("/api/workspaces", async (req, res) => {
   try {
-    res.json(await getAllWorkspaces());
+    const dueResult = await pool.query(
+      `SELECT email, frequency, workspace_ids AS "workspaceIds", last_sent_on::text AS "lastSentOn"
+       FROM digest_settings
+       WHERE (frequency = 'daily' OR (frequency = 'weekly' AND $1))
+         AND (last_sent_on IS NULL OR last_sent_on < (NOW() AT TIME ZONE 'UTC')::date)`,
+      [new Date().getUTCDay() === DIGEST_WEEKDAY]
+    );
+
+    for (const settings of dueResult.rows) {
+      // Claim today's digest before sending; a failed send releases the claim for the next scan.
+      const claim = await pool.query(
+        `UPDATE digest_settings SET last_sent_on = (NOW() AT TIME ZONE 'UTC')::date
+         WHERE email = $1 AND last_sent_on IS NOT DISTINCT FROM $2::date`,
+        [settings.email, settings.lastSentOn]
+      );
+      if (claim.rowCount === 0 || !(await canSignIn(settings.email))) {
+        continue;
+      }
+
+      try {
+        if ((await sendDigest(settings.email, settings)) > 0) {
+          sentCount += 1;
+        }
+      } catch (error) {
+        console.error(`Digest send to ${settings.email} failed:`, error?.message);
+        await pool
+          .query("UPDATE digest_settings SET last_sent_on = $2::date WHERE email = $1", [
+            settings.email,
+            settings.lastSentOn
+          ])
+          .catch(() => {});
+      }
+    }
+
+    if (sentCount > 0) {
+      console.log(`Sent ${sentCount} digest email(s)`);
+    }
   } catch (error) {
-    res.status(500).json({ error: "Failed to load workspaces" });
+    console.error("Digest scan failed:", error?.message);
+  } finally {
+    digestScanRunning = false;
   }
-});
+}
 
-app.post("/api/workspaces", async (req, res) => {
-  const name = String(req.body?.name || "").trim();
-  if (!name) {
-    return res.status(400).json({ error: "Workspace name is required" });
+function startDigestScheduler() {
+  if (!DIGESTS_ENABLED) {
+    console.log("Digest emails disabled");
+    return;
   }
 
+  console.log(`Digest emails from ${DIGEST_HOUR_UTC}:00 UTC, weekly ones on ${WEEKDAY_NAMES[DIGEST_WEEKDAY]}`);
+  runDigestScan();
+  setInterval(runDigestScan, DIGEST_SCAN_INTERVAL_MS);
+}
+
+app.get("/api/digest", async (req, res) => {
   try {
-    const workspace = {
-      id: crypto.randomUUID(),
-      name
-    };
-    const result = await pool.query(
-      'INSERT INTO workspaces (id, name, created_at) VALUES ($1, $2, NOW()) RETURNING id, name, created_at AS "createdAt"',
-      [workspace.id, workspace.name]
-    );
-    res.status(201).json(result.rows[0]);
+    return res.json(serializeDigestSettings(await getDigestSettings(req.user.email)));
   } catch (error) {
-    res.status(500).json({ error: "Failed to create workspace" });
+    return res.status(500).json({ error: "Failed to load digest settings" });
   }
 });
 
-app.delete("/api/workspaces/:id", async (req, res) => {
-  const { id } = req.params;
+app.put("/api/digest", validateBody("DigestSettings"), async (req, res) => {
+  const { frequency } = req.body;
+  const workspaceIds = req.body.workspaceIds ?? null;
 
   try {
-    // Workspace deletion is blocked while documents still reference it.
-    const documentCountResult = await pool.query(
-      "SELECT COUNT(*)::int AS count FROM items WHERE workspace_id = $1",
-      [id]
-    );
-    if (documentCountResult.rows[0].count > 0) {
-      return res.status(400).json({ error: "Cannot delete workspace that contains documents" });
-    }
-
-    const deleteResult = await pool.query("DELETE FROM workspaces WHERE id = $1", [id]);
-    if (deleteResult.rowCount === 0) {
-      return res.status(404).json({ error: "Workspace not found" });
+    if (workspaceIds) {
+      const accessibleIds = await getAccessibleWorkspaceIds(req.user.email);
+      const unknownId = workspaceIds.find((id) => accessibleIds && !accessibleIds.includes(id));
+      if (unknownId) {
+        return sendFieldError(res, "workspaceIds", `Unknown workspace "${unknownId}"`);
+      }
     }
 
-    return res.status(204).send();
+    await pool.query(
+      `INSERT INTO digest_settings (email, frequency, workspace_ids, updated_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (email) DO UPDATE SET frequency = $2, workspace_ids = $3, updated_at = NOW()`,
+      [req.user.email, frequency, workspaceIds ? [...new Set(workspaceIds)] : null]
+    );
+    return res.json(serializeDigestSettings(await getDigestSettings(req.user.email)));
   } catch (error) {
-    return res.status(500).json({ error: "Failed to delete workspace" });
+    return res.status(500).json({ error: "Failed to save digest settings" });
   }
 });
 
-async function listDocumentsHandler(req, res) {
-  const workspaceId = String(req.query.workspaceId || "").trim();
-
+// Sends the digest right away with the saved workspace selection, whatever the schedule.
+app.post("/api/digest/send", async (req, res) => {
   try {
-    res.json(await getDocuments(workspaceId || null));
+    const limit = await consumeRateLimits([
+      { key: `digest_send:${req.user.email}`, max: 1, windowSeconds: DIGEST_MANUAL_SEND_COOLDOWN_SECONDS }
+    ]);
+    if (!limit.allowed) {
+      res.set("Retry-After", String(limit.retryAfterSeconds));
+      return res.status(429).json({
+        error: `A digest was sent recently. Try again in ${formatRetryDelay(limit.retryAfterSeconds)}.`,
+        retryAfterSeconds: limit.retryAfterSeconds
+      });
+    }
+
+    const settings = await getDigestSettings(req.user.email);
+    const documentCount = await sendDigest(req.user.email, settings, { manual: true });
+    return res.json({ sent: documentCount > 0, documentCount });
   } catch (error) {
-    res.status(500).json({ error: "Failed to load documents" });
+    return res.status(500).json({ error: "Failed to send digest" });
   }
+});
+
+function getReminderLeadDays(daysUntilExpiration) {
+  // Only the most urgent lead time that applies is sent, so an item added
+  // five days before expiry gets the 14-day reminder rather than 60, 30 and 14 at once.
+  return REMINDER_LEAD_DAYS.find((leadDays) => daysUntilExpiration <= leadDays);
 }
 
-app.get("/api/documents", listDocumentsHandler);
-app.get("/api/items", listDocumentsHandler);
+function buildReminderEmail(item, daysUntilExpiration) {
+  let timing;
+  if (daysUntilExpiration < 0) {
+    timing = "has expired";
+  } else if (daysUntilExpiration === 0) {
+    timing = "expires today";
+  } else {
+    timing = `expires in ${daysUntilExpiration} day${daysUntilExpiration === 1 ? "" : "s"}`;
+  }
 
-async function createDocumentHandler(req, res) {
-  const { name, description, expirationDate, workspaceId } = req.body;
+  const expirationLabel = new Date(item.expirationDate).toISOString().slice(0, 10);
+  const dashboardLink = `${FRONTEND_URL}/dashboard`;
+  const subject = `Reminder: ${item.name} ${timing}`;
+  const text = [
+    `${item.name} (${item.workspaceName}) ${timing}.`,
+    `Expiration date: ${expirationLabel}`,
+    `Status: ${STATUS_LABELS[item.status]}`,
+    `Responsible: ${item.assignedTo || "Unassigned"}`,
+    `Description: ${item.description}`,
+    "",
+    `Open the tracker: ${dashboardLink}`
+  ].join("\n");
+  const html =
+    `<p><strong>${escapeHtml(item.name)}</strong> (${escapeHtml(item.workspaceName)}) ${timing}.</p>` +
+    `<p>Expiration date: ${expirationLabel}<br />Status: ${STATUS_LABELS[item.status]}<br />` +
+    `Responsible: ${escapeHtml(item.assignedTo || "Unassigned")}<br />` +
+    `Description: ${escapeHtml(item.description)}</p>` +
+    `<p><a href="${dashboardLink}">Open the tracker</a></p>`;
+
+  return { subject, text, html };
+}
 
-  if (!name || !description || !expirationDate || !isValidDate(expirationDate) || !workspaceId) {
-    return res.status(400).json({ error: "name, description, workspaceId, and a valid expirationDate are required" });
+// The assignee is the primary recipient; the creator only stands in for unassigned documents.
+async function getReminderRecipients(item) {
+  const recipients = [];
+  if (item.assignedTo) {
+    recipients.push(item.assignedTo);
+  } else if (item.createdBy && item.createdBy !== "legacy@pooleng.com") {
+    recipients.push(item.createdBy.toLowerCase());
   }
 
-  if (!(await workspaceExists(workspaceId))) {
-    return res.status(400).json({ error: "Selected workspace does not exist" });
+  const contacts = await getWorkspaceContacts(item.workspaceId);
+  for (const contact of contacts) {
+    recipients.push(contact.email.toLowerCase());
   }
 
-  try {
-    const document = {
-      id: crypto.randomUUID(),
-      name: String(name).trim(),
-      description: String(description).trim(),
-      expirationDate: new Date(expirationDate).toISOString(),
-      workspaceId: String(workspaceId),
-      createdBy: req.user?.email || "unknown@pooleng.com"
-    };
+  return [...new Set(recipients)];
+}
 
-    const result = await pool.query(
-      `INSERT INTO items (id, name, description, expiration_date, workspace_id, created_by, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, NOW())
-       RETURNING id, name, description, expiration_date AS "expirationDate", workspace_id AS "workspaceId",
-                 created_by AS "createdBy", created_at AS "createdAt"`,
-      [
-        document.id,
-        document.name,
-        document.description,
-        document.expirationDate,
-        document.workspaceId,
-        document.createdBy
-      ]
-    );
-
-    res.status(201).json(result.rows[0]);
-  } catch (error) {
-    res.status(500).json({ error: "Failed to create document" });
+async function runReminderScan() {
+  if (reminderScanRunning || REMINDER_LEAD_DAYS.length === 0) {
+    return;
   }
-}
 
-app.post("/api/documents", createDocumentHandler);
-app.post("/api/items", createDocumentHandler);
+  reminderScanRunning = true;
+  let sentCount = 0;
 
-async function updateDocumentHandler(req, res) {
-  const { id } = req.params;
-  const { name, description, expirationDate, workspaceId } = req.body;
+  try {
+    const maxLeadDays = REMINDER_LEAD_DAYS[REMINDER_LEAD_DAYS.length - 1];
+    const itemsResult = await pool.query(
+      `SELECT doc.*, w.name AS "workspaceName"
+       FROM (${DOCUMENT_SELECT_SQL}) doc
+       JOIN workspaces w ON w.id = doc."workspaceId"
+       WHERE doc."deletedAt" IS NULL
+         AND doc."expirationDate" < NOW() + make_interval(days => $1)
+         AND doc."expirationDate" >= NOW() - make_interval(days => $2)`,
+      [maxLeadDays + 1, REMINDER_EXPIRED_GRACE_DAYS + 1]
+    );
+
+    for (const item of itemsResult.rows) {
+      const daysUntilExpiration = item.daysRemaining;
+      if (daysUntilExpiration < -REMINDER_EXPIRED_GRACE_DAYS) {
+        continue;
+      }
+
+      const leadDays = getReminderLeadDays(daysUntilExpiration);
+      if (leadDays === undefined) {
+        continue;
+      }
+
+      const email = buildReminderEmail(item, daysUntilExpiration);
+      for (const recipient of await getReminderRecipients(item)) {
+        // Claim the reminder before sending; a failed send releases the claim for the next scan.
+        const claim = await pool.query(
+          `INSERT INTO reminder_log (item_id, expiration_date, lead_days, recipient, sent_at)
+           VALUES ($1, $2, $3, $4, NOW())
+           ON CONFLICT DO NOTHING
+           RETURNING item_id`,
+          [item.id, item.expirationDate, leadDays, recipient]
+        );
+        if (claim.rows.length === 0) {
+          continue;
+        }
+
+        try {
+          await sendEmail({ toEmail: recipient, ...email });
+          sentCount += 1;
+        } catch (error) {
+          console.error(`Reminder send to ${recipient} failed:`, error?.message);
+          await pool
+            .query(
+              `DELETE FROM reminder_log
+               WHERE item_id = $1 AND expiration_date = $2 AND lead_days = $3 AND recipient = $4`,
+              [item.id, item.expirationDate, leadDays, recipient]
+            )
+            .catch(() => {});
+        }
+      }
+    }
 
-  if (!expirationDate || !isValidDate(expirationDate)) {
-    return res.status(400).json({ error: "A valid expirationDate is required" });
+    if (sentCount > 0) {
+      console.log(`Sent ${sentCount} expiration reminder(s)`);
+    }
+  } catch (error) {
+    console.error("Reminder scan failed:", error?.message);
+  } finally {
+    reminderScanRunning = false;
   }
+}
 
-  if (workspaceId !== undefined && !(await workspaceExists(workspaceId))) {
-    return res.status(400).json({ error: "Selected workspace does not exist" });
+function startReminderScheduler() {
+  if (!REMINDERS_ENABLED) {
+    console.log("Expiration reminders disabled");
+    return;
   }
 
+  console.log(
+    `Expiration reminders every ${REMINDER_SCAN_HOURS}h at ${REMINDER_LEAD_DAYS.join("/")} days before expiry`
+  );
+  runReminderScan();
+  setInterval(runReminderScan, REMINDER_SCAN_HOURS * 60 * 60 * 1000);
+}
+
+// Fires document.yellow, document.red and document.expired when a document becomes more urgent.
+// Renewals that make it less urgent are recorded silently. A document that skips a stage
+// (say, green straight to expired) only fires the event for the status it lands in.
+async function runWebhookStatusScan() {
   try {
-    const existingResult = await pool.query(
-      `SELECT id, name, description, expiration_date AS "expirationDate", workspace_id AS "workspaceId",
-              created_by AS "createdBy", created_at AS "createdAt"
-       FROM items WHERE id = $1`,
-      [id]
+    const changed = await pool.query(
+      `SELECT i.id, i.webhook_status AS "previousStatus", ${STATUS_SQL} AS status
+       FROM items i
+       JOIN workspaces w ON w.id = i.workspace_id
+       WHERE i.deleted_at IS NULL AND i.webhook_status IS DISTINCT FROM ${STATUS_SQL}`
     );
 
-    if (existingResult.rows.length === 0) {
-      return res.status(404).json({ error: "Document not found" });
-    }
+    for (const row of changed.rows) {
+      const claim = await pool.query(
+        "UPDATE items SET webhook_status = $1 WHERE id = $2 AND webhook_status IS NOT DISTINCT FROM $3",
+        [row.status, row.id, row.previousStatus]
+      );
+      if (claim.rowCount === 0 || STATUS_RANK[row.status] <= STATUS_RANK[row.previousStatus || "green"]) {
+        continue;
+      }
 
-    const existing = existingResult.rows[0];
-    const updatedDocument = {
-      ...existing,
-      ...(name !== undefined ? { name: String(name).trim() } : {}),
-      ...(description !== undefined ? { description: String(description).trim() } : {}),
-      ...(workspaceId !== undefined ? { workspaceId: String(workspaceId) } : {}),
-      expirationDate: new Date(expirationDate).toISOString()
-    };
+      const document = await getDocumentById(row.id);
+      if (document) {
+        emitDocumentEvent(`document.${row.status}`, document, { previousStatus: row.previousStatus });
+      }
+    }
 
-    const result = await pool.query(
-      `UPDATE items
-       SET name = $1, description = $2, expiration_date = $3, workspace_id = $4
-       WHERE id = $5
-       RETURNING id, name, description, expiration_date AS "expirationDate", workspace_id AS "workspaceId",
-                 created_by AS "createdBy", created_at AS "createdAt"`,
-      [
-        updatedDocument.name,
-        updatedDocument.description,
-        updatedDocument.expirationDate,
-        updatedDocument.workspaceId,
-        id
-      ]
+    await pool.query(
+      `DELETE FROM webhook_deliveries
+       WHERE status <> 'pending' AND created_at < NOW() - make_interval(days => $1)`,
+      [WEBHOOK_DELIVERY_RETENTION_DAYS]
     );
-
-    res.json(result.rows[0]);
   } catch (error) {
-    res.status(500).json({ error: "Failed to update document" });
+    console.error("Webhook status scan failed:", error?.message);
   }
 }
 
-app.put("/api/documents/:id", updateDocumentHandler);
-app.put("/api/items/:id", updateDocumentHandler);
+function startWebhookScheduler() {
+  runWebhookStatusScan();
+  processWebhookDeliveries();
+  setInterval(runWebhookStatusScan, WEBHOOK_STATUS_SCAN_MINUTES * 60 * 1000);
+  setInterval(processWebhookDeliveries, WEBHOOK_DELIVERY_INTERVAL_MS);
+}
 
-async function deleteDocumentById(id, res) {
+async function purgeExpiredTrash() {
   try {
-    const deleteResult = await pool.query("DELETE FROM items WHERE id = $1", [id]);
-    if (deleteResult.rowCount === 0) {
-      return res.status(404).json({ error: "Document not found" });
+    const expiredResult = await pool.query(
+      `${DOCUMENT_SELECT_SQL}
+       WHERE i.deleted_at IS NOT NULL AND i.deleted_at < NOW() - make_interval(days => $1)`,
+      [TRASH_RETENTION_DAYS]
+    );
+
+    for (const trashed of expiredResult.rows) {
+      const storageKeys = await withTransaction((client) => purgeDocument(client, trashed, SYSTEM_ACTOR));
+      removeStoredFiles(storageKeys);
     }
 
-    return res.status(204).send();
+    if (expiredResult.rows.length > 0) {
+      console.log(`Purged ${expiredResult.rows.length} document(s) from trash`);
+    }
   } catch (error) {
-    return res.status(500).json({ error: "Failed to delete document" });
+    console.error("Trash purge failed:", error?.message);
   }
 }
 
-app.delete("/api/documents/:id", async (req, res) => {
-  return deleteDocumentById(req.params.id, res);
-});
+function startTrashPurgeScheduler() {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, TRASH_PURGE_INTERVAL_MS);
+}
 
-app.post("/api/documents/:id/delete", async (req, res) => {
-  return deleteDocumentById(req.params.id, res);
-});
+const RESPONSE_SCHEMAS = {
+  Error: { type: "object", properties: { error: { type: "string" } } },
+  ValidationError: {
+    type: "object",
+    properties: {
+      error: { type: "string", description: "The first problem, for clients that show a single message" },
+      fields: {
+        type: "object",
+        description: 'Message per invalid property, e.g. { "name": "name cannot be empty" }',
+        additionalProperties: { type: "string" }
+      }
+    }
+  },
+  Document: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      description: { type: "string" },
+      expirationDate: { type: "string", format: "date-time" },
+      workspaceId: { type: "string" },
+      status: { type: "string", enum: Object.keys(STATUS_LABELS) },
+      daysRemaining: { type: "integer" },
+      warningDays: { type: "integer", nullable: true },
+      criticalDays: { type: "integer", nullable: true },
+      effectiveWarningDays: { type: "integer" },
+      effectiveCriticalDays: { type: "integer" },
+      renewalMonths: { type: "integer", nullable: true },
+      customFields: { type: "object", additionalProperties: {} },
+      assignedTo: { type: "string", nullable: true },
+      createdBy: { type: "string" },
+      createdAt: { type: "string", format: "date-time" },
+      tags: {
+        type: "array",
+        items: { type: "object", properties: { id: { type: "string" }, name: { type: "string" } } }
+      },
+      attachments: { type: "array", items: { type: "object" } }
+    }
+  },
+  DocumentPage: {
+    type: "object",
+    properties: {
+      items: { type: "array", items: { $ref: "#/components/schemas/Document" } },
+      total: { type: "integer" },
+      page: { type: "integer" },
+      pageSize: { type: "integer" },
+      hasMore: { type: "boolean" }
+    }
+  },
+  Workspace: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      warningDays: { type: "integer" },
+      criticalDays: { type: "integer" },
+      createdAt: { type: "string", format: "date-time" },
+      role: ROLE_SCHEMA
+    }
+  }
+};
 
-app.delete("/api/items/:id", async (req, res) => {
-  return deleteDocumentById(req.params.id, res);
+// Array parameters are written as comma-separated lists (?status=red,expired).
+function queryParameter(name, schema, description) {
+  return {
+    name,
+    in: "query",
+    schema,
+    ...(schema.type === "array" ? { style: "form", explode: false } : {}),
+    ...(description ? { description } : {})
+  };
+}
+
+const DOCUMENT_FILTER_PARAMETERS = [
+  queryParameter("workspaceId", ID_SCHEMA),
+  queryParameter("q", { type: "string" }, "Words that must all appear in the name, description or a custom field"),
+  queryParameter("status", { type: "array", items: { type: "string", enum: Object.keys(STATUS_LABELS) } }),
+  queryParameter("expiresFrom", DATE_SCHEMA),
+  queryParameter("expiresTo", DATE_SCHEMA),
+  queryParameter("createdBy", { type: "string", maxLength: 254 }),
+  queryParameter("assignedTo", { type: "string" }, 'An email address, or "me"'),
+  queryParameter("tags", { type: "array", items: ID_SCHEMA }, "Tag ids; a document with any of them matches")
+];
+const DOCUMENT_PAGING_PARAMETERS = [
+  queryParameter("sort", { type: "string", enum: Object.keys(DOCUMENT_SORT_SQL) }),
+  queryParameter("order", { type: "string", enum: ["asc", "desc"] }),
+  queryParameter("page", { type: "integer", minimum: 1 }),
+  queryParameter("pageSize", { type: "integer", minimum: 1, maximum: MAX_PAGE_SIZE })
+];
+const IMPORT_PARAMETERS = [
+  queryParameter("workspaceId", ID_SCHEMA, "Workspace for rows without a workspace column"),
+  queryParameter("skipDuplicates", { type: "boolean" }),
+  ...Object.keys(IMPORT_COLUMN_ALIASES).map((field) =>
+    queryParameter(`${field}Column`, { type: "string" }, `CSV header to read ${field} from`)
+  )
+];
+
+// Every route, for the OpenAPI document. `auth` is "public" or "session" (browser session only);
+// routes without it accept the session cookie or an API token. Request bodies are JSON unless
+// `bodyType` says otherwise. Query `parameters` are enforced by validateQuery on the routes that declare them.
+const API_OPERATIONS = [
+  {
+    method: "post",
+    path: "/auth/request-magic-link",
+    summary: "Email a sign-in link and code",
+    auth: "public",
+    body: "MagicLinkRequest"
+  },
+  {
+    method: "get",
+    path: "/auth/verify-magic",
+    summary: "Confirmation page for an emailed sign-in link",
+    auth: "public"
+  },
+  { method: "post", path: "/auth/verify-magic", summary: "Sign in with an emailed link", auth: "public" },
+  {
+    method: "post",
+    path: "/auth/verify-code",
+    summary: "Sign in with an emailed code",
+    auth: "public",
+    body: "LoginCode"
+  },
+  { method: "get", path: "/auth/config", summary: "Sign-in settings for the login page", auth: "public" },
+  { method: "get", path: "/auth/me", summary: "The signed-in user" },
+  { method: "post", path: "/auth/logout", summary: "Sign out this browser", auth: "public", status: 204 },
+  { method: "get", path: "/auth/sessions", summary: "List your active sessions", auth: "session" },
+  { method: "delete", path: "/auth/sessions/:id", summary: "Sign out one session", auth: "session", status: 204 },
+  {
+    method: "delete",
+    path: "/auth/sessions",
+    summary: "Sign out every session",
+    auth: "session",
+    parameters: [queryParameter("keepCurrent", { type: "boolean" })]
+  },
+  { method: "get", path: "/auth/api-tokens", summary: "List your API tokens", auth: "session" },
+  {
+    method: "post",
+    path: "/auth/api-tokens",
+    summary: "Create an API token",
+    auth: "session",
+    body: "ApiTokenCreate",
+    status: 201
+  },
+  { method: "delete", path: "/auth/api-tokens/:id", summary: "Revoke an API token", auth: "session", status: 204 },
+  { method: "get", path: "/api/openapi.json", summary: "This document", auth: "public" },
+  { method: "get", path: "/api/workspaces", summary: "List your workspaces" },
+  {
+    method: "post",
+    path: "/api/workspaces",
+    summary: "Create a workspace",
+    body: "WorkspaceCreate",
+    status: 201,
+    response: "Workspace"
+  },
+  {
+    method: "put",
+    path: "/api/workspaces/:id",
+    summary: "Rename a workspace or change its windows",
+    body: "WorkspaceUpdate",
+    response: "Workspace"
+  },
+  { method: "delete", path: "/api/workspaces/:id", summary: "Delete an empty workspace", status: 204 },
+  { method: "get", path: "/api/workspaces/:id/contacts", summary: "List reminder contacts" },
+  {
+    method: "post",
+    path: "/api/workspaces/:id/contacts",
+    summary: "Add a reminder contact",
+    body: "ContactCreate",
+    status: 201
+  },
+  { method: "delete", path: "/api/workspaces/:id/contacts/:email", summary: "Remove a reminder contact" },
+  { method: "get", path: "/api/workspaces/:id/members", summary: "List workspace members" },
+  {
+    method: "post",
+    path: "/api/workspaces/:id/members",
+    summary: "Add a workspace member",
+    body: "MemberCreate",
+    status: 201
+  },
+  {
+    method: "put",
+    path: "/api/workspaces/:id/members/:email",
+    summary: "Change a member's role",
+    body: "MemberUpdate"
+  },
+  { method: "delete", path: "/api/workspaces/:id/members/:email", summary: "Remove a workspace member" },
+  { method: "get", path: "/api/workspaces/:id/fields", summary: "List custom fields" },
+  {
+    method: "post",
+    path: "/api/workspaces/:id/fields",
+    summary: "Add a custom field",
+    body: "CustomFieldCreate",
+    status: 201
+  },
+  {
+    method: "put",
+    path: "/api/workspaces/:id/fields/:fieldId",
+    summary: "Change a custom field",
+    body: "CustomFieldUpdate"
+  },
+  { method: "delete", path: "/api/workspaces/:id/fields/:fieldId", summary: "Remove a custom field" },
+  { method: "get", path: "/api/workspaces/:id/webhooks", summary: "List webhooks" },
+  {
+    method: "post",
+    path: "/api/workspaces/:id/webhooks",
+    summary: "Add a webhook",
+    body: "WebhookCreate",
+    status: 201
+  },
+  {
+    method: "put",
+    path: "/api/workspaces/:id/webhooks/:webhookId",
+    summary: "Change a webhook",
+    body: "WebhookUpdate"
+  },
+  { method: "delete", path: "/api/workspaces/:id/webhooks/:webhookId", summary: "Remove a webhook", status: 204 },
+  { method: "post", path: "/api/workspaces/:id/webhooks/:webhookId/test", summary: "Send a ping event" },
+  { method: "get", path: "/api/workspaces/:id/webhooks/:webhookId/deliveries", summary: "List recent deliveries" },
+  {
+    method: "post",
+    path: "/api/workspaces/:id/webhooks/:webhookId/deliveries/:deliveryId/retry",
+    summary: "Retry a failed delivery"
+  },
+  { method: "get", path: "/api/invitations", summary: "List invitations (admins)" },
+  {
+    method: "post",
+    path: "/api/invitations",
+    summary: "Invite an outside address (admins)",
+    body: "InvitationCreate",
+    status: 201
+  },
+  { method: "delete", path: "/api/invitations/:id", summary: "Revoke an invitation (admins)" },
+  { method: "get", path: "/api/tags", summary: "List tags" },
+  { method: "post", path: "/api/tags", summary: "Create a tag", body: "TagInput", status: 201 },
+  { method: "put", path: "/api/tags/:id", summary: "Rename a tag", body: "TagInput" },
+  { method: "delete", path: "/api/tags/:id", summary: "Delete a tag", status: 204 },
+  {
+    method: "get",
+    path: "/api/documents",
+    summary: "List documents",
+    parameters: [...DOCUMENT_FILTER_PARAMETERS, ...DOCUMENT_PAGING_PARAMETERS],
+    response: "DocumentPage"
+  },
+  {
+    method: "get",
+    path: "/api/items",
+    summary: "List every matching document",
+    parameters: DOCUMENT_FILTER_PARAMETERS,
+    deprecated: true
+  },
+  {
+    method: "get",
+    path: "/api/documents/counts",
+    summary: "Document totals per workspace and tag",
+    parameters: DOCUMENT_FILTER_PARAMETERS
+  },
+  { method: "get", path: "/api/stats", summary: "Dashboard statistics", parameters: DOCUMENT_FILTER_PARAMETERS },
+  { method: "get", path: "/api/documents/creators", summary: "List document creators" },
+  {
+    method: "get",
+    path: "/api/documents/export",
+    summary: "Export documents as CSV or Excel",
+    parameters: [
+      ...DOCUMENT_FILTER_PARAMETERS,
+      ...DOCUMENT_PAGING_PARAMETERS.slice(0, 2),
+      queryParameter("format", { type: "string", enum: ["csv", "xlsx"] })
+    ]
+  },
+  {
+    method: "post",
+    path: "/api/documents",
+    summary: "Create a document",
+    body: "DocumentCreate",
+    status: 201,
+    response: "Document"
+  },
+  {
+    method: "post",
+    path: "/api/items",
+    summary: "Create a document",
+    body: "DocumentCreate",
+    status: 201,
+    deprecated: true
+  },
+  {
+    method: "post",
+    path: "/api/documents/import/preview",
+    summary: "Check a CSV import",
+    bodyType: "text/csv",
+    parameters: IMPORT_PARAMETERS
+  },
+  {
+    method: "post",
+    path: "/api/documents/import",
+    summary: "Import documents from CSV",
+    bodyType: "text/csv",
+    parameters: IMPORT_PARAMETERS,
+    status: 201
+  },
+  {
+    method: "put",
+    path: "/api/documents/:id",
+    summary: "Update a document",
+    body: "DocumentUpdate",
+    response: "Document"
+  },
+  { method: "put", path: "/api/items/:id", summary: "Update a document", body: "DocumentUpdate", deprecated: true },
+  { method: "get", path: "/api/documents/:id", summary: "Get a document", response: "Document" },
+  { method: "get", path: "/api/documents/:id/renewals", summary: "List a document's renewals" },
+  {
+    method: "post",
+    path: "/api/documents/:id/renew",
+    summary: "Renew a document",
+    body: "Renewal",
+    response: "Document"
+  },
+  {
+    method: "post",
+    path: "/api/documents/:id/assign",
+    summary: "Assign a document",
+    body: "Assignment",
+    response: "Document"
+  },
+  { method: "delete", path: "/api/documents/:id", summary: "Move a document to the trash" },
+  { method: "post", path: "/api/documents/:id/delete", summary: "Move a document to the trash" },
+  { method: "delete", path: "/api/items/:id", summary: "Move a document to the trash", deprecated: true },
+  { method: "post", path: "/api/items/:id/delete", summary: "Move a document to the trash", deprecated: true },
+  { method: "get", path: "/api/documents/:id/attachments", summary: "List a document's attachments" },
+  {
+    method: "post",
+    path: "/api/documents/:id/attachments",
+    summary: "Upload an attachment",
+    bodyType: "application/octet-stream",
+    parameters: [queryParameter("fileName", { type: "string" })],
+    status: 201
+  },
+  {
+    method: "get",
+    path: "/api/attachments/:id",
+    summary: "Download an attachment",
+    parameters: [queryParameter("download", { type: "string", enum: ["1"] })]
+  },
+  { method: "delete", path: "/api/attachments/:id", summary: "Delete an attachment" },
+  {
+    method: "get",
+    path: "/api/trash",
+    summary: "List trashed documents",
+    parameters: [queryParameter("workspaceId", ID_SCHEMA)]
+  },
+  { method: "post", path: "/api/trash/:id/restore", summary: "Restore a trashed document" },
+  { method: "delete", path: "/api/trash/:id", summary: "Delete a trashed document for good" },
+  {
+    method: "get",
+    path: "/api/audit",
+    summary: "Audit log",
+    parameters: [
+      queryParameter("documentId", ID_SCHEMA),
+      queryParameter("workspaceId", ID_SCHEMA),
+      queryParameter("actor", { type: "string", maxLength: 254 }, 'An email address, or "system"'),
+      queryParameter("from", DATE_SCHEMA),
+      queryParameter("to", DATE_SCHEMA),
+      queryParameter("limit", { type: "integer", minimum: 1 }, "Defaults to 100; values above 500 are capped")
+    ]
+  },
+  { method: "get", path: "/api/calendar-feeds", summary: "List your calendar feeds" },
+  {
+    method: "post",
+    path: "/api/calendar-feeds",
+    summary: "Create a calendar feed",
+    auth: "session",
+    body: "CalendarFeedCreate",
+    status: 201
+  },
+  { method: "delete", path: "/api/calendar-feeds/:id", summary: "Revoke a calendar feed", status: 204 },
+  { method: "get", path: "/calendar/:token.ics", summary: "iCalendar feed", auth: "public" },
+  { method: "get", path: "/api/digest", summary: "Your digest settings" },
+  { method: "put", path: "/api/digest", summary: "Change your digest settings", body: "DigestSettings" },
+  { method: "post", path: "/api/digest/send", summary: "Send your digest now" }
+];
+
+function jsonContent(schemaName) {
+  return { "application/json": { schema: { $ref: `#/components/schemas/${schemaName}` } } };
+}
+
+function buildOpenApiDocument() {
+  const paths = {};
+  for (const operation of API_OPERATIONS) {
+    const path = operation.path.replace(/:(\w+)/g, "{$1}");
+    const pathParameters = [...operation.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+      name,
+      in: "path",
+      required: true,
+      schema: { type: "string" }
+    }));
+    const responses = {
+      [operation.status || 200]: {
+        description: operation.status === 204 ? "No content" : "Success",
+        ...(operation.response ? { content: jsonContent(operation.response) } : {})
+      },
+      400: {
+        description: "Invalid request",
+        content: jsonContent(operation.body || operation.parameters ? "ValidationError" : "Error")
+      }
+    };
+    if (operation.auth !== "public") {
+      responses[401] = { description: "Not signed in, or the API token is invalid", content: jsonContent("Error") };
+    }
+
+    let requestBody;
+    if (operation.body) {
+      requestBody = { required: true, content: jsonContent(operation.body) };
+    } else if (operation.bodyType) {
+      requestBody = {
+        required: true,
+        content: { [operation.bodyType]: { schema: { type: "string", format: "binary" } } }
+      };
+    }
+
+    paths[path] = {
+      ...paths[path],
+      [operation.method]: {
+        summary: operation.summary,
+        tags: [operation.path.split("/")[operation.path.startsWith("/api/") ? 2 : 1]],
+        ...(operation.deprecated ? { deprecated: true } : {}),
+        ...(operation.auth === "public" ? { security: [] } : {}),
+        ...(operation.auth === "session" ? { security: [{ sessionCookie: [] }] } : {}),
+        parameters: [...pathParameters, ...(operation.parameters || [])],
+        ...(requestBody ? { requestBody } : {}),
+        responses
+      }
+    };
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: { title: "License & Document Expiration Tracker API", version: "1.0.0" },
+    servers: [{ url: BACKEND_URL }],
+    security: [{ sessionCookie: [] }, { apiToken: [] }],
+    components: {
+      securitySchemes: {
+        sessionCookie: { type: "apiKey", in: "cookie", name: COOKIE_NAME },
+        apiToken: { type: "http", scheme: "bearer", description: "A personal API token (pat_...)" }
+      },
+      schemas: { ...REQUEST_SCHEMAS, ...RESPONSE_SCHEMAS }
+    },
+    paths
+  };
+}
+
+app.get("/api/openapi.json", (req, res) => {
+  return res.json(buildOpenApiDocument());
 });
 
-app.post("/api/items/:id/delete", async (req, res) => {
-  return deleteDocumentById(req.params.id, res);
+app.use((error, req, res, next) => {
+  if (error?.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "Request body is not valid JSON" });
+  }
+  if (error?.type === "entity.too.large") {
+    const message = req.path.endsWith("/attachments")
+      ? `File exceeds the ${ATTACHMENT_MAX_BYTES / (1024 * 1024)} MB upload limit`
+      : "Request body is too large";
+    return res.status(413).json({ error: message });
+  }
+  return next(error);
 });
 
 initializeDatabase()
@@ -613,6 +6214,10 @@ initializeDatabase()
     app.listen(PORT, () => {
       console.log(`Backend running on ${BACKEND_URL}`);
     });
+    startReminderScheduler();
+    startTrashPurgeScheduler();
+    startWebhookScheduler();
+    startDigestScheduler();
   })
   .catch((error) => {
     console.error("Failed to initialize Postgres schema:", error);
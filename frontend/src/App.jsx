@@ -1,40 +1,41 @@
-import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { createContext, useContext, useEffect, useMemo, useRef, useState } from "react";
 import { Navigate, Route, Routes, useLocation, useNavigate } from "react-router-dom";
 
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || "http://localhost:4000";
-const MS_IN_DAY = 1000 * 60 * 60 * 24;
 
 const AuthContext = createContext(null);
+const WORKSPACE_ROLES = ["viewer", "editor", "owner"];
+const CUSTOM_FIELD_TYPES = [
+  { value: "text", label: "Text" },
+  { value: "number", label: "Number" },
+  { value: "date", label: "Date" },
+  { value: "select", label: "Select" }
+];
+const EMPTY_CUSTOM_FIELD = { label: "", type: "text", options: "", required: false };
+const WEBHOOK_EVENT_OPTIONS = [
+  { value: "document.created", label: "Created" },
+  { value: "document.updated", label: "Updated" },
+  { value: "document.deleted", label: "Deleted" },
+  { value: "document.yellow", label: "Turns yellow" },
+  { value: "document.red", label: "Turns red" },
+  { value: "document.expired", label: "Expires" }
+];
+const EMPTY_WEBHOOK = { url: "", secret: "", events: WEBHOOK_EVENT_OPTIONS.map((option) => option.value) };
+const DIGEST_FREQUENCY_OPTIONS = [
+  { value: "off", label: "Off" },
+  { value: "daily", label: "Daily" },
+  { value: "weekly", label: "Weekly" }
+];
+const API_TOKEN_SCOPE_OPTIONS = [
+  { value: "read", label: "Read only" },
+  { value: "read_write", label: "Read and write" }
+];
+const API_TOKEN_EXPIRY_DAYS = [30, 90, 180, 365];
+// Dashboard links opened while signed out wait here until sign-in finishes.
+const PENDING_DASHBOARD_LINK_KEY = "pendingDashboardLink";
 
-function toMidnight(dateValue) {
-  const date = new Date(dateValue);
-  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
-}
-
-function addMonths(dateValue, months) {
-  const date = new Date(dateValue);
-  return new Date(date.getFullYear(), date.getMonth() + months, date.getDate());
-}
-
-function getStatus(expirationDate) {
-  const today = toMidnight(new Date());
-  const expiration = toMidnight(expirationDate);
-  const diffDays = Math.floor((expiration - today) / MS_IN_DAY);
-
-  if (diffDays < 0) {
-    return "expired";
-  }
-
-  if (diffDays <= 14) {
-    return "red";
-  }
-
-  const twoMonthsFromNow = addMonths(today, 2);
-  if (expiration <= twoMonthsFromNow) {
-    return "yellow";
-  }
-
-  return "green";
+function hasRole(role, requiredRole) {
+  return WORKSPACE_ROLES.indexOf(role) >= WORKSPACE_ROLES.indexOf(requiredRole);
 }
 
 function formatDate(dateString) {
@@ -45,6 +46,13 @@ function formatDate(dateString) {
   });
 }
 
+function formatCustomFieldValue(field, value) {
+  if (value === undefined || value === null || value === "") {
+    return "";
+  }
+  return field.type === "date" ? formatDate(value) : String(value);
+}
+
 function formatDateTime(dateString) {
   const parsed = new Date(dateString);
   if (Number.isNaN(parsed.getTime())) {
@@ -60,8 +68,200 @@ function formatDateTime(dateString) {
   });
 }
 
-function sortByExpiration(items) {
-  return [...items].sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate));
+function describeUserAgent(userAgent) {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+
+  const browser =
+    [
+      ["Edg/", "Edge"],
+      ["OPR/", "Opera"],
+      ["Firefox/", "Firefox"],
+      ["Chrome/", "Chrome"],
+      ["Safari/", "Safari"]
+    ].find(([token]) => userAgent.includes(token))?.[1] || "Browser";
+  const platform =
+    [
+      ["iPhone", "iPhone"],
+      ["iPad", "iPad"],
+      ["Android", "Android"],
+      ["Windows", "Windows"],
+      ["Mac OS", "macOS"],
+      ["Linux", "Linux"]
+    ].find(([token]) => userAgent.includes(token))?.[1] || "";
+
+  return platform ? `${browser} on ${platform}` : browser;
+}
+
+const STATUS_FILTER_OPTIONS = [
+  { value: "expired", label: "Expired" },
+  { value: "red", label: "Critical" },
+  { value: "yellow", label: "Warning" },
+  { value: "green", label: "OK" }
+];
+// Upcoming-expiration windows shown in the summary strip; /api/stats reports the same ones.
+const STATS_WINDOW_DAYS = [30, 60, 90];
+
+// Backend days are UTC calendar days, so the strip's date filters use UTC dates too.
+function getUtcDateInput(daysFromToday = 0) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + daysFromToday);
+  return date.toISOString().slice(0, 10);
+}
+
+const LAYOUT_OPTIONS = [
+  { value: "cards", label: "Cards" },
+  { value: "list", label: "List" },
+  { value: "calendar", label: "Calendar" },
+  { value: "timeline", label: "Timeline" }
+];
+// Calendar and timeline show every document in their date range instead of one page at a time.
+const RANGE_LAYOUTS = ["calendar", "timeline"];
+const RANGE_PAGE_SIZE = 200;
+const TIMELINE_MONTHS = 12;
+const WEEKDAY_LABELS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function getUtcDateKey(dateString) {
+  return new Date(dateString).toISOString().slice(0, 10);
+}
+
+// Month keys are "YYYY-MM" in UTC.
+function addUtcMonths(monthKey, months) {
+  const [year, month] = monthKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1 + months, 1)).toISOString().slice(0, 7);
+}
+
+function getMonthEnd(monthKey) {
+  const [year, month] = monthKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+function formatMonth(monthKey, options = { month: "long", year: "numeric" }) {
+  return new Date(`${monthKey}-01T00:00:00Z`).toLocaleDateString(undefined, { ...options, timeZone: "UTC" });
+}
+
+// Whole weeks, Sunday to Saturday, covering the month.
+function getCalendarDays(monthKey) {
+  const start = new Date(`${monthKey}-01T00:00:00Z`);
+  start.setUTCDate(1 - start.getUTCDay());
+  const end = new Date(`${getMonthEnd(monthKey)}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() + 6 - end.getUTCDay());
+
+  const days = [];
+  for (const day = start; day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+const EMPTY_DOCUMENT_FILTERS = {
+  q: "",
+  statuses: [],
+  expiresFrom: "",
+  expiresTo: "",
+  createdBy: "",
+  assignedTo: "",
+  tags: []
+};
+
+// Query parameters shared by the document list and the export links.
+function buildDocumentQueryParams(workspaceId, filters) {
+  const params = new URLSearchParams();
+  if (workspaceId) {
+    params.set("workspaceId", workspaceId);
+  }
+  if (filters.q.trim()) {
+    params.set("q", filters.q.trim());
+  }
+  if (filters.statuses.length > 0) {
+    params.set("status", filters.statuses.join(","));
+  }
+  if (filters.expiresFrom) {
+    params.set("expiresFrom", filters.expiresFrom);
+  }
+  if (filters.expiresTo) {
+    params.set("expiresTo", filters.expiresTo);
+  }
+  if (filters.createdBy) {
+    params.set("createdBy", filters.createdBy);
+  }
+  if (filters.assignedTo) {
+    params.set("assignedTo", filters.assignedTo);
+  }
+  if (filters.tags.length > 0) {
+    params.set("tags", filters.tags.join(","));
+  }
+  return params;
+}
+
+const DOCUMENT_SORT_OPTIONS = [
+  { value: "expiration", label: "Expiration" },
+  { value: "name", label: "Name" },
+  { value: "created", label: "Created date" },
+  { value: "workspace", label: "Workspace" },
+  { value: "assignee", label: "Assignee" }
+];
+const DEFAULT_DOCUMENT_SORT = { sort: "expiration", order: "asc" };
+// Refreshing after an edit reloads every page already shown, up to the API's 200-row page limit.
+const DOCUMENT_PAGE_SIZE = 50;
+const MAX_RELOADED_PAGES = 4;
+
+const AUDIT_ACTION_LABELS = {
+  create: "Created",
+  update: "Updated",
+  delete: "Deleted",
+  renew: "Renewed",
+  assign: "Reassigned",
+  restore: "Restored",
+  add_attachment: "Attached file to",
+  add_member: "Added member to",
+  change_member_role: "Changed member role in",
+  remove_member: "Removed member from",
+  remove_attachment: "Removed file from",
+  purge: "Permanently deleted",
+  add_contact: "Added reminder contact",
+  add_field: "Added custom field to",
+  update_field: "Changed custom field in",
+  remove_field: "Removed custom field from",
+  add_webhook: "Added webhook to",
+  update_webhook: "Changed webhook in",
+  remove_webhook: "Removed webhook from",
+  remove_contact: "Removed reminder contact",
+  invite: "Invited",
+  revoke_invitation: "Revoked invitation for"
+};
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return "(empty)";
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function getAuditChanges(entry) {
+  const before = entry.before || {};
+  const after = entry.after || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  if (entry.action === "create" || entry.action === "delete") {
+    return [];
+  }
+
+  return fields
+    .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map((field) => `${field}: ${formatAuditValue(before[field])} → ${formatAuditValue(after[field])}`);
+}
+
+function getAttachmentUrl(attachmentId, download = false) {
+  return `${API_BASE_URL}/api/attachments/${encodeURIComponent(attachmentId)}${download ? "?download=1" : ""}`;
+}
+
+function formatFileSize(sizeBytes) {
+  if (sizeBytes >= 1024 * 1024) {
+    return `${(sizeBytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+  return `${Math.max(1, Math.round(sizeBytes / 1024))} KB`;
 }
 
 async function getErrorMessage(response, fallbackMessage) {
@@ -73,10 +273,26 @@ async function getErrorMessage(response, fallbackMessage) {
   }
 }
 
-function getTimeUntilExpirationLabel(expirationDate) {
-  const today = toMidnight(new Date());
-  const expiration = toMidnight(expirationDate);
-  const diffDays = Math.floor((expiration - today) / MS_IN_DAY);
+// Validation failures also carry a message per input under `fields`, keyed by property name
+// (`customFields.<id>` for custom fields).
+async function getRequestError(response, fallbackMessage) {
+  let body = null;
+  try {
+    body = await response.json();
+  } catch (error) {
+    body = null;
+  }
+  const requestError = new Error(body?.error || fallbackMessage);
+  requestError.fields = body?.fields || {};
+  return requestError;
+}
+
+function FieldError({ message }) {
+  return message ? <span className="fieldError">{message}</span> : null;
+}
+
+// Days remaining come from the API so labels match the server-computed status.
+function getTimeUntilExpirationLabel(diffDays) {
   const absDays = Math.abs(diffDays);
 
   if (diffDays < 0) {
@@ -124,7 +340,7 @@ function AuthProvider({ children }) {
       }
 
       const data = await response.json();
-      setUser({ email: data.email });
+      setUser({ email: data.email, isAdmin: Boolean(data.isAdmin) });
     } catch (error) {
       setUser(null);
     } finally {
@@ -170,9 +386,16 @@ function LoginPage() {
   const navigate = useNavigate();
   const { user, authLoading, refreshSession } = useAuth();
   const [email, setEmail] = useState("");
+  const [allowedDomains, setAllowedDomains] = useState(["pooleng.com"]);
   const [submitting, setSubmitting] = useState(false);
   const [message, setMessage] = useState("");
   const [error, setError] = useState("");
+  const [codeEmail, setCodeEmail] = useState("");
+  const [code, setCode] = useState("");
+  const [verifyingCode, setVerifyingCode] = useState(false);
+  const [retryAt, setRetryAt] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const cooldownSeconds = Math.max(0, Math.ceil((retryAt - now) / 1000));
 
   useEffect(() => {
     if (!authLoading && user) {
@@ -187,8 +410,38 @@ function LoginPage() {
     if (location.search.includes("missing_token")) {
       setError("Missing magic token. Please request a new login link.");
     }
+    if (location.search.includes("not_allowed")) {
+      setError("This email address is no longer allowed to sign in.");
+    }
   }, [location.search]);
 
+  useEffect(() => {
+    fetch(`${API_BASE_URL}/auth/config`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((config) => {
+        if (config?.allowedDomains?.length) {
+          setAllowedDomains(config.allowedDomains);
+        }
+      })
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (retryAt <= Date.now()) {
+      return undefined;
+    }
+
+    const timer = window.setInterval(() => setNow(Date.now()), 1000);
+    return () => window.clearInterval(timer);
+  }, [retryAt]);
+
+  function startCooldown(seconds) {
+    if (seconds > 0) {
+      setNow(Date.now());
+      setRetryAt(Date.now() + seconds * 1000);
+    }
+  }
+
   async function onSubmit(event) {
     event.preventDefault();
     setError("");
@@ -203,11 +456,21 @@ function LoginPage() {
         body: JSON.stringify({ email })
       });
 
+      if (response.status === 429) {
+        const body = await response.json().catch(() => ({}));
+        startCooldown(Number(body.retryAfterSeconds || response.headers.get("Retry-After") || 60));
+        throw new Error(body.error || "Too many sign-in requests. Please wait before trying again.");
+      }
+
       if (!response.ok) {
         throw new Error(await getErrorMessage(response, "Unable to request magic link."));
       }
 
-      setMessage("Magic link sent. Check your inbox and click the link within 10 minutes.");
+      const body = await response.json().catch(() => ({}));
+      startCooldown(Number(body.cooldownSeconds || 0));
+      setMessage("Magic link sent. Click the link in your inbox, or enter the 6-digit code below, within 10 minutes.");
+      setCodeEmail(email.trim().toLowerCase());
+      setCode("");
       setEmail("");
       await refreshSession();
     } catch (requestError) {
@@ -217,23 +480,78 @@ function LoginPage() {
     }
   }
 
+  async function onSubmitCode(event) {
+    event.preventDefault();
+    setError("");
+
+    try {
+      setVerifyingCode(true);
+      const response = await fetch(`${API_BASE_URL}/auth/verify-code`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ email: codeEmail, code })
+      });
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to verify the code."));
+      }
+
+      await refreshSession();
+      navigate("/dashboard", { replace: true });
+    } catch (codeError) {
+      setError(codeError.message);
+      setCode("");
+    } finally {
+      setVerifyingCode(false);
+    }
+  }
+
   return (
     <main className="authPage">
       <section className="authCard">
         <h1>Pool Engineering Login</h1>
-        <p>Enter your @pooleng.com email to receive a passwordless magic link.</p>
+        <p>
+          Enter your {allowedDomains.map((domain) => `@${domain}`).join(" or ")} email, or the address you were
+          invited with, to receive a passwordless magic link.
+        </p>
         <form className="authForm" onSubmit={onSubmit}>
           <input
             type="email"
             required
-            placeholder="name@pooleng.com"
+            placeholder={`name@${allowedDomains[0]}`}
             value={email}
             onChange={(event) => setEmail(event.target.value)}
           />
-          <button className="button" type="submit" disabled={submitting}>
+          <button className="button" type="submit" disabled={submitting || cooldownSeconds > 0}>
             {submitting ? "Sending..." : "Send Magic Link"}
           </button>
         </form>
+        {codeEmail && (
+          <form className="authForm codeForm" onSubmit={onSubmitCode}>
+            <label htmlFor="loginCode">Code sent to {codeEmail}</label>
+            <input
+              id="loginCode"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              pattern="[0-9]{6}"
+              maxLength={6}
+              required
+              placeholder="123456"
+              value={code}
+              onChange={(event) => setCode(event.target.value.replace(/\D/g, ""))}
+            />
+            <button className="button" type="submit" disabled={verifyingCode || code.length !== 6}>
+              {verifyingCode ? "Checking..." : "Sign In With Code"}
+            </button>
+          </form>
+        )}
+        {cooldownSeconds > 0 && (
+          <p className="info">
+            You can request another link in {Math.floor(cooldownSeconds / 60)}:
+            {String(cooldownSeconds % 60).padStart(2, "0")}.
+          </p>
+        )}
         {message && <p className="success">{message}</p>}
         {error && <p className="error">{error}</p>}
       </section>
@@ -241,61 +559,19 @@ function LoginPage() {
   );
 }
 
-function ProtectedRoute({ children }) {
-  const { user, authLoading } = useAuth();
-
-  if (authLoading) {
-    return <p className="info loadingStandalone">Checking session...</p>;
-  }
-
-  if (!user) {
-    return <Navigate to="/login" replace />;
-  }
-
-  return children;
-}
-
-function DashboardPage() {
+function SessionsPage() {
   const navigate = useNavigate();
   const { user, logout } = useAuth();
-
-  const [items, setItems] = useState([]);
-  const [workspaces, setWorkspaces] = useState([]);
+  const [sessions, setSessions] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [workspaceLoading, setWorkspaceLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
   const [error, setError] = useState("");
-  const [workspaceDocumentCounts, setWorkspaceDocumentCounts] = useState({});
-
-  const [selectedWorkspaceId, setSelectedWorkspaceId] = useState("");
-  const [newWorkspaceName, setNewWorkspaceName] = useState("");
-  const [creatingWorkspace, setCreatingWorkspace] = useState(false);
-  const [deletingWorkspaceId, setDeletingWorkspaceId] = useState(null);
-
-  const [createForm, setCreateForm] = useState({
-    name: "",
-    description: "",
-    expirationDate: "",
-    workspaceId: ""
-  });
-  const [creating, setCreating] = useState(false);
-
-  const [activeCardId, setActiveCardId] = useState(null);
-  const [editForm, setEditForm] = useState({
-    name: "",
-    description: "",
-    expirationDate: "",
-    workspaceId: ""
-  });
-  const [updating, setUpdating] = useState(false);
-  const [deletingId, setDeletingId] = useState(null);
-  const [layoutMode, setLayoutMode] = useState("cards");
+  const [message, setMessage] = useState("");
 
-  async function loadWorkspaces() {
+  async function loadSessions() {
     try {
-      setWorkspaceLoading(true);
-      const response = await fetch(`${API_BASE_URL}/api/workspaces`, {
-        credentials: "include"
-      });
+      setLoading(true);
+      const response = await fetch(`${API_BASE_URL}/auth/sessions`, { credentials: "include" });
 
       if (response.status === 401) {
         navigate("/login", { replace: true });
@@ -303,33 +579,28 @@ function DashboardPage() {
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to load workspaces."));
+        throw new Error(await getErrorMessage(response, "Unable to load sessions."));
       }
 
-      const data = await response.json();
-      setWorkspaces(data);
-    } catch (workspaceError) {
-      setError(workspaceError.message);
+      setSessions(await response.json());
+    } catch (loadError) {
+      setError(loadError.message);
     } finally {
-      setWorkspaceLoading(false);
+      setLoading(false);
     }
   }
 
-  async function loadItems(workspaceId = selectedWorkspaceId) {
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  async function revokeSessions(url, signsOutHere) {
     try {
-      setLoading(true);
+      setBusy(true);
       setError("");
+      setMessage("");
 
-      const params = new URLSearchParams();
-      // When workspaceId is provided, backend filters documents by workspace.
-      if (workspaceId) {
-        params.set("workspaceId", workspaceId);
-      }
-
-      const query = params.toString();
-      const response = await fetch(`${API_BASE_URL}/api/documents${query ? `?${query}` : ""}`, {
-        credentials: "include"
-      });
+      const response = await fetch(url, { method: "DELETE", credentials: "include" });
 
       if (response.status === 401) {
         navigate("/login", { replace: true });
@@ -337,34 +608,125 @@ function DashboardPage() {
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to load documents from backend."));
+        throw new Error(await getErrorMessage(response, "Unable to revoke session."));
       }
 
-      const data = await response.json();
-      setItems(sortByExpiration(data));
-    } catch (fetchError) {
-      setError(fetchError.message);
+      if (signsOutHere) {
+        await logout();
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      setMessage("Session revoked.");
+      await loadSessions();
+    } catch (revokeError) {
+      setError(revokeError.message);
     } finally {
-      setLoading(false);
+      setBusy(false);
     }
   }
 
-  function buildWorkspaceCounts(documents) {
-    const counts = {};
-    for (const document of documents) {
-      if (!document.workspaceId) {
-        continue;
-      }
-      counts[document.workspaceId] = (counts[document.workspaceId] || 0) + 1;
+  function revokeSession(session) {
+    const confirmed = window.confirm(
+      session.current ? "Sign out of this browser?" : `Sign out ${describeUserAgent(session.userAgent)}?`
+    );
+    if (confirmed) {
+      revokeSessions(`${API_BASE_URL}/auth/sessions/${encodeURIComponent(session.id)}`, session.current);
     }
-    return counts;
   }
 
-  async function loadWorkspaceDocumentCounts() {
+  function revokeOtherSessions() {
+    if (window.confirm("Sign out every other device?")) {
+      revokeSessions(`${API_BASE_URL}/auth/sessions?keepCurrent=true`, false);
+    }
+  }
+
+  function revokeAllSessions() {
+    if (window.confirm("Sign out everywhere, including this browser?")) {
+      revokeSessions(`${API_BASE_URL}/auth/sessions`, true);
+    }
+  }
+
+  return (
+    <main className="page">
+      <section className="header headerRow">
+        <div>
+          <h1>Active Sessions</h1>
+          <p className="signedInAs">Signed in as {user?.email}</p>
+        </div>
+        <button className="button secondary" type="button" onClick={() => navigate("/dashboard")}>
+          Back to Dashboard
+        </button>
+      </section>
+
+      <section className="workspacePanel">
+        <p className="info">
+          Each browser or device you signed in with keeps its own session. Sign out any you do not recognise.
+        </p>
+        {error && <p className="error">{error}</p>}
+        {message && <p className="success">{message}</p>}
+        {loading ? (
+          <p className="info">Loading sessions...</p>
+        ) : (
+          <ul className="sessionList">
+            {sessions.map((session) => (
+              <li key={session.id}>
+                <div className="trashInfo">
+                  <strong>
+                    {describeUserAgent(session.userAgent)}
+                    {session.current && " (this browser)"}
+                  </strong>
+                  <span>IP address: {session.ipAddress || "Unknown"}</span>
+                  <span>
+                    Signed in {formatDateTime(session.createdAt)} &middot; Last seen{" "}
+                    {formatDateTime(session.lastSeenAt)}
+                  </span>
+                </div>
+                <button
+                  className="button danger small"
+                  type="button"
+                  disabled={busy}
+                  onClick={() => revokeSession(session)}
+                >
+                  Sign Out
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <div className="sessionActions">
+          <button
+            className="button secondary"
+            type="button"
+            disabled={busy || sessions.length < 2}
+            onClick={revokeOtherSessions}
+          >
+            Sign Out Other Devices
+          </button>
+          <button className="button danger" type="button" disabled={busy} onClick={revokeAllSessions}>
+            Sign Out Everywhere
+          </button>
+        </div>
+      </section>
+    </main>
+  );
+}
+
+function ApiTokensPage() {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [tokens, setTokens] = useState([]);
+  const [newToken, setNewToken] = useState({ name: "", scope: "read", expiresInDays: "90" });
+  const [createdToken, setCreatedToken] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  async function loadTokens() {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/documents`, {
-        credentials: "include"
-      });
+      setLoading(true);
+      const response = await fetch(`${API_BASE_URL}/auth/api-tokens`, { credentials: "include" });
 
       if (response.status === 401) {
         navigate("/login", { replace: true });
@@ -372,69 +734,2247 @@ function DashboardPage() {
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to load workspace document counts."));
+        throw new Error(await getErrorMessage(response, "Unable to load API tokens."));
       }
 
-      const data = await response.json();
-      setWorkspaceDocumentCounts(buildWorkspaceCounts(data));
-    } catch (countError) {
-      setError(countError.message);
+      setTokens(await response.json());
+    } catch (loadError) {
+      setError(loadError.message);
+    } finally {
+      setLoading(false);
     }
   }
 
   useEffect(() => {
-    loadWorkspaces();
-    loadWorkspaceDocumentCounts();
+    loadTokens();
   }, []);
 
-  useEffect(() => {
-    loadItems(selectedWorkspaceId);
-  }, [selectedWorkspaceId]);
+  async function createToken(event) {
+    event.preventDefault();
+    if (!newToken.name.trim()) {
+      setError("Token name is required.");
+      return;
+    }
 
-  const sortedItems = useMemo(() => sortByExpiration(items), [items]);
-  const workspaceNameById = useMemo(
-    () => Object.fromEntries(workspaces.map((workspace) => [workspace.id, workspace.name])),
-    [workspaces]
-  );
+    try {
+      setBusy(true);
+      setError("");
+      setMessage("");
 
-  function openEditor(item) {
-    setError("");
-    setActiveCardId(item.id);
-    setEditForm({
-      name: item.name,
-      description: item.description,
-      expirationDate: item.expirationDate.slice(0, 10),
-      workspaceId: item.workspaceId || ""
-    });
-  }
+      const response = await fetch(`${API_BASE_URL}/auth/api-tokens`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          name: newToken.name.trim(),
+          scope: newToken.scope,
+          expiresInDays: Number(newToken.expiresInDays)
+        })
+      });
 
-  function closeEditor() {
-    setActiveCardId(null);
-    setEditForm({
-      name: "",
-      description: "",
-      expirationDate: "",
-      workspaceId: ""
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to create API token."));
+      }
+
+      const token = await response.json();
+      setCreatedToken(token.token);
+      setNewToken((current) => ({ ...current, name: "" }));
+      await loadTokens();
+    } catch (createError) {
+      setError(createError.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function revokeToken(token) {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      setBusy(true);
+      setError("");
+      setMessage("");
+
+      const response = await fetch(`${API_BASE_URL}/auth/api-tokens/${encodeURIComponent(token.id)}`, {
+        method: "DELETE",
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to revoke API token."));
+      }
+
+      setMessage("API token revoked.");
+      await loadTokens();
+    } catch (revokeError) {
+      setError(revokeError.message);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function copyCreatedToken() {
+    try {
+      await navigator.clipboard.writeText(createdToken);
+    } catch (copyError) {
+      setError("Copy failed. Select the token and copy it manually.");
+    }
+  }
+
+  return (
+    <main className="page">
+      <section className="header headerRow">
+        <div>
+          <h1>API Tokens</h1>
+          <p className="signedInAs">Signed in as {user?.email}</p>
+        </div>
+        <button className="button secondary" type="button" onClick={() => navigate("/dashboard")}>
+          Back to Dashboard
+        </button>
+      </section>
+
+      <section className="workspacePanel">
+        <p className="info">
+          Scripts and spreadsheets can call the API with a personal token in an{" "}
+          <code>Authorization: Bearer</code> header. A token acts as you, with your workspace access; read-only
+          tokens can only load data.
+        </p>
+        {error && <p className="error">{error}</p>}
+        {message && <p className="success">{message}</p>}
+        {createdToken && (
+          <div className="feedUrl">
+            <input type="text" readOnly value={createdToken} onFocus={(event) => event.target.select()} />
+            <button className="button small" type="button" onClick={copyCreatedToken}>
+              Copy
+            </button>
+            <p className="sidebarHint">Copy this token now; it is not shown again.</p>
+          </div>
+        )}
+        {loading ? (
+          <p className="info">Loading API tokens...</p>
+        ) : (
+          <ul className="sessionList">
+            {tokens.map((token) => {
+              const expired = new Date(token.expiresAt) <= new Date();
+              const scopeLabel = API_TOKEN_SCOPE_OPTIONS.find((option) => option.value === token.scope)?.label;
+              return (
+                <li key={token.id}>
+                  <div className="trashInfo">
+                    <strong>
+                      {token.name}
+                      {expired && " (expired)"}
+                    </strong>
+                    <span>
+                      {scopeLabel} &middot; Created {formatDateTime(token.createdAt)} &middot;{" "}
+                      {expired ? "Expired" : "Expires"} {formatDateTime(token.expiresAt)}
+                    </span>
+                    <span>
+                      {token.lastUsedAt
+                        ? `Last used ${formatDateTime(token.lastUsedAt)} from ${token.lastUsedIp || "unknown address"}`
+                        : "Never used"}
+                    </span>
+                  </div>
+                  <button
+                    className="button danger small"
+                    type="button"
+                    disabled={busy}
+                    onClick={() => revokeToken(token)}
+                  >
+                    Revoke
+                  </button>
+                </li>
+              );
+            })}
+            {tokens.length === 0 && <li className="emptyHint">No API tokens yet.</li>}
+          </ul>
+        )}
+        <form className="apiTokenForm" onSubmit={createToken}>
+          <input
+            type="text"
+            placeholder="Token name, e.g. Renewals spreadsheet"
+            maxLength={100}
+            value={newToken.name}
+            onChange={(event) => setNewToken((current) => ({ ...current, name: event.target.value }))}
+          />
+          <select
+            value={newToken.scope}
+            onChange={(event) => setNewToken((current) => ({ ...current, scope: event.target.value }))}
+          >
+            {API_TOKEN_SCOPE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <select
+            value={newToken.expiresInDays}
+            onChange={(event) => setNewToken((current) => ({ ...current, expiresInDays: event.target.value }))}
+          >
+            {API_TOKEN_EXPIRY_DAYS.map((days) => (
+              <option key={days} value={days}>
+                Expires in {days} days
+              </option>
+            ))}
+          </select>
+          <button className="button" type="submit" disabled={busy}>
+            Create Token
+          </button>
+        </form>
+      </section>
+    </main>
+  );
+}
+
+function ProtectedRoute({ children }) {
+  const location = useLocation();
+  const { user, authLoading } = useAuth();
+
+  if (authLoading) {
+    return <p className="info loadingStandalone">Checking session...</p>;
+  }
+
+  if (!user) {
+    if (location.pathname === "/dashboard" && location.search) {
+      window.localStorage.setItem(PENDING_DASHBOARD_LINK_KEY, location.search);
+    }
+    return <Navigate to="/login" replace />;
+  }
+
+  return children;
+}
+
+function DashboardPage() {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
+
+  const [items, setItems] = useState([]);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [workspaceLoading, setWorkspaceLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [workspaceDocumentCounts, setWorkspaceDocumentCounts] = useState({});
+
+  const [selectedWorkspaceId, setSelectedWorkspaceId] = useState("");
+  const [newWorkspaceName, setNewWorkspaceName] = useState("");
+  const [creatingWorkspace, setCreatingWorkspace] = useState(false);
+  const [deletingWorkspaceId, setDeletingWorkspaceId] = useState(null);
+  const [workspaceContacts, setWorkspaceContacts] = useState([]);
+  const [newContactEmail, setNewContactEmail] = useState("");
+  const [savingContact, setSavingContact] = useState(false);
+  const [workspaceMembers, setWorkspaceMembers] = useState([]);
+  const [newMember, setNewMember] = useState({ email: "", role: "editor" });
+  const [savingMember, setSavingMember] = useState(false);
+  const [tags, setTags] = useState([]);
+  const [tagCounts, setTagCounts] = useState({});
+  const [taggedWorkspaceCounts, setTaggedWorkspaceCounts] = useState({});
+  const [newTagName, setNewTagName] = useState("");
+  const [renamingTag, setRenamingTag] = useState(null);
+  const [savingTag, setSavingTag] = useState(false);
+  const [newCustomField, setNewCustomField] = useState(EMPTY_CUSTOM_FIELD);
+  const [savingCustomField, setSavingCustomField] = useState(false);
+  const [webhooks, setWebhooks] = useState([]);
+  const [newWebhook, setNewWebhook] = useState(EMPTY_WEBHOOK);
+  const [newWebhookSecret, setNewWebhookSecret] = useState("");
+  const [savingWebhook, setSavingWebhook] = useState(false);
+  const [webhookDeliveries, setWebhookDeliveries] = useState({});
+  const [calendarFeeds, setCalendarFeeds] = useState([]);
+  const [includeFeedReminders, setIncludeFeedReminders] = useState(true);
+  const [newFeedUrl, setNewFeedUrl] = useState("");
+  const [savingFeed, setSavingFeed] = useState(false);
+  const [digestSettings, setDigestSettings] = useState(null);
+  const [digestForm, setDigestForm] = useState({ frequency: "off", workspaceIds: null });
+  const [savingDigest, setSavingDigest] = useState(false);
+  const [digestMessage, setDigestMessage] = useState("");
+  const [invitations, setInvitations] = useState([]);
+  const [newInvitation, setNewInvitation] = useState({
+    email: "",
+    expiresInDays: "30",
+    workspaceId: "",
+    role: "viewer"
+  });
+  const [savingInvitation, setSavingInvitation] = useState(false);
+
+  const [createForm, setCreateForm] = useState({
+    name: "",
+    description: "",
+    expirationDate: "",
+    workspaceId: "",
+    renewalMonths: "",
+    customFields: {},
+    tagIds: [],
+    assignedTo: ""
+  });
+  const [creating, setCreating] = useState(false);
+  const [createFieldErrors, setCreateFieldErrors] = useState({});
+
+  const [activeCardId, setActiveCardId] = useState(null);
+  const [linkedItem, setLinkedItem] = useState(null);
+  const [editForm, setEditForm] = useState({
+    name: "",
+    description: "",
+    expirationDate: "",
+    workspaceId: "",
+    warningDays: "",
+    criticalDays: "",
+    renewalMonths: "",
+    customFields: {},
+    tagIds: []
+  });
+  const [renewals, setRenewals] = useState([]);
+  const [renewForm, setRenewForm] = useState({ expirationDate: "", renewalMonths: "" });
+  const [renewing, setRenewing] = useState(false);
+  const [assigneeInput, setAssigneeInput] = useState("");
+  const [assigneeOptions, setAssigneeOptions] = useState([]);
+  const [assigning, setAssigning] = useState(false);
+  const [documentHistory, setDocumentHistory] = useState([]);
+  const [showActivity, setShowActivity] = useState(false);
+  const [activityEntries, setActivityEntries] = useState([]);
+  const [activityFilters, setActivityFilters] = useState({ actor: "", from: "", to: "" });
+  const [activityLoading, setActivityLoading] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [importCsv, setImportCsv] = useState("");
+  const [importFileName, setImportFileName] = useState("");
+  const [importMapping, setImportMapping] = useState({});
+  const [importWorkspaceId, setImportWorkspaceId] = useState("");
+  const [importSkipDuplicates, setImportSkipDuplicates] = useState(true);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importResult, setImportResult] = useState("");
+  const [importBusy, setImportBusy] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [trashItems, setTrashItems] = useState([]);
+  const [trashBusyId, setTrashBusyId] = useState(null);
+  const [uploadingAttachment, setUploadingAttachment] = useState(false);
+  const [thresholdForm, setThresholdForm] = useState({ warningDays: "", criticalDays: "" });
+  const [thresholdFieldErrors, setThresholdFieldErrors] = useState({});
+  const [savingThresholds, setSavingThresholds] = useState(false);
+  const [updating, setUpdating] = useState(false);
+  const [editFieldErrors, setEditFieldErrors] = useState({});
+  const [deletingId, setDeletingId] = useState(null);
+  const [layoutMode, setLayoutMode] = useState("cards");
+  const [documentFilters, setDocumentFilters] = useState(EMPTY_DOCUMENT_FILTERS);
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_DOCUMENT_FILTERS);
+  const [documentCreators, setDocumentCreators] = useState([]);
+  const [documentSort, setDocumentSort] = useState(DEFAULT_DOCUMENT_SORT);
+  const [documentTotal, setDocumentTotal] = useState(0);
+  const [loadedPages, setLoadedPages] = useState(1);
+  const [hasMoreItems, setHasMoreItems] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const itemsRequestRef = useRef(0);
+  const [stats, setStats] = useState(null);
+  const [rangeItems, setRangeItems] = useState([]);
+  const [rangeLoading, setRangeLoading] = useState(false);
+  const [calendarMonth, setCalendarMonth] = useState(() => getUtcDateInput().slice(0, 7));
+  const rangeRequestRef = useRef(0);
+  const statsRequestRef = useRef(0);
+  const loadMoreRef = useRef(null);
+
+  async function loadWorkspaces() {
+    try {
+      setWorkspaceLoading(true);
+      const response = await fetch(`${API_BASE_URL}/api/workspaces`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load workspaces."));
+      }
+
+      const data = await response.json();
+      setWorkspaces(data);
+    } catch (workspaceError) {
+      setError(workspaceError.message);
+    } finally {
+      setWorkspaceLoading(false);
+    }
+  }
+
+  async function fetchDocumentPage(workspaceId, page, pageSize, filters = appliedFilters, sort = documentSort) {
+    // When workspaceId is provided, backend filters documents by workspace.
+    const params = buildDocumentQueryParams(workspaceId, filters);
+    params.set("sort", sort.sort);
+    params.set("order", sort.order);
+    params.set("page", String(page));
+    params.set("pageSize", String(pageSize));
+    const response = await fetch(`${API_BASE_URL}/api/documents?${params.toString()}`, {
+      credentials: "include"
     });
+
+    if (response.status === 401) {
+      navigate("/login", { replace: true });
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(await getErrorMessage(response, "Unable to load documents from backend."));
+    }
+
+    return response.json();
+  }
+
+  async function loadItems(workspaceId = selectedWorkspaceId, pages = loadedPages) {
+    // Responses can arrive out of order while filters change; only the newest request wins.
+    const requestId = ++itemsRequestRef.current;
+    const pageCount = Math.min(Math.max(pages, 1), MAX_RELOADED_PAGES);
+    loadStats(workspaceId);
+    if (RANGE_LAYOUTS.includes(layoutMode)) {
+      loadRangeItems(workspaceId);
+    }
+
+    try {
+      setLoading(true);
+      setError("");
+
+      const data = await fetchDocumentPage(workspaceId, 1, DOCUMENT_PAGE_SIZE * pageCount);
+      if (!data || requestId !== itemsRequestRef.current) {
+        return;
+      }
+
+      setItems(data.items);
+      setDocumentTotal(data.total);
+      setHasMoreItems(data.hasMore);
+      setLoadedPages(pageCount);
+    } catch (fetchError) {
+      setError(fetchError.message);
+    } finally {
+      if (requestId === itemsRequestRef.current) {
+        setLoading(false);
+      }
+    }
+  }
+
+  function getLayoutRange() {
+    if (layoutMode === "calendar") {
+      const days = getCalendarDays(calendarMonth);
+      return { from: days[0], to: days[days.length - 1] };
+    }
+
+    const startMonth = getUtcDateInput().slice(0, 7);
+    return { from: `${startMonth}-01`, to: getMonthEnd(addUtcMonths(startMonth, TIMELINE_MONTHS - 1)) };
+  }
+
+  async function loadRangeItems(workspaceId = selectedWorkspaceId) {
+    const requestId = ++rangeRequestRef.current;
+    const range = getLayoutRange();
+    // The layout's range narrows any expiration filter already set in the filter bar.
+    const filters = {
+      ...appliedFilters,
+      expiresFrom: appliedFilters.expiresFrom > range.from ? appliedFilters.expiresFrom : range.from,
+      expiresTo: appliedFilters.expiresTo && appliedFilters.expiresTo < range.to ? appliedFilters.expiresTo : range.to
+    };
+
+    try {
+      setRangeLoading(true);
+      const documents = [];
+      for (let page = 1; ; page += 1) {
+        const data = await fetchDocumentPage(workspaceId, page, RANGE_PAGE_SIZE, filters, DEFAULT_DOCUMENT_SORT);
+        if (!data || requestId !== rangeRequestRef.current) {
+          return;
+        }
+
+        documents.push(...data.items);
+        if (!data.hasMore) {
+          break;
+        }
+      }
+      setRangeItems(documents);
+    } catch (rangeError) {
+      setError(rangeError.message);
+    } finally {
+      if (requestId === rangeRequestRef.current) {
+        setRangeLoading(false);
+      }
+    }
+  }
+
+  // The summary strip ignores its own status and date filters so every segment keeps its size.
+  async function loadStats(workspaceId = selectedWorkspaceId) {
+    const requestId = ++statsRequestRef.current;
+
+    try {
+      const params = buildDocumentQueryParams(workspaceId, {
+        ...appliedFilters,
+        statuses: [],
+        expiresFrom: "",
+        expiresTo: ""
+      });
+      const response = await fetch(`${API_BASE_URL}/api/stats?${params.toString()}`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load document statistics."));
+      }
+
+      const data = await response.json();
+      if (requestId === statsRequestRef.current) {
+        setStats(data);
+      }
+    } catch {
+      // The summary strip is optional; a failure here should not cover a document list that loaded fine.
+      if (requestId === statsRequestRef.current) {
+        setStats(null);
+      }
+    }
+  }
+
+  async function loadMoreItems() {
+    if (loading || loadingMore || !hasMoreItems) {
+      return;
+    }
+
+    const requestId = itemsRequestRef.current;
+    try {
+      setLoadingMore(true);
+      const data = await fetchDocumentPage(selectedWorkspaceId, loadedPages + 1, DOCUMENT_PAGE_SIZE);
+      if (!data || requestId !== itemsRequestRef.current) {
+        return;
+      }
+
+      setItems((current) => [...current, ...data.items]);
+      setDocumentTotal(data.total);
+      setHasMoreItems(data.hasMore);
+      setLoadedPages(loadedPages + 1);
+    } catch (fetchError) {
+      setError(fetchError.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  async function loadWorkspaceDocumentCounts() {
+    try {
+      const [countsResponse, creatorsResponse] = await Promise.all([
+        fetch(`${API_BASE_URL}/api/documents/counts`, { credentials: "include" }),
+        fetch(`${API_BASE_URL}/api/documents/creators`, { credentials: "include" })
+      ]);
+
+      if (countsResponse.status === 401 || creatorsResponse.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!countsResponse.ok) {
+        throw new Error(await getErrorMessage(countsResponse, "Unable to load workspace document counts."));
+      }
+      if (!creatorsResponse.ok) {
+        throw new Error(await getErrorMessage(creatorsResponse, "Unable to load document creators."));
+      }
+
+      const counts = await countsResponse.json();
+      setWorkspaceDocumentCounts(counts.byWorkspace);
+      setTagCounts(counts.byTag);
+      if (appliedFilters.tags.length > 0) {
+        await loadTaggedWorkspaceCounts(appliedFilters.tags);
+      }
+      setDocumentCreators(await creatorsResponse.json());
+    } catch (countError) {
+      setError(countError.message);
+    }
+  }
+
+  async function loadWorkspaceContacts(workspaceId = selectedWorkspaceId) {
+    if (!workspaceId) {
+      setWorkspaceContacts([]);
+      return;
+    }
+
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/workspaces/${encodeURIComponent(workspaceId)}/contacts`,
+        { credentials: "include" }
+      );
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load reminder contacts."));
+      }
+
+      setWorkspaceContacts(await response.json());
+    } catch (contactError) {
+      setError(contactError.message);
+    }
+  }
+
+  useEffect(() => {
+    loadWorkspaces();
+    loadWorkspaceDocumentCounts();
+  }, []);
+
+  useEffect(() => {
+    if (user?.isAdmin) {
+      loadInvitations();
+    }
+  }, [user?.isAdmin]);
+
+  useEffect(() => {
+    loadCalendarFeeds();
+    loadTags();
+    loadDigestSettings();
+  }, []);
+
+  // Digest emails link to a workspace, a status filter or a single document.
+  useEffect(() => {
+    const pendingLink = window.localStorage.getItem(PENDING_DASHBOARD_LINK_KEY);
+    window.localStorage.removeItem(PENDING_DASHBOARD_LINK_KEY);
+    const params = new URLSearchParams(location.search || pendingLink || "");
+    const statuses = (params.get("status") || "")
+      .split(",")
+      .filter((status) => STATUS_FILTER_OPTIONS.some((option) => option.value === status));
+
+    if (params.get("workspaceId")) {
+      setSelectedWorkspaceId(params.get("workspaceId"));
+    }
+    if (statuses.length > 0) {
+      setDocumentFilters((current) => ({ ...current, statuses }));
+    }
+    if (params.get("document")) {
+      openLinkedDocument(params.get("document"));
+    }
+    if (location.search) {
+      navigate("/dashboard", { replace: true });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTaggedWorkspaceCounts(appliedFilters.tags);
+  }, [appliedFilters.tags]);
+
+  useEffect(() => {
+    loadWorkspaceContacts(selectedWorkspaceId);
+    loadWorkspaceMembers(selectedWorkspaceId);
+  }, [selectedWorkspaceId]);
+
+  useEffect(() => {
+    loadItems(selectedWorkspaceId, 1);
+  }, [selectedWorkspaceId, appliedFilters, documentSort]);
+
+  useEffect(() => {
+    if (RANGE_LAYOUTS.includes(layoutMode)) {
+      loadRangeItems(selectedWorkspaceId);
+    }
+  }, [layoutMode, calendarMonth]);
+
+  // Infinite scroll: fetch the next page when the sentinel below the list comes into view.
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMoreItems || error || typeof IntersectionObserver === "undefined") {
+      return undefined;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        loadMoreItems();
+      }
+    });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  });
+
+  // Typing in the search box only hits the API once the user pauses.
+  useEffect(() => {
+    const timer = window.setTimeout(() => setAppliedFilters(documentFilters), 300);
+    return () => window.clearTimeout(timer);
+  }, [documentFilters]);
+
+  useEffect(() => {
+    if (showActivity) {
+      loadActivity(selectedWorkspaceId);
+    }
+  }, [showActivity, selectedWorkspaceId]);
+
+  useEffect(() => {
+    if (showTrash) {
+      loadTrash(selectedWorkspaceId);
+    }
+  }, [showTrash, selectedWorkspaceId]);
+
+  const workspaceNameById = useMemo(
+    () => Object.fromEntries(workspaces.map((workspace) => [workspace.id, workspace.name])),
+    [workspaces]
+  );
+  const selectedWorkspace = workspaces.find((workspace) => workspace.id === selectedWorkspaceId) || null;
+  const roleByWorkspaceId = useMemo(
+    () => Object.fromEntries(workspaces.map((workspace) => [workspace.id, workspace.role])),
+    [workspaces]
+  );
+  const editableWorkspaces = useMemo(
+    () => workspaces.filter((workspace) => hasRole(workspace.role, "editor")),
+    [workspaces]
+  );
+  const canImportToSelected = editableWorkspaces.some((workspace) => workspace.id === selectedWorkspaceId);
+  const importCount = importPreview
+    ? importPreview.rows.filter((row) => row.valid && !(importSkipDuplicates && row.duplicate)).length
+    : 0;
+  const isSelectedWorkspaceOwner = hasRole(selectedWorkspace?.role, "owner");
+
+  // Webhooks are owner-only; their secrets sign every delivery.
+  useEffect(() => {
+    setNewWebhookSecret("");
+    setWebhookDeliveries({});
+    if (isSelectedWorkspaceOwner) {
+      loadWebhooks(selectedWorkspaceId);
+    } else {
+      setWebhooks([]);
+    }
+  }, [selectedWorkspaceId, isSelectedWorkspaceOwner]);
+  const editWorkspace = workspaces.find((workspace) => workspace.id === editForm.workspaceId) || null;
+  const createWorkspaceFields = workspaces.find((workspace) => workspace.id === createForm.workspaceId)?.fields || [];
+  const fieldsByWorkspaceId = useMemo(
+    () => Object.fromEntries(workspaces.map((workspace) => [workspace.id, workspace.fields || []])),
+    [workspaces]
+  );
+  // A selected workspace gets one list column per field; "All" shows them combined in one column.
+  const listCustomFields = selectedWorkspace?.fields || [];
+  const showCustomFieldSummary = !selectedWorkspace && workspaces.some((workspace) => workspace.fields?.length > 0);
+  const extraListColumns = listCustomFields.length + (showCustomFieldSummary ? 1 : 0);
+  const listGridStyle =
+    extraListColumns > 0
+      ? { gridTemplateColumns: `1.1fr 1.3fr ${"1fr ".repeat(extraListColumns)}1fr 1fr 1.1fr 1fr 1fr 1fr 1.1fr 1fr` }
+      : undefined;
+
+  useEffect(() => {
+    setThresholdForm({
+      warningDays: selectedWorkspace?.warningDays ?? "",
+      criticalDays: selectedWorkspace?.criticalDays ?? ""
+    });
+    setThresholdFieldErrors({});
+  }, [selectedWorkspace?.id, selectedWorkspace?.warningDays, selectedWorkspace?.criticalDays]);
+
+  async function loadRenewals(documentId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/${encodeURIComponent(documentId)}/renewals`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load renewal history."));
+      }
+
+      setRenewals(await response.json());
+    } catch (renewalError) {
+      setError(renewalError.message);
+    }
+  }
+
+  async function fetchAuditEntries(filters) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) {
+        params.set(key, value);
+      }
+    }
+
+    const response = await fetch(`${API_BASE_URL}/api/audit?${params.toString()}`, {
+      credentials: "include"
+    });
+
+    if (response.status === 401) {
+      navigate("/login", { replace: true });
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(await getErrorMessage(response, "Unable to load history."));
+    }
+
+    return response.json();
+  }
+
+  async function loadDocumentHistory(documentId) {
+    try {
+      const entries = await fetchAuditEntries({ documentId });
+      if (entries) {
+        setDocumentHistory(entries);
+      }
+    } catch (historyError) {
+      setError(historyError.message);
+    }
+  }
+
+  async function loadActivity(workspaceId = selectedWorkspaceId) {
+    try {
+      setActivityLoading(true);
+      const entries = await fetchAuditEntries({
+        workspaceId,
+        actor: activityFilters.actor.trim(),
+        from: activityFilters.from,
+        // Include the whole "to" day rather than stopping at midnight.
+        to: activityFilters.to ? `${activityFilters.to}T23:59:59.999` : ""
+      });
+      if (entries) {
+        setActivityEntries(entries);
+      }
+    } catch (activityError) {
+      setError(activityError.message);
+    } finally {
+      setActivityLoading(false);
+    }
+  }
+
+  function openEditor(item) {
+    setError("");
+    setEditFieldErrors({});
+    setActiveCardId(item.id);
+    setEditForm({
+      name: item.name,
+      description: item.description,
+      expirationDate: item.expirationDate.slice(0, 10),
+      workspaceId: item.workspaceId || "",
+      warningDays: item.warningDays ?? "",
+      criticalDays: item.criticalDays ?? "",
+      renewalMonths: item.renewalMonths ?? "",
+      customFields: { ...item.customFields },
+      tagIds: item.tags.map((tag) => tag.id)
+    });
+    setRenewForm({ expirationDate: "", renewalMonths: item.renewalMonths ?? "" });
+    setAssigneeInput(item.assignedTo || "");
+    setAssigneeOptions([]);
+    setRenewals([]);
+    setDocumentHistory([]);
+    loadAssigneeOptions(item.workspaceId);
+    loadRenewals(item.id);
+    loadDocumentHistory(item.id);
+  }
+
+  // Linked documents may not be on a loaded page, so the dashboard shows them in their own editor.
+  async function openLinkedDocument(documentId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/${encodeURIComponent(documentId)}`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to open the linked document."));
+      }
+
+      const document = await response.json();
+      setLinkedItem(document);
+      openEditor(document);
+    } catch (linkError) {
+      setError(linkError.message);
+    }
+  }
+
+  function closeEditor() {
+    setActiveCardId(null);
+    setEditFieldErrors({});
+    setLinkedItem(null);
+    setEditForm({
+      name: "",
+      description: "",
+      expirationDate: "",
+      workspaceId: "",
+      warningDays: "",
+      criticalDays: "",
+      renewalMonths: "",
+      customFields: {},
+      tagIds: []
+    });
+    setRenewals([]);
+    setDocumentHistory([]);
+  }
+
+  async function createWorkspace(event) {
+    event.preventDefault();
+    const trimmedName = newWorkspaceName.trim();
+    if (!trimmedName) {
+      setError("Workspace name is required.");
+      return;
+    }
+
+    try {
+      setCreatingWorkspace(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/workspaces`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ name: trimmedName })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to create workspace."));
+      }
+
+      setNewWorkspaceName("");
+      await loadWorkspaces();
+      await loadWorkspaceDocumentCounts();
+    } catch (workspaceError) {
+      setError(workspaceError.message);
+    } finally {
+      setCreatingWorkspace(false);
+    }
+  }
+
+  async function deleteWorkspace(workspaceId) {
+    const confirmed = window.confirm("Delete this workspace?");
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      setDeletingWorkspaceId(workspaceId);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/workspaces/${encodeURIComponent(workspaceId)}`, {
+        method: "DELETE",
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to delete workspace."));
+      }
+
+      const nextSelectedWorkspace = selectedWorkspaceId === workspaceId ? "" : selectedWorkspaceId;
+      setSelectedWorkspaceId(nextSelectedWorkspace);
+      if (createForm.workspaceId === workspaceId) {
+        setCreateForm((current) => ({ ...current, workspaceId: "" }));
+      }
+      if (editForm.workspaceId === workspaceId) {
+        setEditForm((current) => ({ ...current, workspaceId: "" }));
+      }
+
+      await loadWorkspaces();
+      await loadWorkspaceDocumentCounts();
+      await loadItems(nextSelectedWorkspace);
+    } catch (workspaceError) {
+      // Backend returns a specific error when workspace still contains documents.
+      setError(workspaceError.message);
+    } finally {
+      setDeletingWorkspaceId(null);
+    }
+  }
+
+  async function saveWorkspaceThresholds(event) {
+    event.preventDefault();
+    if (thresholdForm.warningDays === "" || thresholdForm.criticalDays === "") {
+      setError("Warning and critical windows are required.");
+      return;
+    }
+
+    try {
+      setSavingThresholds(true);
+      setError("");
+      setThresholdFieldErrors({});
+
+      const response = await fetch(`${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          warningDays: Number(thresholdForm.warningDays),
+          criticalDays: Number(thresholdForm.criticalDays)
+        })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw await getRequestError(response, "Unable to save status thresholds.");
+      }
+
+      await loadWorkspaces();
+      await loadItems(selectedWorkspaceId);
+    } catch (thresholdError) {
+      setError(thresholdError.message);
+      setThresholdFieldErrors(thresholdError.fields || {});
+    } finally {
+      setSavingThresholds(false);
+    }
+  }
+
+  async function loadTags() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/tags`, { credentials: "include" });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load tags."));
+      }
+
+      setTags(await response.json());
+    } catch (tagError) {
+      setError(tagError.message);
+    }
+  }
+
+  // Per-workspace counts of the documents carrying the tags selected in the filter.
+  async function loadTaggedWorkspaceCounts(tagIds) {
+    if (tagIds.length === 0) {
+      setTaggedWorkspaceCounts({});
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams({ tags: tagIds.join(",") });
+      const response = await fetch(`${API_BASE_URL}/api/documents/counts?${params.toString()}`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load tag counts."));
+      }
+
+      setTaggedWorkspaceCounts((await response.json()).byWorkspace);
+    } catch (countError) {
+      setError(countError.message);
+    }
+  }
+
+  async function saveTag(path, method, body, fallbackMessage) {
+    try {
+      setSavingTag(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/tags${path}`, {
+        method,
+        headers: body ? { "Content-Type": "application/json" } : undefined,
+        credentials: "include",
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return false;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, fallbackMessage));
+      }
+
+      await loadTags();
+      return true;
+    } catch (tagError) {
+      setError(tagError.message);
+      return false;
+    } finally {
+      setSavingTag(false);
+    }
+  }
+
+  async function createTag(event) {
+    event.preventDefault();
+    if (!newTagName.trim()) {
+      setError("Tag name is required.");
+      return;
+    }
+
+    if (await saveTag("", "POST", { name: newTagName.trim() }, "Unable to create tag.")) {
+      setNewTagName("");
+    }
+  }
+
+  async function renameTag(event) {
+    event.preventDefault();
+    const renamed = await saveTag(
+      `/${encodeURIComponent(renamingTag.id)}`,
+      "PUT",
+      { name: renamingTag.name.trim() },
+      "Unable to rename tag."
+    );
+    if (renamed) {
+      setRenamingTag(null);
+      await loadItems(selectedWorkspaceId);
+    }
+  }
+
+  async function deleteTag(tag) {
+    if (!window.confirm(`Delete the tag "${tag.name}"? It is removed from every document.`)) {
+      return;
+    }
+
+    if (await saveTag(`/${encodeURIComponent(tag.id)}`, "DELETE", null, "Unable to delete tag.")) {
+      setDocumentFilters((current) => ({ ...current, tags: current.tags.filter((tagId) => tagId !== tag.id) }));
+      await loadWorkspaceDocumentCounts();
+      await loadItems(selectedWorkspaceId);
+    }
+  }
+
+  function toggleTagFilter(tagId) {
+    setDocumentFilters((current) => ({
+      ...current,
+      tags: current.tags.includes(tagId) ? current.tags.filter((entry) => entry !== tagId) : [...current.tags, tagId]
+    }));
+  }
+
+  function toggleTagId(tagIds, tagId) {
+    return tagIds.includes(tagId) ? tagIds.filter((entry) => entry !== tagId) : [...tagIds, tagId];
+  }
+
+  function renderTagChips(documentTags) {
+    if (!documentTags?.length) {
+      return null;
+    }
+
+    return (
+      <span className="tagChips">
+        {documentTags.map((tag) => (
+          <span key={tag.id} className="tagChip">
+            {tag.name}
+          </span>
+        ))}
+      </span>
+    );
+  }
+
+  function renderTagPicker(selectedIds, onToggle) {
+    if (tags.length === 0) {
+      return null;
+    }
+
+    return (
+      <div className="tagPicker">
+        {tags.map((tag) => (
+          <button
+            key={tag.id}
+            type="button"
+            className={`tagChip selectable ${selectedIds.includes(tag.id) ? "active" : ""}`}
+            aria-pressed={selectedIds.includes(tag.id)}
+            onClick={() => onToggle(tag.id)}
+          >
+            {tag.name}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  async function loadCalendarFeeds() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/calendar-feeds`, { credentials: "include" });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load calendar feeds."));
+      }
+
+      setCalendarFeeds(await response.json());
+    } catch (feedError) {
+      setError(feedError.message);
+    }
+  }
+
+  function applyDigestSettings(settings) {
+    setDigestSettings(settings);
+    setDigestForm({ frequency: settings.frequency, workspaceIds: settings.workspaceIds });
+  }
+
+  async function loadDigestSettings() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/digest`, { credentials: "include" });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load digest settings."));
+      }
+
+      applyDigestSettings(await response.json());
+    } catch (digestError) {
+      setError(digestError.message);
+    }
+  }
+
+  async function saveDigestSettings(event) {
+    event.preventDefault();
+    if (digestForm.workspaceIds?.length === 0) {
+      setError("Pick at least one workspace for the digest.");
+      return;
+    }
+
+    try {
+      setSavingDigest(true);
+      setError("");
+      setDigestMessage("");
+
+      const response = await fetch(`${API_BASE_URL}/api/digest`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(digestForm)
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to save digest settings."));
+      }
+
+      applyDigestSettings(await response.json());
+      setDigestMessage("Digest settings saved.");
+    } catch (digestError) {
+      setError(digestError.message);
+    } finally {
+      setSavingDigest(false);
+    }
+  }
+
+  async function sendDigestNow() {
+    try {
+      setSavingDigest(true);
+      setError("");
+      setDigestMessage("");
+
+      const response = await fetch(`${API_BASE_URL}/api/digest/send`, {
+        method: "POST",
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to send the digest."));
+      }
+
+      const { sent, documentCount } = await response.json();
+      setDigestMessage(
+        sent
+          ? `Digest sent to ${user.email} with ${documentCount} document${documentCount === 1 ? "" : "s"}.`
+          : "Nothing needs attention, so no digest was sent."
+      );
+    } catch (digestError) {
+      setError(digestError.message);
+    } finally {
+      setSavingDigest(false);
+    }
+  }
+
+  function toggleDigestWorkspace(workspaceId) {
+    setDigestForm((current) => ({
+      ...current,
+      workspaceIds: current.workspaceIds.includes(workspaceId)
+        ? current.workspaceIds.filter((entry) => entry !== workspaceId)
+        : [...current.workspaceIds, workspaceId]
+    }));
+  }
+
+  async function createCalendarFeed() {
+    try {
+      setSavingFeed(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/calendar-feeds`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ workspaceId: selectedWorkspaceId || null, includeReminders: includeFeedReminders })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to create calendar feed."));
+      }
+
+      const feed = await response.json();
+      setNewFeedUrl(feed.url);
+      await loadCalendarFeeds();
+    } catch (feedError) {
+      setError(feedError.message);
+    } finally {
+      setSavingFeed(false);
+    }
+  }
+
+  async function revokeCalendarFeed(feed) {
+    const confirmed = window.confirm("Revoke this calendar feed? Calendars subscribed to it will stop updating.");
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      setSavingFeed(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/calendar-feeds/${encodeURIComponent(feed.id)}`, {
+        method: "DELETE",
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to revoke calendar feed."));
+      }
+
+      await loadCalendarFeeds();
+    } catch (feedError) {
+      setError(feedError.message);
+    } finally {
+      setSavingFeed(false);
+    }
+  }
+
+  async function copyFeedUrl() {
+    try {
+      await navigator.clipboard.writeText(newFeedUrl);
+    } catch (copyError) {
+      setError("Copy failed. Select the address and copy it manually.");
+    }
+  }
+
+  async function loadInvitations() {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/invitations`, { credentials: "include" });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load invitations."));
+      }
+
+      setInvitations(await response.json());
+    } catch (invitationError) {
+      setError(invitationError.message);
+    }
+  }
+
+  async function createInvitation(event) {
+    event.preventDefault();
+    const email = newInvitation.email.trim();
+    if (!email) {
+      setError("Invitation email is required.");
+      return;
+    }
+
+    try {
+      setSavingInvitation(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/invitations`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          email,
+          expiresInDays: Number(newInvitation.expiresInDays),
+          workspaceId: newInvitation.workspaceId || null,
+          role: newInvitation.role
+        })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to create invitation."));
+      }
+
+      setNewInvitation((current) => ({ ...current, email: "" }));
+      await loadInvitations();
+      if (newInvitation.workspaceId && newInvitation.workspaceId === selectedWorkspaceId) {
+        await loadWorkspaceMembers(selectedWorkspaceId);
+      }
+    } catch (invitationError) {
+      setError(invitationError.message);
+    } finally {
+      setSavingInvitation(false);
+    }
+  }
+
+  async function revokeInvitation(invitation) {
+    const confirmed = window.confirm(`Revoke the invitation for ${invitation.email}?`);
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      setSavingInvitation(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/invitations/${encodeURIComponent(invitation.id)}`, {
+        method: "DELETE",
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to revoke invitation."));
+      }
+
+      await loadInvitations();
+    } catch (invitationError) {
+      setError(invitationError.message);
+    } finally {
+      setSavingInvitation(false);
+    }
+  }
+
+  async function loadWorkspaceMembers(workspaceId = selectedWorkspaceId) {
+    if (!workspaceId) {
+      setWorkspaceMembers([]);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/workspaces/${encodeURIComponent(workspaceId)}/members`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load workspace members."));
+      }
+
+      setWorkspaceMembers(await response.json());
+    } catch (memberError) {
+      setError(memberError.message);
+    }
+  }
+
+  async function addWorkspaceMember(event) {
+    event.preventDefault();
+    const email = newMember.email.trim();
+    if (!email) {
+      setError("Member email is required.");
+      return;
+    }
+
+    try {
+      setSavingMember(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}/members`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ email, role: newMember.role })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to add workspace member."));
+      }
+
+      setNewMember({ email: "", role: "editor" });
+      setWorkspaceMembers(await response.json());
+    } catch (memberError) {
+      setError(memberError.message);
+    } finally {
+      setSavingMember(false);
+    }
+  }
+
+  async function changeWorkspaceMemberRole(email, role) {
+    try {
+      setSavingMember(true);
+      setError("");
+
+      const response = await fetch(
+        `${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}/members/${encodeURIComponent(email)}`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ role })
+        }
+      );
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to change member role."));
+      }
+
+      setWorkspaceMembers(await response.json());
+      if (email === user?.email) {
+        await loadWorkspaces();
+      }
+    } catch (memberError) {
+      setError(memberError.message);
+    } finally {
+      setSavingMember(false);
+    }
+  }
+
+  async function removeWorkspaceMember(email) {
+    const leaving = email === user?.email;
+    const confirmed = window.confirm(leaving ? "Leave this workspace?" : `Remove ${email} from this workspace?`);
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      setSavingMember(true);
+      setError("");
+
+      const response = await fetch(
+        `${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}/members/${encodeURIComponent(email)}`,
+        {
+          method: "DELETE",
+          credentials: "include"
+        }
+      );
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to remove workspace member."));
+      }
+
+      if (leaving) {
+        setSelectedWorkspaceId("");
+        await loadWorkspaces();
+        await loadWorkspaceDocumentCounts();
+        return;
+      }
+
+      await loadWorkspaceMembers(selectedWorkspaceId);
+    } catch (memberError) {
+      setError(memberError.message);
+    } finally {
+      setSavingMember(false);
+    }
+  }
+
+  async function addWorkspaceContact(event) {
+    event.preventDefault();
+    const email = newContactEmail.trim();
+    if (!email) {
+      setError("Contact email is required.");
+      return;
+    }
+
+    try {
+      setSavingContact(true);
+      setError("");
+
+      const response = await fetch(
+        `${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}/contacts`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          credentials: "include",
+          body: JSON.stringify({ email })
+        }
+      );
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to add reminder contact."));
+      }
+
+      setNewContactEmail("");
+      setWorkspaceContacts(await response.json());
+    } catch (contactError) {
+      setError(contactError.message);
+    } finally {
+      setSavingContact(false);
+    }
+  }
+
+  async function removeWorkspaceContact(email) {
+    try {
+      setSavingContact(true);
+      setError("");
+
+      const response = await fetch(
+        `${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}/contacts/${encodeURIComponent(email)}`,
+        {
+          method: "DELETE",
+          credentials: "include"
+        }
+      );
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to remove reminder contact."));
+      }
+
+      await loadWorkspaceContacts(selectedWorkspaceId);
+    } catch (contactError) {
+      setError(contactError.message);
+    } finally {
+      setSavingContact(false);
+    }
+  }
+
+  function updateWorkspaceFields(workspaceId, fields) {
+    setWorkspaces((current) =>
+      current.map((workspace) => (workspace.id === workspaceId ? { ...workspace, fields } : workspace))
+    );
+  }
+
+  async function saveCustomField(path, method, body, fallbackMessage) {
+    try {
+      setSavingCustomField(true);
+      setError("");
+
+      const response = await fetch(
+        `${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}/fields${path}`,
+        {
+          method,
+          headers: body ? { "Content-Type": "application/json" } : undefined,
+          credentials: "include",
+          body: body ? JSON.stringify(body) : undefined
+        }
+      );
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return false;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, fallbackMessage));
+      }
+
+      return response.status === 204 ? true : response.json();
+    } catch (fieldError) {
+      setError(fieldError.message);
+      return false;
+    } finally {
+      setSavingCustomField(false);
+    }
+  }
+
+  async function addCustomField(event) {
+    event.preventDefault();
+    if (!newCustomField.label.trim()) {
+      setError("Field label is required.");
+      return;
+    }
+
+    const fields = await saveCustomField(
+      "",
+      "POST",
+      {
+        label: newCustomField.label.trim(),
+        type: newCustomField.type,
+        required: newCustomField.required,
+        ...(newCustomField.type === "select"
+          ? { options: newCustomField.options.split(",").map((option) => option.trim()) }
+          : {})
+      },
+      "Unable to add custom field."
+    );
+    if (fields) {
+      updateWorkspaceFields(selectedWorkspaceId, fields);
+      setNewCustomField(EMPTY_CUSTOM_FIELD);
+    }
+  }
+
+  async function toggleCustomFieldRequired(field) {
+    const fields = await saveCustomField(
+      `/${encodeURIComponent(field.id)}`,
+      "PUT",
+      { required: !field.required },
+      "Unable to update custom field."
+    );
+    if (fields) {
+      updateWorkspaceFields(selectedWorkspaceId, fields);
+    }
+  }
+
+  async function removeCustomField(field) {
+    if (!window.confirm(`Remove the field "${field.label}"? Its values are deleted from every document.`)) {
+      return;
+    }
+
+    const removed = await saveCustomField(
+      `/${encodeURIComponent(field.id)}`,
+      "DELETE",
+      null,
+      "Unable to remove custom field."
+    );
+    if (removed) {
+      updateWorkspaceFields(
+        selectedWorkspaceId,
+        selectedWorkspace.fields.filter((entry) => entry.id !== field.id)
+      );
+      await loadItems(selectedWorkspaceId);
+    }
+  }
+
+  async function saveWebhook(path, method, body, fallbackMessage) {
+    try {
+      setSavingWebhook(true);
+      setError("");
+
+      const response = await fetch(
+        `${API_BASE_URL}/api/workspaces/${encodeURIComponent(selectedWorkspaceId)}/webhooks${path}`,
+        {
+          method,
+          headers: body ? { "Content-Type": "application/json" } : undefined,
+          credentials: "include",
+          body: body ? JSON.stringify(body) : undefined
+        }
+      );
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return false;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, fallbackMessage));
+      }
+
+      return response.status === 204 ? true : response.json();
+    } catch (webhookError) {
+      setError(webhookError.message);
+      return false;
+    } finally {
+      setSavingWebhook(false);
+    }
+  }
+
+  async function loadWebhooks(workspaceId = selectedWorkspaceId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/workspaces/${encodeURIComponent(workspaceId)}/webhooks`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load webhooks."));
+      }
+
+      setWebhooks(await response.json());
+    } catch (webhookError) {
+      setError(webhookError.message);
+    }
+  }
+
+  async function addWebhook(event) {
+    event.preventDefault();
+    if (!newWebhook.url.trim()) {
+      setError("Webhook URL is required.");
+      return;
+    }
+
+    const created = await saveWebhook(
+      "",
+      "POST",
+      {
+        url: newWebhook.url.trim(),
+        events: newWebhook.events,
+        ...(newWebhook.secret ? { secret: newWebhook.secret } : {})
+      },
+      "Unable to add webhook."
+    );
+    if (created) {
+      const { secret, ...webhook } = created;
+      setWebhooks((current) => [...current, webhook]);
+      setNewWebhookSecret(secret);
+      setNewWebhook(EMPTY_WEBHOOK);
+    }
+  }
+
+  function toggleNewWebhookEvent(eventType) {
+    setNewWebhook((current) => ({
+      ...current,
+      events: current.events.includes(eventType)
+        ? current.events.filter((entry) => entry !== eventType)
+        : [...current.events, eventType]
+    }));
+  }
+
+  async function toggleWebhookActive(webhook) {
+    const saved = await saveWebhook(
+      `/${encodeURIComponent(webhook.id)}`,
+      "PUT",
+      { active: !webhook.active },
+      "Unable to update webhook."
+    );
+    if (saved) {
+      setWebhooks((current) => current.map((entry) => (entry.id === saved.id ? saved : entry)));
+    }
+  }
+
+  async function removeWebhook(webhook) {
+    if (!window.confirm(`Remove the webhook for ${webhook.url}? Its delivery log is deleted too.`)) {
+      return;
+    }
+
+    const removed = await saveWebhook(
+      `/${encodeURIComponent(webhook.id)}`,
+      "DELETE",
+      null,
+      "Unable to remove webhook."
+    );
+    if (removed) {
+      setWebhooks((current) => current.filter((entry) => entry.id !== webhook.id));
+    }
+  }
+
+  async function loadWebhookDeliveries(webhookId) {
+    const deliveries = await saveWebhook(
+      `/${encodeURIComponent(webhookId)}/deliveries`,
+      "GET",
+      null,
+      "Unable to load webhook deliveries."
+    );
+    if (deliveries) {
+      setWebhookDeliveries((current) => ({ ...current, [webhookId]: deliveries }));
+    }
+  }
+
+  function toggleWebhookDeliveries(webhookId) {
+    if (webhookDeliveries[webhookId]) {
+      setWebhookDeliveries(({ [webhookId]: _hidden, ...rest }) => rest);
+    } else {
+      loadWebhookDeliveries(webhookId);
+    }
+  }
+
+  async function sendTestWebhook(webhook) {
+    const delivery = await saveWebhook(
+      `/${encodeURIComponent(webhook.id)}/test`,
+      "POST",
+      null,
+      "Unable to send test event."
+    );
+    if (delivery) {
+      await loadWebhookDeliveries(webhook.id);
+      await loadWebhooks(selectedWorkspaceId);
+    }
+  }
+
+  async function retryWebhookDelivery(webhookId, delivery) {
+    const retried = await saveWebhook(
+      `/${encodeURIComponent(webhookId)}/deliveries/${encodeURIComponent(delivery.id)}/retry`,
+      "POST",
+      null,
+      "Unable to retry delivery."
+    );
+    if (retried) {
+      await loadWebhookDeliveries(webhookId);
+    }
+  }
+
+  async function copyWebhookSecret() {
+    try {
+      await navigator.clipboard.writeText(newWebhookSecret);
+    } catch (copyError) {
+      setError("Copy failed. Select the secret and copy it manually.");
+    }
+  }
+
+  function describeWebhookDelivery(delivery) {
+    const outcome = delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.lastError || "not sent yet";
+    const attempts = `${delivery.attempts} attempt${delivery.attempts === 1 ? "" : "s"}`;
+    return `${delivery.status}, ${outcome}, ${attempts}`;
+  }
+
+  function renderCustomFieldInput(field, value, onChange, inputId) {
+    const commonProps = {
+      id: inputId,
+      value: value ?? "",
+      required: field.required,
+      "aria-label": field.label,
+      onChange: (event) => onChange(event.target.value)
+    };
+
+    if (field.type === "select") {
+      return (
+        <select {...commonProps}>
+          <option value="">{inputId ? "Not set" : field.label}</option>
+          {field.options.map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    return (
+      <input
+        {...commonProps}
+        type={field.type === "number" ? "number" : field.type === "date" ? "date" : "text"}
+        step={field.type === "number" ? "any" : undefined}
+        placeholder={field.label}
+        title={field.label}
+      />
+    );
+  }
+
+  function renderCustomFieldSummary(item) {
+    const fields = (fieldsByWorkspaceId[item.workspaceId] || []).filter(
+      (field) => formatCustomFieldValue(field, item.customFields?.[field.id]) !== ""
+    );
+    if (fields.length === 0) {
+      return null;
+    }
+
+    return (
+      <dl className="customFieldList">
+        {fields.map((field) => (
+          <div key={field.id}>
+            <dt>{field.label}</dt>
+            <dd>{formatCustomFieldValue(field, item.customFields[field.id])}</dd>
+          </div>
+        ))}
+      </dl>
+    );
+  }
+
+  async function submitCreate(event) {
+    event.preventDefault();
+    const { name, description, expirationDate, workspaceId, renewalMonths, customFields, tagIds, assignedTo } =
+      createForm;
+
+    try {
+      setCreating(true);
+      setError("");
+      setCreateFieldErrors({});
+
+      const response = await fetch(`${API_BASE_URL}/api/documents`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          name: name.trim(),
+          description: description.trim(),
+          expirationDate,
+          workspaceId,
+          renewalMonths: renewalMonths === "" ? null : Number(renewalMonths),
+          customFields: Object.fromEntries(
+            createWorkspaceFields
+              .filter((field) => customFields[field.id] !== undefined && customFields[field.id] !== "")
+              .map((field) => [field.id, customFields[field.id]])
+          ),
+          tagIds,
+          assignedTo: assignedTo.trim() || null
+        })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw await getRequestError(response, "Unable to create this document.");
+      }
+
+      setCreateForm({
+        name: "",
+        description: "",
+        expirationDate: "",
+        workspaceId: "",
+        renewalMonths: "",
+        customFields: {},
+        tagIds: [],
+        assignedTo: ""
+      });
+      await loadWorkspaceDocumentCounts();
+      await loadItems(selectedWorkspaceId);
+    } catch (createError) {
+      setError(createError.message);
+      setCreateFieldErrors(createError.fields || {});
+    } finally {
+      setCreating(false);
+    }
+  }
+
+  async function submitUpdate(id) {
+    try {
+      setUpdating(true);
+      setError("");
+      setEditFieldErrors({});
+
+      const response = await fetch(`${API_BASE_URL}/api/documents/${encodeURIComponent(id)}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          name: editForm.name.trim(),
+          description: editForm.description.trim(),
+          expirationDate: editForm.expirationDate,
+          workspaceId: editForm.workspaceId,
+          warningDays: editForm.warningDays === "" ? null : Number(editForm.warningDays),
+          criticalDays: editForm.criticalDays === "" ? null : Number(editForm.criticalDays),
+          renewalMonths: editForm.renewalMonths === "" ? null : Number(editForm.renewalMonths),
+          customFields: Object.fromEntries(
+            (editWorkspace?.fields || []).map((field) => [field.id, editForm.customFields[field.id] ?? null])
+          ),
+          tagIds: editForm.tagIds
+        })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw await getRequestError(response, "Unable to update this document.");
+      }
+
+      closeEditor();
+      await loadWorkspaceDocumentCounts();
+      await loadItems(selectedWorkspaceId);
+      if (showActivity) {
+        await loadActivity(selectedWorkspaceId);
+      }
+    } catch (saveError) {
+      setError(saveError.message);
+      setEditFieldErrors(saveError.fields || {});
+    } finally {
+      setUpdating(false);
+    }
+  }
+
+  // Suggestions for the reassign field; only members of the document's workspace can be assigned.
+  async function loadAssigneeOptions(workspaceId) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/workspaces/${encodeURIComponent(workspaceId)}/members`, {
+        credentials: "include"
+      });
+
+      if (response.ok) {
+        setAssigneeOptions((await response.json()).map((member) => member.email));
+      }
+    } catch {
+      setAssigneeOptions([]);
+    }
+  }
+
+  async function assignItem(id, assignedTo) {
+    try {
+      setAssigning(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/documents/${encodeURIComponent(id)}/assign`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({ assignedTo: assignedTo.trim() || null })
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to reassign this document."));
+      }
+
+      const document = await response.json();
+      setAssigneeInput(document.assignedTo || "");
+      loadDocumentHistory(id);
+      await loadItems(selectedWorkspaceId);
+    } catch (assignError) {
+      setError(assignError.message);
+    } finally {
+      setAssigning(false);
+    }
+  }
+
+  async function renewItem(id) {
+    const body = renewForm.expirationDate
+      ? { expirationDate: renewForm.expirationDate }
+      : { renewalMonths: renewForm.renewalMonths === "" ? undefined : Number(renewForm.renewalMonths) };
+
+    if (!body.expirationDate && !body.renewalMonths) {
+      setError("Enter a new expiration date or a renewal period in months.");
+      return;
+    }
+
+    try {
+      setRenewing(true);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/documents/${encodeURIComponent(id)}/renew`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify(body)
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to renew this document."));
+      }
+
+      const data = await response.json();
+      setRenewals(data.renewals);
+      loadDocumentHistory(id);
+      setEditForm((current) => ({ ...current, expirationDate: data.document.expirationDate.slice(0, 10) }));
+      setRenewForm((current) => ({ ...current, expirationDate: "" }));
+      await loadItems(selectedWorkspaceId);
+    } catch (renewError) {
+      setError(renewError.message);
+    } finally {
+      setRenewing(false);
+    }
+  }
+
+  async function uploadAttachments(documentId, fileList) {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) {
+      return;
+    }
+
+    try {
+      setUploadingAttachment(true);
+      setError("");
+
+      for (const file of files) {
+        const response = await fetch(
+          `${API_BASE_URL}/api/documents/${encodeURIComponent(documentId)}/attachments?fileName=${encodeURIComponent(file.name)}`,
+          {
+            method: "POST",
+            headers: { "Content-Type": file.type || "application/octet-stream" },
+            credentials: "include",
+            body: file
+          }
+        );
+
+        if (response.status === 401) {
+          navigate("/login", { replace: true });
+          return;
+        }
+
+        if (!response.ok) {
+          throw new Error(await getErrorMessage(response, `Unable to upload ${file.name}.`));
+        }
+      }
+
+      await loadItems(selectedWorkspaceId);
+      loadDocumentHistory(documentId);
+    } catch (uploadError) {
+      setError(uploadError.message);
+      await loadItems(selectedWorkspaceId);
+    } finally {
+      setUploadingAttachment(false);
+    }
   }
 
-  async function createWorkspace(event) {
-    event.preventDefault();
-    const trimmedName = newWorkspaceName.trim();
-    if (!trimmedName) {
-      setError("Workspace name is required.");
+  async function removeAttachment(documentId, attachmentId) {
+    const confirmed = window.confirm("Remove this file?");
+    if (!confirmed) {
       return;
     }
 
     try {
-      setCreatingWorkspace(true);
+      setUploadingAttachment(true);
       setError("");
 
-      const response = await fetch(`${API_BASE_URL}/api/workspaces`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        credentials: "include",
-        body: JSON.stringify({ name: trimmedName })
+      const response = await fetch(`${API_BASE_URL}/api/attachments/${encodeURIComponent(attachmentId)}`, {
+        method: "DELETE",
+        credentials: "include"
       });
 
       if (response.status === 401) {
@@ -443,86 +2983,380 @@ function DashboardPage() {
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to create workspace."));
+        throw new Error(await getErrorMessage(response, "Unable to remove this file."));
       }
 
-      setNewWorkspaceName("");
-      await loadWorkspaces();
-      await loadWorkspaceDocumentCounts();
-    } catch (workspaceError) {
-      setError(workspaceError.message);
+      await loadItems(selectedWorkspaceId);
+      loadDocumentHistory(documentId);
+    } catch (attachmentError) {
+      setError(attachmentError.message);
     } finally {
-      setCreatingWorkspace(false);
+      setUploadingAttachment(false);
     }
   }
 
-  async function deleteWorkspace(workspaceId) {
-    const confirmed = window.confirm("Delete this workspace?");
+  async function deleteItem(id) {
+    const confirmed = window.confirm("Move this document to the trash?");
     if (!confirmed) {
       return;
     }
 
     try {
-      setDeletingWorkspaceId(workspaceId);
+      setDeletingId(id);
       setError("");
 
-      const response = await fetch(`${API_BASE_URL}/api/workspaces/${encodeURIComponent(workspaceId)}`, {
+      const encodedId = encodeURIComponent(id);
+      let response = await fetch(`${API_BASE_URL}/api/documents/${encodedId}`, {
         method: "DELETE",
         credentials: "include"
       });
 
+      if (response.status === 404 || response.status === 405) {
+        response = await fetch(`${API_BASE_URL}/api/documents/${encodedId}/delete`, {
+          method: "POST",
+          credentials: "include"
+        });
+      }
+
       if (response.status === 401) {
         navigate("/login", { replace: true });
         return;
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to delete workspace."));
+        throw new Error(await getErrorMessage(response, "Unable to delete this document."));
       }
 
-      const nextSelectedWorkspace = selectedWorkspaceId === workspaceId ? "" : selectedWorkspaceId;
-      setSelectedWorkspaceId(nextSelectedWorkspace);
-      if (createForm.workspaceId === workspaceId) {
-        setCreateForm((current) => ({ ...current, workspaceId: "" }));
-      }
-      if (editForm.workspaceId === workspaceId) {
-        setEditForm((current) => ({ ...current, workspaceId: "" }));
+      if (activeCardId === id) {
+        closeEditor();
       }
 
-      await loadWorkspaces();
       await loadWorkspaceDocumentCounts();
-      await loadItems(nextSelectedWorkspace);
-    } catch (workspaceError) {
-      // Backend returns a specific error when workspace still contains documents.
-      setError(workspaceError.message);
+      await loadItems(selectedWorkspaceId);
+      if (showTrash) {
+        await loadTrash(selectedWorkspaceId);
+      }
+    } catch (deleteError) {
+      setError(deleteError.message);
     } finally {
-      setDeletingWorkspaceId(null);
+      setDeletingId(null);
     }
   }
 
-  async function submitCreate(event) {
-    event.preventDefault();
-    const { name, description, expirationDate, workspaceId } = createForm;
+  function getDocumentExportUrl(format) {
+    const params = buildDocumentQueryParams(selectedWorkspaceId, appliedFilters);
+    params.set("sort", documentSort.sort);
+    params.set("order", documentSort.order);
+    params.set("format", format);
+    return `${API_BASE_URL}/api/documents/export?${params.toString()}`;
+  }
 
-    if (!name.trim() || !description.trim() || !expirationDate || !workspaceId) {
-      setError("Name, description, expiration date, and workspace are required.");
-      return;
+  function updateDocumentFilter(key, value) {
+    setDocumentFilters((current) => ({ ...current, [key]: value }));
+  }
+
+  function toggleStatusFilter(status) {
+    setDocumentFilters((current) => ({
+      ...current,
+      statuses: current.statuses.includes(status)
+        ? current.statuses.filter((entry) => entry !== status)
+        : [...current.statuses, status]
+    }));
+  }
+
+  // Summary strip clicks replace the status and expiration filters; clicking the active segment clears them.
+  function selectStatsStatus(status, workspaceId = selectedWorkspaceId) {
+    const isActive =
+      workspaceId === selectedWorkspaceId && isStatsStatusActive(status) && !documentFilters.expiresFrom;
+    setSelectedWorkspaceId(workspaceId);
+    setDocumentFilters((current) => ({
+      ...current,
+      statuses: isActive ? [] : [status],
+      expiresFrom: "",
+      expiresTo: ""
+    }));
+  }
+
+  function selectStatsWindow(days) {
+    const isActive = isStatsWindowActive(days);
+    setDocumentFilters((current) => ({
+      ...current,
+      statuses: [],
+      expiresFrom: isActive ? "" : getUtcDateInput(),
+      expiresTo: isActive ? "" : getUtcDateInput(days)
+    }));
+  }
+
+  function isStatsStatusActive(status) {
+    return documentFilters.statuses.length === 1 && documentFilters.statuses[0] === status;
+  }
+
+  function isStatsWindowActive(days) {
+    return (
+      documentFilters.statuses.length === 0 &&
+      documentFilters.expiresFrom === getUtcDateInput() &&
+      documentFilters.expiresTo === getUtcDateInput(days)
+    );
+  }
+
+  function renderStatusBar(counts, onSelect, isActive) {
+    const segments = STATUS_FILTER_OPTIONS.filter((option) => counts[option.value] > 0);
+    if (segments.length === 0) {
+      return <div className="statusBar empty">No documents</div>;
+    }
+
+    return (
+      <div className="statusBar">
+        {segments.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            className={`statusSegment ${option.value} ${isActive(option.value) ? "active" : ""}`}
+            style={{ flexGrow: counts[option.value] }}
+            title={`${option.label}: ${counts[option.value]}`}
+            aria-pressed={isActive(option.value)}
+            onClick={() => onSelect(option.value)}
+          >
+            {counts[option.value]}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  function renderSummaryStrip() {
+    if (!stats) {
+      return null;
+    }
+
+    const workspaceRows = selectedWorkspaceId
+      ? []
+      : workspaces.filter((workspace) => stats.byWorkspace[workspace.id]);
+    const largestWorkspaceTotal = Math.max(
+      1,
+      ...workspaceRows.map((workspace) => stats.byWorkspace[workspace.id].total)
+    );
+
+    return (
+      <section className="summaryStrip">
+        <div className="summaryTiles">
+          <div className="summaryTile">
+            <span className="summaryValue">{stats.total}</span>
+            <span>{selectedWorkspace ? `in ${selectedWorkspace.name}` : "documents"}</span>
+          </div>
+          <button
+            type="button"
+            className={`summaryTile overdue ${isStatsStatusActive("expired") ? "active" : ""}`}
+            onClick={() => selectStatsStatus("expired")}
+          >
+            <span className="summaryValue">{stats.overdue.total}</span>
+            <span>
+              overdue
+              {stats.overdue.total > 0 && ` · oldest ${stats.overdue.oldestDaysOverdue} days`}
+            </span>
+          </button>
+          {STATS_WINDOW_DAYS.map((days) => (
+            <button
+              key={days}
+              type="button"
+              className={`summaryTile ${isStatsWindowActive(days) ? "active" : ""}`}
+              onClick={() => selectStatsWindow(days)}
+            >
+              <span className="summaryValue">{stats.expiringWithin[days]}</span>
+              <span>expiring in {days} days</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="summaryChart">
+          <div className="statusLegend">
+            {STATUS_FILTER_OPTIONS.map((option) => (
+              <span key={option.value} className={option.value}>
+                {option.label} {stats.byStatus[option.value]}
+              </span>
+            ))}
+          </div>
+          {renderStatusBar(stats.byStatus, (status) => selectStatsStatus(status), isStatsStatusActive)}
+        </div>
+
+        {workspaceRows.length > 1 && (
+          <div className="summaryChart">
+            {workspaceRows.map((workspace) => (
+              <div key={workspace.id} className="workspaceStatsRow">
+                <span className="workspaceStatsName">{workspace.name}</span>
+                <div style={{ width: `${(stats.byWorkspace[workspace.id].total / largestWorkspaceTotal) * 100}%` }}>
+                  {renderStatusBar(
+                    stats.byWorkspace[workspace.id],
+                    (status) => selectStatsStatus(status, workspace.id),
+                    () => false
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    );
+  }
+
+  function renderCalendar() {
+    const today = getUtcDateInput();
+    const itemsByDay = {};
+    for (const item of rangeItems) {
+      const day = getUtcDateKey(item.expirationDate);
+      itemsByDay[day] = [...(itemsByDay[day] || []), item];
+    }
+
+    return (
+      <section className="calendarView">
+        <div className="calendarNav">
+          <h2>{formatMonth(calendarMonth)}</h2>
+          <button
+            className="button secondary small"
+            type="button"
+            onClick={() => setCalendarMonth((current) => addUtcMonths(current, -1))}
+          >
+            Previous
+          </button>
+          <button
+            className="button secondary small"
+            type="button"
+            onClick={() => setCalendarMonth((current) => addUtcMonths(current, 1))}
+          >
+            Next
+          </button>
+          <button className="button secondary small" type="button" onClick={() => setCalendarMonth(today.slice(0, 7))}>
+            Today
+          </button>
+        </div>
+        <div className="calendarGrid">
+          {WEEKDAY_LABELS.map((label) => (
+            <span key={label} className="calendarWeekday">
+              {label}
+            </span>
+          ))}
+          {getCalendarDays(calendarMonth).map((day) => (
+            <div
+              key={day}
+              className={`calendarDay ${day.startsWith(calendarMonth) ? "" : "outside"} ${
+                day === today ? "today" : ""
+              }`}
+            >
+              <span className="calendarDate">{Number(day.slice(8))}</span>
+              {(itemsByDay[day] || []).map((item) => (
+                <button
+                  key={item.id}
+                  type="button"
+                  className={`calendarEntry ${item.status} ${activeCardId === item.id ? "editing" : ""}`}
+                  title={`${item.name} (${workspaceNameById[item.workspaceId] || "Unknown"})`}
+                  onClick={() => openEditor(item)}
+                >
+                  {item.name}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+      </section>
+    );
+  }
+
+  // One row per document, grouped by workspace. Each bar runs between today and the expiration date.
+  function renderTimeline() {
+    const startMonth = getUtcDateInput().slice(0, 7);
+    const months = Array.from({ length: TIMELINE_MONTHS }, (_, index) => addUtcMonths(startMonth, index));
+    const start = Date.parse(`${startMonth}-01`);
+    const end = Date.parse(`${addUtcMonths(startMonth, TIMELINE_MONTHS)}-01`);
+    const toPercent = (time) => ((time - start) / (end - start)) * 100;
+    const today = Date.parse(getUtcDateInput());
+    const groups = workspaces
+      .map((workspace) => ({
+        workspace,
+        documents: rangeItems.filter((item) => item.workspaceId === workspace.id)
+      }))
+      .filter((group) => group.documents.length > 0);
+
+    return (
+      <section className="timelineView">
+        <div className="timelineRow timelineHeader">
+          <span />
+          <div className="timelineMonths">
+            {months.map((month) => (
+              <span key={month}>{formatMonth(month, { month: "short", year: "2-digit" })}</span>
+            ))}
+          </div>
+        </div>
+        {groups.length === 0 && !rangeLoading && (
+          <p className="emptyHint">Nothing expires in the next {TIMELINE_MONTHS} months.</p>
+        )}
+        {groups.map(({ workspace, documents }) => (
+          <div key={workspace.id} className="timelineGroup">
+            <h3>{workspace.name}</h3>
+            {documents.map((item) => {
+              const expiresAt = Date.parse(getUtcDateKey(item.expirationDate));
+              const barStart = toPercent(Math.min(today, expiresAt));
+
+              return (
+                <div key={item.id} className="timelineRow">
+                  <span className="timelineLabel" title={item.name}>
+                    {item.name}
+                  </span>
+                  <div className="timelineTrack">
+                    <span className="timelineToday" style={{ left: `${toPercent(today)}%` }} />
+                    <button
+                      type="button"
+                      className={`timelineBar ${item.status} ${activeCardId === item.id ? "editing" : ""}`}
+                      style={{
+                        left: `${barStart}%`,
+                        width: `${toPercent(Math.max(today, expiresAt)) - barStart}%`
+                      }}
+                      title={`${item.name}: ${formatDate(item.expirationDate)}`}
+                      onClick={() => openEditor(item)}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </section>
+    );
+  }
+
+  const hasDocumentFilters =
+    documentFilters.q.trim() !== "" ||
+    documentFilters.statuses.length > 0 ||
+    documentFilters.tags.length > 0 ||
+    Boolean(
+      documentFilters.expiresFrom ||
+        documentFilters.expiresTo ||
+        documentFilters.createdBy ||
+        documentFilters.assignedTo
+    );
+
+  function buildImportParams(mapping, workspaceId) {
+    const params = new URLSearchParams();
+    if (workspaceId) {
+      params.set("workspaceId", workspaceId);
     }
+    for (const [field, column] of Object.entries(mapping)) {
+      params.set(`${field}Column`, column || "");
+    }
+    return params;
+  }
 
+  async function previewImport(csvText, mapping = importMapping, workspaceId = importWorkspaceId) {
     try {
-      setCreating(true);
+      setImportBusy(true);
       setError("");
+      setImportResult("");
 
-      const response = await fetch(`${API_BASE_URL}/api/documents`, {
+      const params = buildImportParams(mapping, workspaceId);
+      const response = await fetch(`${API_BASE_URL}/api/documents/import/preview?${params.toString()}`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
+        headers: { "Content-Type": "text/csv" },
         credentials: "include",
-        body: JSON.stringify({
-          name: name.trim(),
-          description: description.trim(),
-          expirationDate,
-          workspaceId
-        })
+        body: csvText
       });
 
       if (response.status === 401) {
@@ -531,44 +3365,64 @@ function DashboardPage() {
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to create this document."));
+        throw new Error(await getErrorMessage(response, "Unable to read the CSV file."));
       }
 
-      setCreateForm({
-        name: "",
-        description: "",
-        expirationDate: "",
-        workspaceId: ""
+      const preview = await response.json();
+      setImportPreview(preview);
+      setImportMapping({
+        name: preview.mapping.name || "",
+        description: preview.mapping.description || "",
+        expirationDate: preview.mapping.expirationDate || "",
+        workspace: preview.mapping.workspace || ""
       });
-      await loadWorkspaceDocumentCounts();
-      await loadItems(selectedWorkspaceId);
-    } catch (createError) {
-      setError(createError.message);
+    } catch (importError) {
+      setImportPreview(null);
+      setError(importError.message);
     } finally {
-      setCreating(false);
+      setImportBusy(false);
     }
   }
 
-  async function submitUpdate(id) {
-    if (!editForm.name.trim() || !editForm.description.trim() || !editForm.expirationDate || !editForm.workspaceId) {
-      setError("Name, description, expiration date, and workspace are required.");
+  async function onImportFileChange(event) {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) {
       return;
     }
 
+    const csvText = await file.text();
+    setImportCsv(csvText);
+    setImportFileName(file.name);
+    setImportMapping({});
+    await previewImport(csvText, {});
+  }
+
+  function changeImportMapping(field, column) {
+    const mapping = { ...importMapping, [field]: column };
+    setImportMapping(mapping);
+    previewImport(importCsv, mapping);
+  }
+
+  function changeImportWorkspace(workspaceId) {
+    setImportWorkspaceId(workspaceId);
+    if (importCsv) {
+      previewImport(importCsv, importMapping, workspaceId);
+    }
+  }
+
+  async function commitImport() {
     try {
-      setUpdating(true);
+      setImportBusy(true);
       setError("");
 
-      const response = await fetch(`${API_BASE_URL}/api/documents/${encodeURIComponent(id)}`, {
-        method: "PUT",
-        headers: { "Content-Type": "application/json" },
+      const params = buildImportParams(importMapping, importWorkspaceId);
+      params.set("skipDuplicates", String(importSkipDuplicates));
+      const response = await fetch(`${API_BASE_URL}/api/documents/import?${params.toString()}`, {
+        method: "POST",
+        headers: { "Content-Type": "text/csv" },
         credentials: "include",
-        body: JSON.stringify({
-          name: editForm.name.trim(),
-          description: editForm.description.trim(),
-          expirationDate: editForm.expirationDate,
-          workspaceId: editForm.workspaceId
-        })
+        body: importCsv
       });
 
       if (response.status === 401) {
@@ -577,61 +3431,111 @@ function DashboardPage() {
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to update this document."));
+        throw new Error(await getErrorMessage(response, "Unable to import documents."));
       }
 
-      closeEditor();
-      await loadWorkspaceDocumentCounts();
+      const result = await response.json();
+      setImportResult(
+        `Imported ${result.imported} document${result.imported === 1 ? "" : "s"}; skipped ${result.skipped} row${
+          result.skipped === 1 ? "" : "s"
+        }.`
+      );
+      setImportPreview(null);
+      setImportCsv("");
+      setImportFileName("");
       await loadItems(selectedWorkspaceId);
-    } catch (saveError) {
-      setError(saveError.message);
+      await loadWorkspaceDocumentCounts();
+    } catch (importError) {
+      setError(importError.message);
     } finally {
-      setUpdating(false);
+      setImportBusy(false);
     }
   }
 
-  async function deleteItem(id) {
-    const confirmed = window.confirm("Delete this document permanently?");
-    if (!confirmed) {
-      return;
+  async function loadTrash(workspaceId = selectedWorkspaceId) {
+    try {
+      const params = new URLSearchParams();
+      if (workspaceId) {
+        params.set("workspaceId", workspaceId);
+      }
+
+      const response = await fetch(`${API_BASE_URL}/api/trash?${params.toString()}`, {
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
+      }
+
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to load trash."));
+      }
+
+      setTrashItems(await response.json());
+    } catch (trashError) {
+      setError(trashError.message);
     }
+  }
 
+  async function restoreTrashItem(id) {
     try {
-      setDeletingId(id);
+      setTrashBusyId(id);
       setError("");
 
-      const encodedId = encodeURIComponent(id);
-      let response = await fetch(`${API_BASE_URL}/api/documents/${encodedId}`, {
-        method: "DELETE",
+      const response = await fetch(`${API_BASE_URL}/api/trash/${encodeURIComponent(id)}/restore`, {
+        method: "POST",
         credentials: "include"
       });
 
-      if (response.status === 404 || response.status === 405) {
-        response = await fetch(`${API_BASE_URL}/api/documents/${encodedId}/delete`, {
-          method: "POST",
-          credentials: "include"
-        });
-      }
-
       if (response.status === 401) {
         navigate("/login", { replace: true });
         return;
       }
 
       if (!response.ok) {
-        throw new Error(await getErrorMessage(response, "Unable to delete this document."));
+        throw new Error(await getErrorMessage(response, "Unable to restore this document."));
+      }
+
+      await loadTrash(selectedWorkspaceId);
+      await loadWorkspaceDocumentCounts();
+      await loadItems(selectedWorkspaceId);
+    } catch (trashError) {
+      setError(trashError.message);
+    } finally {
+      setTrashBusyId(null);
+    }
+  }
+
+  async function purgeTrashItem(id) {
+    const confirmed = window.confirm("Delete this document permanently? This cannot be undone.");
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      setTrashBusyId(id);
+      setError("");
+
+      const response = await fetch(`${API_BASE_URL}/api/trash/${encodeURIComponent(id)}`, {
+        method: "DELETE",
+        credentials: "include"
+      });
+
+      if (response.status === 401) {
+        navigate("/login", { replace: true });
+        return;
       }
 
-      if (activeCardId === id) {
-        closeEditor();
+      if (!response.ok) {
+        throw new Error(await getErrorMessage(response, "Unable to permanently delete this document."));
       }
 
-      await loadWorkspaceDocumentCounts();
-      await loadItems(selectedWorkspaceId);
-    } catch (deleteError) {
-      setError(deleteError.message);
+      await loadTrash(selectedWorkspaceId);
+    } catch (trashError) {
+      setError(trashError.message);
     } finally {
-      setDeletingId(null);
+      setTrashBusyId(null);
     }
   }
 
@@ -640,72 +3544,354 @@ function DashboardPage() {
     navigate("/login", { replace: true });
   }
 
+  function renderAuditEntries(entries) {
+    if (entries.length === 0) {
+      return <p className="emptyHint">No recorded changes</p>;
+    }
+
+    return (
+      <ol className="auditList">
+        {entries.map((entry) => (
+          <li key={entry.id}>
+            <strong>
+              {AUDIT_ACTION_LABELS[entry.action] || entry.action}{" "}
+              {entry.entityType === "workspace"
+                ? `workspace ${entry.after?.name || entry.before?.name || workspaceNameById[entry.workspaceId] || ""}`
+                : entry.entityType === "invitation"
+                  ? entry.after?.email || entry.before?.email || ""
+                  : entry.after?.name || entry.before?.name || ""}
+            </strong>
+            <span>
+              {entry.actorEmail} &middot; {formatDateTime(entry.createdAt)}
+            </span>
+            {getAuditChanges(entry).map((change) => (
+              <span key={change} className="auditChange">
+                {change}
+              </span>
+            ))}
+          </li>
+        ))}
+      </ol>
+    );
+  }
+
+  function renderAttachmentLinks(attachments) {
+    if (!attachments?.length) {
+      return null;
+    }
+
+    return (
+      <span className="attachmentLinks">
+        {attachments.map((attachment) => (
+          <a
+            key={attachment.id}
+            href={getAttachmentUrl(attachment.id)}
+            target="_blank"
+            rel="noreferrer"
+            title={`Preview ${attachment.fileName}`}
+            onClick={(event) => event.stopPropagation()}
+          >
+            {attachment.fileName}
+          </a>
+        ))}
+      </span>
+    );
+  }
+
   function renderEditPanel(itemId) {
+    const item =
+      items.find((candidate) => candidate.id === itemId) ||
+      rangeItems.find((candidate) => candidate.id === itemId) ||
+      (linkedItem?.id === itemId ? linkedItem : undefined);
+    const attachments = item?.attachments || [];
+    const canEditItem = hasRole(roleByWorkspaceId[item?.workspaceId], "editor");
+
     return (
       <div className="editPanel" onClick={(event) => event.stopPropagation()}>
-        <label htmlFor={`name-${itemId}`}>Name</label>
-        <input
-          id={`name-${itemId}`}
-          type="text"
-          value={editForm.name}
-          onChange={(event) =>
-            setEditForm((current) => ({ ...current, name: event.target.value }))
-          }
-        />
+        <fieldset className="editFieldset" disabled={!canEditItem}>
+          <label htmlFor={`name-${itemId}`}>Name</label>
+          <input
+            id={`name-${itemId}`}
+            type="text"
+            value={editForm.name}
+            onChange={(event) =>
+              setEditForm((current) => ({ ...current, name: event.target.value }))
+            }
+          />
+          <FieldError message={editFieldErrors.name} />
 
-        <label htmlFor={`description-${itemId}`}>Description</label>
-        <input
-          id={`description-${itemId}`}
-          type="text"
-          value={editForm.description}
-          onChange={(event) =>
-            setEditForm((current) => ({ ...current, description: event.target.value }))
-          }
-        />
+          <label htmlFor={`description-${itemId}`}>Description</label>
+          <input
+            id={`description-${itemId}`}
+            type="text"
+            value={editForm.description}
+            onChange={(event) =>
+              setEditForm((current) => ({ ...current, description: event.target.value }))
+            }
+          />
+          <FieldError message={editFieldErrors.description} />
 
-        <label htmlFor={`date-${itemId}`}>Expiration date</label>
-        <input
-          id={`date-${itemId}`}
-          type="date"
-          value={editForm.expirationDate}
-          onChange={(event) =>
-            setEditForm((current) => ({ ...current, expirationDate: event.target.value }))
-          }
-        />
+          <label htmlFor={`date-${itemId}`}>Expiration date</label>
+          <input
+            id={`date-${itemId}`}
+            type="date"
+            value={editForm.expirationDate}
+            onChange={(event) =>
+              setEditForm((current) => ({ ...current, expirationDate: event.target.value }))
+            }
+          />
+          <FieldError message={editFieldErrors.expirationDate} />
 
-        <label htmlFor={`workspace-${itemId}`}>Workspace</label>
-        <select
-          id={`workspace-${itemId}`}
-          value={editForm.workspaceId}
-          onChange={(event) =>
-            setEditForm((current) => ({ ...current, workspaceId: event.target.value }))
-          }
-        >
-          <option value="">Select Workspace</option>
-          {workspaces.map((workspace) => (
-            <option key={workspace.id} value={workspace.id}>
-              {workspace.name}
-            </option>
+          <label htmlFor={`workspace-${itemId}`}>Workspace</label>
+          <select
+            id={`workspace-${itemId}`}
+            value={editForm.workspaceId}
+            onChange={(event) =>
+              setEditForm((current) => ({ ...current, workspaceId: event.target.value }))
+            }
+          >
+            <option value="">Select Workspace</option>
+            {(canEditItem ? editableWorkspaces : workspaces).map((workspace) => (
+              <option key={workspace.id} value={workspace.id}>
+                {workspace.name}
+              </option>
+            ))}
+          </select>
+          <FieldError message={editFieldErrors.workspaceId} />
+
+          <label htmlFor={`warning-${itemId}`}>Warning window (days)</label>
+          <input
+            id={`warning-${itemId}`}
+            type="number"
+            min="0"
+            placeholder={`Workspace default: ${editWorkspace?.warningDays ?? "-"}`}
+            value={editForm.warningDays}
+            onChange={(event) =>
+              setEditForm((current) => ({ ...current, warningDays: event.target.value }))
+            }
+          />
+          <FieldError message={editFieldErrors.warningDays} />
+
+          <label htmlFor={`critical-${itemId}`}>Critical window (days)</label>
+          <input
+            id={`critical-${itemId}`}
+            type="number"
+            min="0"
+            placeholder={`Workspace default: ${editWorkspace?.criticalDays ?? "-"}`}
+            value={editForm.criticalDays}
+            onChange={(event) =>
+              setEditForm((current) => ({ ...current, criticalDays: event.target.value }))
+            }
+          />
+          <FieldError message={editFieldErrors.criticalDays} />
+
+          <label htmlFor={`renewal-months-${itemId}`}>Renewal period (months)</label>
+          <input
+            id={`renewal-months-${itemId}`}
+            type="number"
+            min="1"
+            value={editForm.renewalMonths}
+            onChange={(event) =>
+              setEditForm((current) => ({ ...current, renewalMonths: event.target.value }))
+            }
+          />
+          <FieldError message={editFieldErrors.renewalMonths} />
+
+          {(editWorkspace?.fields || []).map((field) => (
+            <div key={field.id} className="customFieldEdit">
+              <label htmlFor={`field-${field.id}-${itemId}`}>
+                {field.label}
+                {field.required ? " *" : ""}
+              </label>
+              {renderCustomFieldInput(
+                field,
+                editForm.customFields[field.id],
+                (value) =>
+                  setEditForm((current) => ({
+                    ...current,
+                    customFields: { ...current.customFields, [field.id]: value }
+                  })),
+                `field-${field.id}-${itemId}`
+              )}
+              <FieldError message={editFieldErrors[`customFields.${field.id}`]} />
+            </div>
           ))}
-        </select>
+
+          {tags.length > 0 && <label>Tags</label>}
+          {renderTagPicker(editForm.tagIds, (tagId) =>
+            setEditForm((current) => ({ ...current, tagIds: toggleTagId(current.tagIds, tagId) }))
+          )}
+          <FieldError message={editFieldErrors.tagIds} />
+
+          <div className="renewPanel">
+            <h3>Attachments</h3>
+            {attachments.length === 0 ? (
+              <p className="emptyHint">No files attached</p>
+            ) : (
+              <ul className="attachmentList">
+                {attachments.map((attachment) => (
+                  <li key={attachment.id}>
+                    <a href={getAttachmentUrl(attachment.id)} target="_blank" rel="noreferrer">
+                      {attachment.fileName}
+                    </a>
+                    <span>{formatFileSize(attachment.sizeBytes)}</span>
+                    <a href={getAttachmentUrl(attachment.id, true)}>Download</a>
+                    <button
+                      className="button danger small"
+                      type="button"
+                      disabled={uploadingAttachment}
+                      onClick={() => removeAttachment(itemId, attachment.id)}
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <label className="fileInputLabel">
+              {uploadingAttachment ? "Uploading..." : "Attach PDF or image files"}
+              <input
+                type="file"
+                multiple
+                accept="application/pdf,image/png,image/jpeg,image/gif,image/webp,image/tiff"
+                disabled={uploadingAttachment}
+                onChange={(event) => {
+                  uploadAttachments(itemId, event.target.files);
+                  event.target.value = "";
+                }}
+              />
+            </label>
+          </div>
+
+          <div className="renewPanel">
+            <h3>Responsible</h3>
+            <p className="emptyHint">
+              {item?.assignedTo
+                ? `${item.assignedTo} renews this document and gets its expiration reminders.`
+                : "Unassigned. Reminders go to the document's creator."}
+            </p>
+            <div className="renewInputs">
+              <input
+                type="email"
+                list={`assignees-${itemId}`}
+                aria-label="Assignee email"
+                placeholder="name@pooleng.com"
+                value={assigneeInput}
+                onChange={(event) => setAssigneeInput(event.target.value)}
+              />
+              <datalist id={`assignees-${itemId}`}>
+                {assigneeOptions.map((email) => (
+                  <option key={email} value={email} />
+                ))}
+              </datalist>
+            </div>
+            <div className="actions">
+              <button
+                className="button"
+                type="button"
+                disabled={assigning || assigneeInput.trim() === (item?.assignedTo || "")}
+                onClick={() => assignItem(itemId, assigneeInput)}
+              >
+                {assigning ? "Saving..." : "Reassign"}
+              </button>
+              {item?.assignedTo !== user?.email && (
+                <button
+                  className="button secondary"
+                  type="button"
+                  disabled={assigning}
+                  onClick={() => assignItem(itemId, user?.email || "")}
+                >
+                  Assign to Me
+                </button>
+              )}
+              {item?.assignedTo && (
+                <button
+                  className="button secondary"
+                  type="button"
+                  disabled={assigning}
+                  onClick={() => assignItem(itemId, "")}
+                >
+                  Unassign
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="renewPanel">
+            <h3>Renew</h3>
+            <div className="renewInputs">
+              <input
+                type="date"
+                aria-label="New expiration date"
+                value={renewForm.expirationDate}
+                onChange={(event) =>
+                  setRenewForm((current) => ({ ...current, expirationDate: event.target.value }))
+                }
+              />
+              <span>or extend by</span>
+              <input
+                type="number"
+                min="1"
+                aria-label="Renewal months"
+                placeholder="Months"
+                value={renewForm.renewalMonths}
+                disabled={Boolean(renewForm.expirationDate)}
+                onChange={(event) =>
+                  setRenewForm((current) => ({ ...current, renewalMonths: event.target.value }))
+                }
+              />
+            </div>
+            <button className="button" type="button" disabled={renewing} onClick={() => renewItem(itemId)}>
+              {renewing ? "Renewing..." : "Renew"}
+            </button>
+
+            <h3>Renewal History</h3>
+            {renewals.length === 0 ? (
+              <p className="emptyHint">Not renewed yet</p>
+            ) : (
+              <ol className="renewalTimeline">
+                {renewals.map((renewal) => (
+                  <li key={renewal.id}>
+                    <strong>
+                      {formatDate(renewal.previousExpirationDate)} &rarr; {formatDate(renewal.newExpirationDate)}
+                    </strong>
+                    <span>
+                      Renewed by {renewal.renewedBy} on {formatDateTime(renewal.renewedAt)}
+                      {renewal.renewalMonths ? ` (${renewal.renewalMonths} months)` : ""}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            )}
+
+            <h3>History</h3>
+            {renderAuditEntries(documentHistory)}
+          </div>
+        </fieldset>
+
+        {!canEditItem && <p className="sidebarHint">You have view-only access to this workspace.</p>}
 
         <div className="actions">
-          <button
-            className="button"
-            type="button"
-            disabled={updating}
-            onClick={() => submitUpdate(itemId)}
-          >
-            {updating ? "Saving..." : "Save Changes"}
-          </button>
-          <button
-            className="button danger"
-            type="button"
-            disabled={deletingId === itemId}
-            onClick={() => deleteItem(itemId)}
-          >
-            {deletingId === itemId ? "Deleting..." : "Delete"}
-          </button>
+          {canEditItem && (
+            <button
+              className="button"
+              type="button"
+              disabled={updating}
+              onClick={() => submitUpdate(itemId)}
+            >
+              {updating ? "Saving..." : "Save Changes"}
+            </button>
+          )}
+          {canEditItem && (
+            <button
+              className="button danger"
+              type="button"
+              disabled={deletingId === itemId}
+              onClick={() => deleteItem(itemId)}
+            >
+              {deletingId === itemId ? "Deleting..." : "Delete"}
+            </button>
+          )}
           <button className="button secondary" type="button" onClick={closeEditor}>
             Close
           </button>
@@ -728,13 +3914,23 @@ function DashboardPage() {
         <div className="headerMeta">
           <p className="signedInAs">Signed in as {user?.email}</p>
         </div>
-        <button className="button secondary" type="button" onClick={handleLogout}>
-          Logout
-        </button>
+        <div className="headerActions">
+          <button className="button secondary" type="button" onClick={() => navigate("/sessions")}>
+            Sessions
+          </button>
+          <button className="button secondary" type="button" onClick={() => navigate("/api-tokens")}>
+            API Tokens
+          </button>
+          <button className="button secondary" type="button" onClick={handleLogout}>
+            Logout
+          </button>
+        </div>
       </section>
 
       <p className="headerSubtitle">Track renewals and prioritize items that are close to expiration.</p>
 
+      {renderSummaryStrip()}
+
       <div className="dashboardLayout">
         <aside className="workspacePanel workspaceSidebar">
           <div className="workspaceHeader">
@@ -785,9 +3981,10 @@ function DashboardPage() {
                   <span className="workspaceName">{workspace.name}</span>
                   <span className="workspaceDocCount">
                     {workspaceDocumentCounts[workspace.id] || 0} document(s)
+                    {appliedFilters.tags.length > 0 && ` · ${taggedWorkspaceCounts[workspace.id] || 0} tagged`}
                   </span>
                 </div>
-                {(workspaceDocumentCounts[workspace.id] || 0) === 0 && (
+                {hasRole(workspace.role, "owner") && (workspaceDocumentCounts[workspace.id] || 0) === 0 && (
                   <button
                     className="button danger small"
                     type="button"
@@ -803,43 +4000,734 @@ function DashboardPage() {
               </li>
             ))}
           </ul>
-        </aside>
 
-        <section className="mainContent">
-          <section className="createPanel">
-            <h2>Add License / Document</h2>
-            <form className="createForm" onSubmit={submitCreate}>
-              <input
-                type="text"
-                placeholder="Name"
-                value={createForm.name}
-                onChange={(event) => setCreateForm((current) => ({ ...current, name: event.target.value }))}
-              />
-              <input
-                type="text"
-                placeholder="Description"
-                value={createForm.description}
-                onChange={(event) => setCreateForm((current) => ({ ...current, description: event.target.value }))}
-              />
+          <section className="sidebarSection">
+            <h3>Tags</h3>
+            <p className="sidebarHint">
+              Tags group documents across workspaces. Click a tag to filter by it; counts cover all your workspaces.
+            </p>
+            <ul className="contactList">
+              {tags.map((tag) =>
+                renamingTag?.id === tag.id ? (
+                  <li key={tag.id}>
+                    <form className="tagRenameForm" onSubmit={renameTag}>
+                      <input
+                        type="text"
+                        aria-label="Tag name"
+                        value={renamingTag.name}
+                        onChange={(event) => setRenamingTag((current) => ({ ...current, name: event.target.value }))}
+                      />
+                      <button className="button small" type="submit" disabled={savingTag}>
+                        Save
+                      </button>
+                      <button className="button secondary small" type="button" onClick={() => setRenamingTag(null)}>
+                        Cancel
+                      </button>
+                    </form>
+                  </li>
+                ) : (
+                  <li key={tag.id}>
+                    <button
+                      type="button"
+                      className={`tagChip selectable ${documentFilters.tags.includes(tag.id) ? "active" : ""}`}
+                      aria-pressed={documentFilters.tags.includes(tag.id)}
+                      onClick={() => toggleTagFilter(tag.id)}
+                    >
+                      {tag.name} <span className="tagCount">{tagCounts[tag.id] || 0}</span>
+                    </button>
+                    {tag.canManage && (
+                      <span className="tagActions">
+                        <button
+                          className="button secondary small"
+                          type="button"
+                          disabled={savingTag}
+                          onClick={() => setRenamingTag({ id: tag.id, name: tag.name })}
+                        >
+                          Rename
+                        </button>
+                        <button
+                          className="button danger small"
+                          type="button"
+                          disabled={savingTag}
+                          onClick={() => deleteTag(tag)}
+                        >
+                          Delete
+                        </button>
+                      </span>
+                    )}
+                  </li>
+                )
+              )}
+              {tags.length === 0 && <li className="emptyHint">No tags yet</li>}
+            </ul>
+            {(editableWorkspaces.length > 0 || user?.isAdmin) && (
+              <form className="workspaceCreateForm" onSubmit={createTag}>
+                <input
+                  type="text"
+                  placeholder="New tag, e.g. CE required"
+                  value={newTagName}
+                  onChange={(event) => setNewTagName(event.target.value)}
+                />
+                <button className="button" type="submit" disabled={savingTag}>
+                  Add Tag
+                </button>
+              </form>
+            )}
+          </section>
+
+          {selectedWorkspace && (
+            <section className="sidebarSection">
+              <h3>Status Thresholds</h3>
+              <p className="sidebarHint">
+                Documents turn yellow inside the warning window and red inside the critical window.
+              </p>
+              <form className="thresholdForm" onSubmit={saveWorkspaceThresholds}>
+                <label>
+                  Warning (days)
+                  <input
+                    type="number"
+                    min="0"
+                    disabled={!isSelectedWorkspaceOwner}
+                    value={thresholdForm.warningDays}
+                    onChange={(event) =>
+                      setThresholdForm((current) => ({ ...current, warningDays: event.target.value }))
+                    }
+                  />
+                  <FieldError message={thresholdFieldErrors.warningDays} />
+                </label>
+                <label>
+                  Critical (days)
+                  <input
+                    type="number"
+                    min="0"
+                    disabled={!isSelectedWorkspaceOwner}
+                    value={thresholdForm.criticalDays}
+                    onChange={(event) =>
+                      setThresholdForm((current) => ({ ...current, criticalDays: event.target.value }))
+                    }
+                  />
+                  <FieldError message={thresholdFieldErrors.criticalDays} />
+                </label>
+                {isSelectedWorkspaceOwner && (
+                  <button className="button" type="submit" disabled={savingThresholds}>
+                    {savingThresholds ? "Saving..." : "Save Thresholds"}
+                  </button>
+                )}
+              </form>
+            </section>
+          )}
+
+          {selectedWorkspaceId && (
+            <section className="sidebarSection">
+              <h3>Reminder Contacts</h3>
+              <p className="sidebarHint">
+                Expiration reminders go to each document&apos;s creator and these contacts.
+              </p>
+              <ul className="contactList">
+                {workspaceContacts.map((contact) => (
+                  <li key={contact.email}>
+                    <span>{contact.email}</span>
+                    {isSelectedWorkspaceOwner && (
+                      <button
+                        className="button danger small"
+                        type="button"
+                        disabled={savingContact}
+                        onClick={() => removeWorkspaceContact(contact.email)}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </li>
+                ))}
+                {workspaceContacts.length === 0 && <li className="emptyHint">No contacts yet</li>}
+              </ul>
+              {isSelectedWorkspaceOwner && (
+                <form className="workspaceCreateForm" onSubmit={addWorkspaceContact}>
+                  <input
+                    type="email"
+                    placeholder="contact@example.com"
+                    value={newContactEmail}
+                    onChange={(event) => setNewContactEmail(event.target.value)}
+                  />
+                  <button className="button" type="submit" disabled={savingContact}>
+                    Add Contact
+                  </button>
+                </form>
+              )}
+            </section>
+          )}
+
+          {selectedWorkspace && (
+            <section className="sidebarSection">
+              <h3>Members</h3>
+              <p className="sidebarHint">
+                Your role: <strong>{selectedWorkspace.role}</strong>. Viewers can read, editors can change
+                documents, owners also manage settings and members.
+              </p>
+              <ul className="contactList">
+                {workspaceMembers.map((member) => (
+                  <li key={member.email}>
+                    <span>{member.email}</span>
+                    {isSelectedWorkspaceOwner ? (
+                      <select
+                        className="memberRoleSelect"
+                        value={member.role}
+                        disabled={savingMember}
+                        onChange={(event) => changeWorkspaceMemberRole(member.email, event.target.value)}
+                      >
+                        {WORKSPACE_ROLES.map((role) => (
+                          <option key={role} value={role}>
+                            {role}
+                          </option>
+                        ))}
+                      </select>
+                    ) : (
+                      <span className="memberRole">{member.role}</span>
+                    )}
+                    {(isSelectedWorkspaceOwner || member.email === user?.email) && (
+                      <button
+                        className="button danger small"
+                        type="button"
+                        disabled={savingMember}
+                        onClick={() => removeWorkspaceMember(member.email)}
+                      >
+                        {member.email === user?.email ? "Leave" : "Remove"}
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {isSelectedWorkspaceOwner && (
+                <form className="workspaceCreateForm" onSubmit={addWorkspaceMember}>
+                  <input
+                    type="email"
+                    placeholder="name@pooleng.com"
+                    value={newMember.email}
+                    onChange={(event) => setNewMember((current) => ({ ...current, email: event.target.value }))}
+                  />
+                  <select
+                    className="memberRoleSelect"
+                    value={newMember.role}
+                    onChange={(event) => setNewMember((current) => ({ ...current, role: event.target.value }))}
+                  >
+                    {WORKSPACE_ROLES.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                  <button className="button" type="submit" disabled={savingMember}>
+                    Add Member
+                  </button>
+                </form>
+              )}
+            </section>
+          )}
+
+          {selectedWorkspace && (
+            <section className="sidebarSection">
+              <h3>Custom Fields</h3>
+              <p className="sidebarHint">
+                Extra details every document in this workspace can carry, such as a license number or carrier.
+              </p>
+              <ul className="contactList">
+                {(selectedWorkspace.fields || []).map((field) => (
+                  <li key={field.id}>
+                    <span>
+                      {field.label}
+                      <span className="invitationMeta">
+                        {CUSTOM_FIELD_TYPES.find((type) => type.value === field.type)?.label}
+                        {field.type === "select" ? `: ${field.options.join(", ")}` : ""}
+                        {field.required && !isSelectedWorkspaceOwner ? " (required)" : ""}
+                      </span>
+                    </span>
+                    {isSelectedWorkspaceOwner && (
+                      <>
+                        <label className="checkboxLabel">
+                          <input
+                            type="checkbox"
+                            checked={field.required}
+                            disabled={savingCustomField}
+                            onChange={() => toggleCustomFieldRequired(field)}
+                          />
+                          Required
+                        </label>
+                        <button
+                          className="button danger small"
+                          type="button"
+                          disabled={savingCustomField}
+                          onClick={() => removeCustomField(field)}
+                        >
+                          Remove
+                        </button>
+                      </>
+                    )}
+                  </li>
+                ))}
+                {(selectedWorkspace.fields || []).length === 0 && <li className="emptyHint">No custom fields yet</li>}
+              </ul>
+              {isSelectedWorkspaceOwner && (
+                <form className="customFieldForm" onSubmit={addCustomField}>
+                  <input
+                    type="text"
+                    placeholder="Field label"
+                    value={newCustomField.label}
+                    onChange={(event) => setNewCustomField((current) => ({ ...current, label: event.target.value }))}
+                  />
+                  <select
+                    value={newCustomField.type}
+                    onChange={(event) => setNewCustomField((current) => ({ ...current, type: event.target.value }))}
+                  >
+                    {CUSTOM_FIELD_TYPES.map((type) => (
+                      <option key={type.value} value={type.value}>
+                        {type.label}
+                      </option>
+                    ))}
+                  </select>
+                  {newCustomField.type === "select" && (
+                    <input
+                      type="text"
+                      placeholder="Options, comma-separated"
+                      value={newCustomField.options}
+                      onChange={(event) =>
+                        setNewCustomField((current) => ({ ...current, options: event.target.value }))
+                      }
+                    />
+                  )}
+                  <label className="checkboxLabel">
+                    <input
+                      type="checkbox"
+                      checked={newCustomField.required}
+                      onChange={(event) =>
+                        setNewCustomField((current) => ({ ...current, required: event.target.checked }))
+                      }
+                    />
+                    Required
+                  </label>
+                  <button className="button" type="submit" disabled={savingCustomField}>
+                    Add Field
+                  </button>
+                </form>
+              )}
+            </section>
+          )}
+
+          {selectedWorkspace && isSelectedWorkspaceOwner && (
+            <section className="sidebarSection">
+              <h3>Webhooks</h3>
+              <p className="sidebarHint">
+                POST signed JSON to another system when documents in this workspace change or become more urgent.
+              </p>
+              <ul className="contactList">
+                {webhooks.map((webhook) => (
+                  <li key={webhook.id} className="webhookEntry">
+                    <span>
+                      {webhook.url}
+                      <span className="invitationMeta">
+                        {webhook.events
+                          .map((eventType) => WEBHOOK_EVENT_OPTIONS.find((option) => option.value === eventType)?.label)
+                          .join(", ")}
+                        {webhook.lastDelivery && ` · last delivery ${webhook.lastDelivery.status}`}
+                      </span>
+                    </span>
+                    <div className="webhookActions">
+                      <label className="checkboxLabel">
+                        <input
+                          type="checkbox"
+                          checked={webhook.active}
+                          disabled={savingWebhook}
+                          onChange={() => toggleWebhookActive(webhook)}
+                        />
+                        Active
+                      </label>
+                      <button
+                        className="button secondary small"
+                        type="button"
+                        disabled={savingWebhook}
+                        onClick={() => sendTestWebhook(webhook)}
+                      >
+                        Send Test
+                      </button>
+                      <button
+                        className="button secondary small"
+                        type="button"
+                        onClick={() => toggleWebhookDeliveries(webhook.id)}
+                      >
+                        {webhookDeliveries[webhook.id] ? "Hide Log" : "Log"}
+                      </button>
+                      <button
+                        className="button danger small"
+                        type="button"
+                        disabled={savingWebhook}
+                        onClick={() => removeWebhook(webhook)}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    {webhookDeliveries[webhook.id] && (
+                      <ul className="webhookDeliveries">
+                        {webhookDeliveries[webhook.id].map((delivery) => (
+                          <li key={delivery.id} className={`delivery ${delivery.status}`}>
+                            <span>
+                              {delivery.eventType}
+                              <span className="invitationMeta">
+                                {formatDateTime(delivery.lastAttemptAt || delivery.createdAt)} ·{" "}
+                                {describeWebhookDelivery(delivery)}
+                                {delivery.status === "pending" &&
+                                  delivery.nextAttemptAt &&
+                                  ` · retry ${formatDateTime(delivery.nextAttemptAt)}`}
+                              </span>
+                            </span>
+                            {delivery.status === "failed" && (
+                              <button
+                                className="button secondary small"
+                                type="button"
+                                disabled={savingWebhook}
+                                onClick={() => retryWebhookDelivery(webhook.id, delivery)}
+                              >
+                                Retry
+                              </button>
+                            )}
+                          </li>
+                        ))}
+                        {webhookDeliveries[webhook.id].length === 0 && <li className="emptyHint">No deliveries yet</li>}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+                {webhooks.length === 0 && <li className="emptyHint">No webhooks yet</li>}
+              </ul>
+              {newWebhookSecret && (
+                <div className="feedUrl">
+                  <input
+                    type="text"
+                    readOnly
+                    value={newWebhookSecret}
+                    onFocus={(event) => event.target.select()}
+                  />
+                  <button className="button small" type="button" onClick={copyWebhookSecret}>
+                    Copy
+                  </button>
+                  <p className="sidebarHint">
+                    Signing secret. Copy it now; it is not shown again. Each request carries X-Webhook-Signature, the
+                    hex HMAC-SHA256 of the timestamp, a dot and the body.
+                  </p>
+                </div>
+              )}
+              <form className="customFieldForm" onSubmit={addWebhook}>
+                <input
+                  type="text"
+                  placeholder="https://example.com/hooks/expirations"
+                  value={newWebhook.url}
+                  onChange={(event) => setNewWebhook((current) => ({ ...current, url: event.target.value }))}
+                />
+                <input
+                  type="text"
+                  placeholder="Secret (optional, generated if blank)"
+                  value={newWebhook.secret}
+                  onChange={(event) => setNewWebhook((current) => ({ ...current, secret: event.target.value }))}
+                />
+                {WEBHOOK_EVENT_OPTIONS.map((option) => (
+                  <label key={option.value} className="checkboxLabel">
+                    <input
+                      type="checkbox"
+                      checked={newWebhook.events.includes(option.value)}
+                      onChange={() => toggleNewWebhookEvent(option.value)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+                <button className="button" type="submit" disabled={savingWebhook || newWebhook.events.length === 0}>
+                  Add Webhook
+                </button>
+              </form>
+            </section>
+          )}
+
+          <section className="sidebarSection">
+            <h3>Calendar Feeds</h3>
+            <p className="sidebarHint">
+              Subscribe to expirations in Outlook or another calendar app. Anyone with a feed address can read it, so
+              revoke feeds you no longer use.
+            </p>
+            {calendarFeeds.length === 0 ? (
+              <p className="emptyHint">No calendar feeds yet.</p>
+            ) : (
+              <ul className="contactList">
+                {calendarFeeds.map((feed) => (
+                  <li key={feed.id}>
+                    <span>
+                      {feed.workspaceName || "All my workspaces"}
+                      <span className="invitationMeta">
+                        {feed.lastUsedAt ? `Last synced ${formatDateTime(feed.lastUsedAt)}` : "Never synced"}
+                      </span>
+                    </span>
+                    <button
+                      className="button danger small"
+                      type="button"
+                      disabled={savingFeed}
+                      onClick={() => revokeCalendarFeed(feed)}
+                    >
+                      Revoke
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {newFeedUrl && (
+              <div className="feedUrl">
+                <input type="text" readOnly value={newFeedUrl} onFocus={(event) => event.target.select()} />
+                <button className="button small" type="button" onClick={copyFeedUrl}>
+                  Copy
+                </button>
+                <p className="sidebarHint">Copy this address now; it is not shown again.</p>
+              </div>
+            )}
+            <label className="checkboxLabel">
               <input
-                type="date"
-                value={createForm.expirationDate}
-                onChange={(event) =>
-                  setCreateForm((current) => ({ ...current, expirationDate: event.target.value }))
-                }
+                type="checkbox"
+                checked={includeFeedReminders}
+                onChange={(event) => setIncludeFeedReminders(event.target.checked)}
               />
+              Add warning and critical reminder events
+            </label>
+            <button className="button" type="button" disabled={savingFeed} onClick={createCalendarFeed}>
+              Create Feed for {selectedWorkspace ? selectedWorkspace.name : "All Workspaces"}
+            </button>
+          </section>
+
+          <section className="sidebarSection">
+            <h3>Email Digest</h3>
+            <p className="sidebarHint">
+              One email listing expired, critical and warning documents, grouped by workspace. Nothing is sent when no
+              document needs attention.
+            </p>
+            {digestSettings && (
+              <p className="sidebarHint">
+                Digests go out after {digestSettings.hourUtc}:00 UTC; weekly ones on {digestSettings.weekday}.
+              </p>
+            )}
+            <form className="customFieldForm" onSubmit={saveDigestSettings}>
               <select
-                value={createForm.workspaceId}
-                onChange={(event) => setCreateForm((current) => ({ ...current, workspaceId: event.target.value }))}
+                value={digestForm.frequency}
+                onChange={(event) => setDigestForm((current) => ({ ...current, frequency: event.target.value }))}
               >
-                <option value="">Select Workspace</option>
-                {workspaces.map((workspace) => (
-                  <option key={workspace.id} value={workspace.id}>
-                    {workspace.name}
+                {DIGEST_FREQUENCY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
                   </option>
                 ))}
               </select>
-              <button className="button" type="submit" disabled={creating || workspaces.length === 0}>
+              <label className="checkboxLabel">
+                <input
+                  type="checkbox"
+                  checked={digestForm.workspaceIds === null}
+                  onChange={(event) =>
+                    setDigestForm((current) => ({
+                      ...current,
+                      workspaceIds: event.target.checked ? null : workspaces.map((workspace) => workspace.id)
+                    }))
+                  }
+                />
+                All my workspaces
+              </label>
+              {digestForm.workspaceIds !== null &&
+                workspaces.map((workspace) => (
+                  <label key={workspace.id} className="checkboxLabel">
+                    <input
+                      type="checkbox"
+                      checked={digestForm.workspaceIds.includes(workspace.id)}
+                      onChange={() => toggleDigestWorkspace(workspace.id)}
+                    />
+                    {workspace.name}
+                  </label>
+                ))}
+              <button className="button" type="submit" disabled={savingDigest}>
+                Save Digest
+              </button>
+              <button className="button secondary" type="button" disabled={savingDigest} onClick={sendDigestNow}>
+                Send Now
+              </button>
+            </form>
+            {digestMessage && <p className="sidebarHint">{digestMessage}</p>}
+          </section>
+
+          {user?.isAdmin && (
+            <section className="sidebarSection">
+              <h3>External Invitations</h3>
+              <p className="sidebarHint">Let someone outside the company sign in until the invitation expires.</p>
+              {invitations.length === 0 ? (
+                <p className="emptyHint">No invitations yet.</p>
+              ) : (
+                <ul className="contactList">
+                  {invitations.map((invitation) => (
+                    <li key={invitation.id}>
+                      <span>
+                        {invitation.email}
+                        <span className="invitationMeta">
+                          {invitation.status === "active"
+                            ? `Expires ${formatDate(invitation.expiresAt)}`
+                            : invitation.status === "revoked"
+                              ? `Revoked ${formatDate(invitation.revokedAt)}`
+                              : `Expired ${formatDate(invitation.expiresAt)}`}
+                        </span>
+                      </span>
+                      {invitation.status === "active" && (
+                        <button
+                          className="button danger small"
+                          type="button"
+                          disabled={savingInvitation}
+                          onClick={() => revokeInvitation(invitation)}
+                        >
+                          Revoke
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <form className="workspaceCreateForm" onSubmit={createInvitation}>
+                <input
+                  type="email"
+                  placeholder="broker@example.com"
+                  value={newInvitation.email}
+                  onChange={(event) => setNewInvitation((current) => ({ ...current, email: event.target.value }))}
+                />
+                <label className="invitationField">
+                  Valid for (days)
+                  <input
+                    type="number"
+                    min="1"
+                    max="365"
+                    value={newInvitation.expiresInDays}
+                    onChange={(event) =>
+                      setNewInvitation((current) => ({ ...current, expiresInDays: event.target.value }))
+                    }
+                  />
+                </label>
+                <select
+                  className="memberRoleSelect"
+                  value={newInvitation.workspaceId}
+                  onChange={(event) => setNewInvitation((current) => ({ ...current, workspaceId: event.target.value }))}
+                >
+                  <option value="">No workspace access yet</option>
+                  {workspaces.map((workspace) => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name}
+                    </option>
+                  ))}
+                </select>
+                {newInvitation.workspaceId && (
+                  <select
+                    className="memberRoleSelect"
+                    value={newInvitation.role}
+                    onChange={(event) => setNewInvitation((current) => ({ ...current, role: event.target.value }))}
+                  >
+                    {WORKSPACE_ROLES.map((role) => (
+                      <option key={role} value={role}>
+                        {role}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                <button className="button" type="submit" disabled={savingInvitation}>
+                  Send Invitation
+                </button>
+              </form>
+            </section>
+          )}
+        </aside>
+
+        <section className="mainContent">
+          <section className="createPanel">
+            <h2>Add License / Document</h2>
+            <form className="createForm" onSubmit={submitCreate}>
+              <span className="createField">
+                <input
+                  type="text"
+                  placeholder="Name"
+                  value={createForm.name}
+                  onChange={(event) => setCreateForm((current) => ({ ...current, name: event.target.value }))}
+                />
+                <FieldError message={createFieldErrors.name} />
+              </span>
+              <span className="createField">
+                <input
+                  type="text"
+                  placeholder="Description"
+                  value={createForm.description}
+                  onChange={(event) => setCreateForm((current) => ({ ...current, description: event.target.value }))}
+                />
+                <FieldError message={createFieldErrors.description} />
+              </span>
+              <span className="createField">
+                <input
+                  type="date"
+                  value={createForm.expirationDate}
+                  onChange={(event) =>
+                    setCreateForm((current) => ({ ...current, expirationDate: event.target.value }))
+                  }
+                />
+                <FieldError message={createFieldErrors.expirationDate} />
+              </span>
+              <span className="createField">
+                <select
+                  value={createForm.workspaceId}
+                  onChange={(event) =>
+                    setCreateForm((current) => ({ ...current, workspaceId: event.target.value, customFields: {} }))
+                  }
+                >
+                  <option value="">Select Workspace</option>
+                  {editableWorkspaces.map((workspace) => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name}
+                    </option>
+                  ))}
+                </select>
+                <FieldError message={createFieldErrors.workspaceId} />
+              </span>
+              <span className="createField">
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Renewal period (months)"
+                  value={createForm.renewalMonths}
+                  onChange={(event) =>
+                    setCreateForm((current) => ({ ...current, renewalMonths: event.target.value }))
+                  }
+                />
+                <FieldError message={createFieldErrors.renewalMonths} />
+              </span>
+              <span className="createField">
+                <input
+                  type="email"
+                  list="create-assignees"
+                  placeholder="Responsible (email, optional)"
+                  value={createForm.assignedTo}
+                  onChange={(event) => setCreateForm((current) => ({ ...current, assignedTo: event.target.value }))}
+                />
+                <FieldError message={createFieldErrors.assignedTo} />
+              </span>
+              <datalist id="create-assignees">
+                {(createForm.workspaceId === selectedWorkspaceId ? workspaceMembers : []).map((member) => (
+                  <option key={member.email} value={member.email} />
+                ))}
+              </datalist>
+              {createWorkspaceFields.map((field) => (
+                <span key={field.id} className="customFieldInput">
+                  {renderCustomFieldInput(field, createForm.customFields[field.id], (value) =>
+                    setCreateForm((current) => ({
+                      ...current,
+                      customFields: { ...current.customFields, [field.id]: value }
+                    }))
+                  )}
+                  <FieldError message={createFieldErrors[`customFields.${field.id}`]} />
+                </span>
+              ))}
+              {renderTagPicker(createForm.tagIds, (tagId) =>
+                setCreateForm((current) => ({ ...current, tagIds: toggleTagId(current.tagIds, tagId) }))
+              )}
+              <button className="button" type="submit" disabled={creating || editableWorkspaces.length === 0}>
                 {creating ? "Adding..." : "Add Item"}
               </button>
             </form>
@@ -848,21 +4736,350 @@ function DashboardPage() {
           {loading && <p className="info">Loading records...</p>}
           {error && <p className="error">{error}</p>}
 
+          <section className="filterBar">
+            <input
+              className="searchInput"
+              type="search"
+              placeholder="Search name or description"
+              value={documentFilters.q}
+              onChange={(event) => updateDocumentFilter("q", event.target.value)}
+            />
+            <button
+              type="button"
+              className={`statusChip mine ${documentFilters.assignedTo === "me" ? "active" : ""}`}
+              aria-pressed={documentFilters.assignedTo === "me"}
+              onClick={() => updateDocumentFilter("assignedTo", documentFilters.assignedTo === "me" ? "" : "me")}
+            >
+              My Items
+            </button>
+            <div className="statusFilters">
+              {STATUS_FILTER_OPTIONS.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`statusChip ${option.value} ${
+                    documentFilters.statuses.includes(option.value) ? "active" : ""
+                  }`}
+                  aria-pressed={documentFilters.statuses.includes(option.value)}
+                  onClick={() => toggleStatusFilter(option.value)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <label>
+              Expires from
+              <input
+                type="date"
+                value={documentFilters.expiresFrom}
+                onChange={(event) => updateDocumentFilter("expiresFrom", event.target.value)}
+              />
+            </label>
+            <label>
+              to
+              <input
+                type="date"
+                value={documentFilters.expiresTo}
+                onChange={(event) => updateDocumentFilter("expiresTo", event.target.value)}
+              />
+            </label>
+            <select
+              value={documentFilters.createdBy}
+              onChange={(event) => updateDocumentFilter("createdBy", event.target.value)}
+            >
+              <option value="">Any creator</option>
+              {documentCreators.map((creator) => (
+                <option key={creator} value={creator}>
+                  {creator}
+                </option>
+              ))}
+            </select>
+            {hasDocumentFilters && (
+              <button
+                className="button secondary small"
+                type="button"
+                onClick={() => setDocumentFilters(EMPTY_DOCUMENT_FILTERS)}
+              >
+                Clear Filters
+              </button>
+            )}
+          </section>
+
           <section className="resultsToolbar">
+            <label className="sortControl">
+              Sort by
+              <select
+                value={documentSort.sort}
+                onChange={(event) => setDocumentSort((current) => ({ ...current, sort: event.target.value }))}
+              >
+                {DOCUMENT_SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button
+              className="button secondary"
+              type="button"
+              aria-label={documentSort.order === "asc" ? "Sort descending" : "Sort ascending"}
+              onClick={() =>
+                setDocumentSort((current) => ({ ...current, order: current.order === "asc" ? "desc" : "asc" }))
+              }
+            >
+              {documentSort.order === "asc" ? "Ascending" : "Descending"}
+            </button>
+            <label className="sortControl">
+              View
+              <select value={layoutMode} onChange={(event) => setLayoutMode(event.target.value)}>
+                {LAYOUT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
             <button
               className="button secondary"
               type="button"
-              onClick={() => setLayoutMode((current) => (current === "cards" ? "list" : "cards"))}
+              onClick={() => setShowActivity((current) => !current)}
             >
-              Switch to {layoutMode === "cards" ? "List" : "Cards"} View
+              {showActivity ? "Hide Activity" : "Show Activity"}
             </button>
+            <button className="button secondary" type="button" onClick={() => setShowTrash((current) => !current)}>
+              {showTrash ? "Hide Trash" : "Show Trash"}
+            </button>
+            <a className="button secondary" href={getDocumentExportUrl("csv")}>
+              Export CSV
+            </a>
+            <a className="button secondary" href={getDocumentExportUrl("xlsx")}>
+              Export Excel
+            </a>
+            {editableWorkspaces.length > 0 && (
+              <button
+                className="button secondary"
+                type="button"
+                onClick={() => {
+                  setImportWorkspaceId((current) => current || (canImportToSelected ? selectedWorkspaceId : ""));
+                  setShowImport((current) => !current);
+                }}
+              >
+                {showImport ? "Hide Import" : "Import CSV"}
+              </button>
+            )}
           </section>
 
-          {layoutMode === "cards" ? (
+          {showImport && (
+            <section className="activityPanel">
+              <h2>Import Documents from CSV</h2>
+              <p className="sidebarHint">
+                The first row must be a header. Dates can be YYYY-MM-DD or MM/DD/YYYY. Nothing is saved until you
+                press Import.
+              </p>
+              <div className="activityFilters">
+                <label className="fileInputLabel">
+                  {importFileName || "Choose CSV file"}
+                  <input type="file" accept=".csv,text/csv" onChange={onImportFileChange} disabled={importBusy} />
+                </label>
+                <select value={importWorkspaceId} onChange={(event) => changeImportWorkspace(event.target.value)}>
+                  <option value="">No default workspace</option>
+                  {editableWorkspaces.map((workspace) => (
+                    <option key={workspace.id} value={workspace.id}>
+                      Default: {workspace.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {importResult && <p className="success">{importResult}</p>}
+              {importPreview && (
+                <>
+                  <div className="activityFilters importMapping">
+                    {[
+                      ["name", "Name column"],
+                      ["description", "Description column"],
+                      ["expirationDate", "Expiration date column"],
+                      ["workspace", "Workspace column"]
+                    ].map(([field, label]) => (
+                      <label key={field}>
+                        {label}
+                        <select
+                          value={importMapping[field] || ""}
+                          disabled={importBusy}
+                          onChange={(event) => changeImportMapping(field, event.target.value)}
+                        >
+                          <option value="">(not in file)</option>
+                          {importPreview.headers.map((header) => (
+                            <option key={header} value={header}>
+                              {header}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                  <p className="info">
+                    {importPreview.summary.valid} of {importPreview.summary.total} rows are valid
+                    {importPreview.summary.duplicates > 0 &&
+                      `, ${importPreview.summary.duplicates} look like duplicates`}
+                    .
+                  </p>
+                  <div className="importTableWrap">
+                    <table className="importTable">
+                      <thead>
+                        <tr>
+                          <th>Row</th>
+                          <th>Name</th>
+                          <th>Expiration</th>
+                          <th>Workspace</th>
+                          <th>Issues</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {importPreview.rows.map((row) => (
+                          <tr
+                            key={row.rowNumber}
+                            className={row.valid ? (row.duplicate ? "duplicate" : "") : "invalid"}
+                          >
+                            <td>{row.rowNumber}</td>
+                            <td>{row.name}</td>
+                            <td>{row.expirationDate ? formatDate(row.expirationDate) : ""}</td>
+                            <td>{row.workspaceName}</td>
+                            <td>{[...row.errors, ...row.warnings].join("; ") || "OK"}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <label className="checkboxLabel">
+                    <input
+                      type="checkbox"
+                      checked={importSkipDuplicates}
+                      onChange={(event) => setImportSkipDuplicates(event.target.checked)}
+                    />
+                    Skip likely duplicates
+                  </label>
+                  <button
+                    className="button"
+                    type="button"
+                    disabled={importBusy || importCount === 0}
+                    onClick={commitImport}
+                  >
+                    Import {importCount} Document{importCount === 1 ? "" : "s"}
+                  </button>
+                </>
+              )}
+            </section>
+          )}
+
+          {showTrash && (
+            <section className="activityPanel">
+              <h2>Trash &middot; {selectedWorkspace ? selectedWorkspace.name : "All Workspaces"}</h2>
+              {trashItems.length === 0 ? (
+                <p className="emptyHint">Trash is empty</p>
+              ) : (
+                <ul className="trashList">
+                  {trashItems.map((item) => (
+                    <li key={item.id}>
+                      <div className="trashInfo">
+                        <strong>{item.name}</strong>
+                        <span>
+                          {workspaceNameById[item.workspaceId] || "Unknown"} &middot; deleted by{" "}
+                          {item.deletedBy || "Unknown"} on {formatDateTime(item.deletedAt)}
+                        </span>
+                        <span>Permanently deleted after {formatDate(item.purgeAt)}</span>
+                      </div>
+                      <div className="actions">
+                        <button
+                          className="button small"
+                          type="button"
+                          disabled={trashBusyId === item.id}
+                          onClick={() => restoreTrashItem(item.id)}
+                        >
+                          Restore
+                        </button>
+                        <button
+                          className="button danger small"
+                          type="button"
+                          disabled={trashBusyId === item.id}
+                          onClick={() => purgeTrashItem(item.id)}
+                        >
+                          Delete Forever
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          )}
+
+          {showActivity && (
+            <section className="activityPanel">
+              <h2>
+                Activity &middot; {selectedWorkspace ? selectedWorkspace.name : "All Workspaces"}
+              </h2>
+              <form
+                className="activityFilters"
+                onSubmit={(event) => {
+                  event.preventDefault();
+                  loadActivity(selectedWorkspaceId);
+                }}
+              >
+                <input
+                  type="text"
+                  placeholder="User email"
+                  value={activityFilters.actor}
+                  onChange={(event) => setActivityFilters((current) => ({ ...current, actor: event.target.value }))}
+                />
+                <input
+                  type="date"
+                  aria-label="From date"
+                  value={activityFilters.from}
+                  onChange={(event) => setActivityFilters((current) => ({ ...current, from: event.target.value }))}
+                />
+                <input
+                  type="date"
+                  aria-label="To date"
+                  value={activityFilters.to}
+                  onChange={(event) => setActivityFilters((current) => ({ ...current, to: event.target.value }))}
+                />
+                <button className="button" type="submit" disabled={activityLoading}>
+                  {activityLoading ? "Loading..." : "Apply"}
+                </button>
+              </form>
+              {renderAuditEntries(activityEntries)}
+            </section>
+          )}
+
+          {!loading && items.length === 0 && (
+            <p className="emptyHint">
+              {hasDocumentFilters ? "No documents match these filters." : "No documents yet."}
+            </p>
+          )}
+
+          {linkedItem &&
+            activeCardId === linkedItem.id &&
+            !RANGE_LAYOUTS.includes(layoutMode) &&
+            !items.some((item) => item.id === linkedItem.id) && (
+              <section className="rangeEditor">
+                <h3>{linkedItem.name}</h3>
+                {renderEditPanel(linkedItem.id)}
+              </section>
+            )}
+
+          {RANGE_LAYOUTS.includes(layoutMode) && (
+            <>
+              {rangeLoading && <p className="info">Loading {layoutMode}...</p>}
+              {layoutMode === "calendar" ? renderCalendar() : renderTimeline()}
+              {activeCardId && <section className="rangeEditor">{renderEditPanel(activeCardId)}</section>}
+            </>
+          )}
+
+          {layoutMode === "cards" && (
             <section className="cardGrid">
-              {sortedItems.map((item) => {
-                const status = getStatus(item.expirationDate);
-                const timeUntilExpiration = getTimeUntilExpirationLabel(item.expirationDate);
+              {items.map((item) => {
+                const status = item.status;
+                const timeUntilExpiration = getTimeUntilExpirationLabel(item.daysRemaining);
                 const isEditing = activeCardId === item.id;
                 const isExpired = status === "expired";
 
@@ -879,6 +5096,12 @@ function DashboardPage() {
                     <h2>{item.name}</h2>
                     <p className="description">{item.description}</p>
                     <p className="workspaceTag">Workspace: {workspaceNameById[item.workspaceId] || "Unknown"}</p>
+                    <p className="assigneeTag">Responsible: {item.assignedTo || "Unassigned"}</p>
+                    {renderTagChips(item.tags)}
+                    {renderCustomFieldSummary(item)}
+                    {item.attachments?.length > 0 && (
+                      <p className="attachmentSummary">Files: {renderAttachmentLinks(item.attachments)}</p>
+                    )}
                     <div className="cardPopover">
                       <p>Created by: {item.createdBy || "Unknown"}</p>
                       <p>Created at: {formatDateTime(item.createdAt)}</p>
@@ -887,27 +5110,42 @@ function DashboardPage() {
                       Expires: <strong>{formatDate(item.expirationDate)}</strong>
                     </p>
                     <p className="statusText">{timeUntilExpiration}</p>
-                    {!isEditing && <p className="cardHint">Click card to edit or delete</p>}
+                    {!isEditing && (
+                      <p className="cardHint">
+                        {hasRole(roleByWorkspaceId[item.workspaceId], "editor")
+                          ? "Click card to edit or delete"
+                          : "Click card to view details"}
+                      </p>
+                    )}
                     {isEditing && renderEditPanel(item.id)}
                   </article>
                 );
               })}
             </section>
-          ) : (
+          )}
+
+          {layoutMode === "list" && (
             <section className="listContainer">
-              <div className="listHeader">
+              <div className="listHeader" style={listGridStyle}>
                 <span>Name</span>
                 <span>Description</span>
+                {listCustomFields.map((field) => (
+                  <span key={field.id}>{field.label}</span>
+                ))}
+                {showCustomFieldSummary && <span>Details</span>}
                 <span>Workspace</span>
+                <span>Tags</span>
+                <span>Responsible</span>
                 <span>Expires</span>
                 <span>Time Left</span>
                 <span>Created By</span>
                 <span>Created At</span>
+                <span>Files</span>
               </div>
 
-              {sortedItems.map((item) => {
-                const status = getStatus(item.expirationDate);
-                const timeUntilExpiration = getTimeUntilExpirationLabel(item.expirationDate);
+              {items.map((item) => {
+                const status = item.status;
+                const timeUntilExpiration = getTimeUntilExpirationLabel(item.daysRemaining);
                 const isEditing = activeCardId === item.id;
                 const isExpired = status === "expired";
 
@@ -915,6 +5153,7 @@ function DashboardPage() {
                   <div key={item.id} className="listItemWrap">
                     <div
                       className={`listRow clickable ${status} ${isExpired ? "flash" : ""} ${isEditing ? "editing" : ""}`}
+                      style={listGridStyle}
                       onClick={() => {
                         if (!isEditing) {
                           openEditor(item);
@@ -923,11 +5162,20 @@ function DashboardPage() {
                     >
                       <span>{item.name}</span>
                       <span>{item.description}</span>
+                      {listCustomFields.map((field) => (
+                        <span key={field.id}>
+                          {formatCustomFieldValue(field, item.customFields?.[field.id]) || "-"}
+                        </span>
+                      ))}
+                      {showCustomFieldSummary && <span>{renderCustomFieldSummary(item) || "-"}</span>}
                       <span>{workspaceNameById[item.workspaceId] || "Unknown"}</span>
+                      <span>{renderTagChips(item.tags) || "-"}</span>
+                      <span>{item.assignedTo || "Unassigned"}</span>
                       <span>{formatDate(item.expirationDate)}</span>
                       <span>{timeUntilExpiration}</span>
                       <span>{item.createdBy || "Unknown"}</span>
                       <span>{formatDateTime(item.createdAt)}</span>
+                      <span>{renderAttachmentLinks(item.attachments) || "-"}</span>
                     </div>
                     {isEditing && renderEditPanel(item.id)}
                   </div>
@@ -935,6 +5183,19 @@ function DashboardPage() {
               })}
             </section>
           )}
+
+          {items.length > 0 && !RANGE_LAYOUTS.includes(layoutMode) && (
+            <div className="loadMore" ref={loadMoreRef}>
+              <span className="info">
+                Showing {items.length} of {documentTotal} {documentTotal === 1 ? "document" : "documents"}
+              </span>
+              {hasMoreItems && (
+                <button className="button secondary" type="button" onClick={loadMoreItems} disabled={loadingMore}>
+                  {loadingMore ? "Loading..." : "Load More"}
+                </button>
+              )}
+            </div>
+          )}
         </section>
       </div>
     </main>
@@ -955,6 +5216,22 @@ export default function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/sessions"
+          element={
+            <ProtectedRoute>
+              <SessionsPage />
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/api-tokens"
+          element={
+            <ProtectedRoute>
+              <ApiTokensPage />
+            </ProtectedRoute>
+          }
+        />
         <Route path="*" element={<Navigate to="/dashboard" replace />} />
       </Routes>
     </AuthProvider>